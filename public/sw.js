@@ -0,0 +1,105 @@
+/**
+ * Service worker: caches the app shell for offline start and serves downloaded map tiles
+ * Registered from src/main.jsx in production builds only.
+ */
+
+const SHELL_CACHE = 'app-shell-v1';
+// Must match TILE_CACHE_NAME in src/utils/offlineTiles.js
+const TILE_CACHE = 'map-tiles-v1';
+
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/icon.svg'];
+
+// Built scripts and styles referenced by index.html (hashed names, so they are read from the page at install)
+const ASSET_REFERENCE = /(?:src|href)="(\/assets\/[^"]+)"/g;
+
+const TILE_HOSTS = ['tile.openstreetmap.org', 'a.tile.openstreetmap.org', 'b.tile.openstreetmap.org', 'c.tile.openstreetmap.org', 'server.arcgisonline.com'];
+
+// Tile servers set in Settings can live anywhere: recognise their /{z}/{x}/{y}(.png) paths instead
+// (cross-origin requests only: the app's own files and the /api proxy are never tiles)
+const TILE_PATH = /\/\d+\/\d+\/\d+(?:\.(?:png|jpe?g|webp))?$/;
+
+/**
+ * Cache key for a tile URL: OSM subdomains all map to one key
+ * Must match normalizeTileUrl in src/utils/offlineTiles.js
+ */
+function normalizeTileUrl(url) {
+  return url.replace(/^https:\/\/[abc]\.tile\.openstreetmap\.org\//, 'https://tile.openstreetmap.org/');
+}
+
+/**
+ * Cache the shell: index.html, the built assets it references and the static files
+ * Without the assets the cached page would not start offline.
+ */
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  const response = await fetch('/index.html', { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`index.html: HTTP ${response.status}`);
+  const html = await response.clone().text();
+  const assetUrls = [...new Set([...html.matchAll(ASSET_REFERENCE)].map(match => match[1]))];
+  await cache.addAll([...SHELL_URLS, ...assetUrls]);
+  await cache.put('/index.html', response);
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== SHELL_CACHE && key !== TILE_CACHE).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Tiles: downloaded tiles first, network otherwise (browsed tiles are not stored, to keep the cache bounded)
+async function handleTileRequest(request) {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(normalizeTileUrl(request.url));
+  return cached || fetch(request);
+}
+
+// Page navigations: network first so deploys are picked up, cached shell when offline
+async function handleNavigation(request) {
+  try {
+    const response = await fetch(request);
+    // Error pages (404, 5xx from a broken deploy) must not replace the working shell
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch {
+    const cached = await caches.match('/index.html');
+    return cached || Response.error();
+  }
+}
+
+// Built assets (hashed file names) and other same-origin files: cache, refreshing in the background
+async function handleAsset(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const isCrossOrigin = url.origin !== self.location.origin;
+  if (TILE_HOSTS.includes(url.hostname) || (isCrossOrigin && TILE_PATH.test(url.pathname))) {
+    event.respondWith(handleTileRequest(request));
+  } else if (!isCrossOrigin && !url.pathname.startsWith('/api/')) {
+    event.respondWith(request.mode === 'navigate' ? handleNavigation(request) : handleAsset(request));
+  }
+  // Geocoding, routing and LLM requests (direct or through the /api proxy) go straight to the network
+});
@@ -0,0 +1,63 @@
+/**
+ * Node entry for the API proxy (local development or any Node 18+ host)
+ * Reads keys from the environment, or from server/.dev.vars if present (same file wrangler uses; reading it
+ * needs Node 20.12+, older versions warn and use the environment only).
+ * Run with `npm run proxy`; the Vite dev server forwards /api to it.
+ */
+
+import http from 'node:http';
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { handleRequest } from './proxy.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+
+const DEV_VARS_PATH = fileURLToPath(new URL('.dev.vars', import.meta.url));
+
+if (existsSync(DEV_VARS_PATH)) {
+  if (typeof process.loadEnvFile !== 'function') {
+    // process.loadEnvFile needs Node 20.12+; older versions would start without the keys
+    console.warn(`server/.dev.vars was not loaded: Node ${process.versions.node} cannot read it (needs 20.12+). Set the keys in the environment instead.`);
+  } else {
+    try {
+      process.loadEnvFile(DEV_VARS_PATH);
+    } catch (error) {
+      console.warn(`server/.dev.vars could not be loaded: ${error.message}`);
+    }
+  }
+}
+// Without .dev.vars, keys come from the environment
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const hasBody = req.method !== 'GET' && req.method !== 'HEAD' && chunks.length > 0;
+
+    const headers = new Headers();
+    Object.entries(req.headers).forEach(([name, value]) => {
+      headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+    });
+
+    const request = new Request(`http://${req.headers.host || 'localhost'}${req.url}`, {
+      method: req.method,
+      headers,
+      body: hasBody ? Buffer.concat(chunks) : undefined
+    });
+    const response = await handleRequest(request, process.env, {
+      clientIp: req.socket.remoteAddress,
+      trustProxy: Boolean(process.env.TRUST_PROXY)
+    });
+
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+  } catch (error) {
+    console.error('Proxy error:', error);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal proxy error' }));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`API proxy listening on http://localhost:${PORT}`);
+});
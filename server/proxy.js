@@ -0,0 +1,283 @@
+/**
+ * API proxy: forwards Anthropic, OpenRouteService and Nominatim calls from the app, adding the
+ * API keys server-side and limiting how many requests each client may make.
+ *
+ * Written against the Fetch API (Request/Response) so the same handler runs as a Cloudflare Worker
+ * (worker.js) and under Node 18+ (node.js). Routes, relative to an optional "/api" prefix:
+ *   POST /anthropic/v1/messages          → https://api.anthropic.com/v1/messages
+ *   POST /ors/v2/directions/{profile}    → https://api.openrouteservice.org/v2/directions/{profile}
+ *   GET  /nominatim/search?...           → https://nominatim.openstreetmap.org/search?... (also reverse, lookup, status)
+ *
+ * Environment: ANTHROPIC_API_KEY, ORS_API_KEY, NOMINATIM_EMAIL (contact sent to Nominatim, recommended),
+ * ALLOWED_ORIGINS (comma-separated origins allowed cross-origin; same-origin needs none),
+ * ANTHROPIC_MODELS (comma-separated models the proxy accepts; default: the app's default model),
+ * TRUST_PROXY (Node only: set when behind a reverse proxy, to rate-limit by X-Forwarded-For).
+ *
+ * Anyone who can reach the proxy can use the keys within the per-client rate limits. Anthropic requests are
+ * rebuilt with an allowed model and at most ANTHROPIC_MAX_TOKENS, which bounds the cost of each one. The Origin
+ * check on the keyed services (Anthropic, ORS) only stops other websites from using the proxy from their
+ * visitors' browsers: curl and scripts can send any Origin. To restrict who may call the proxy at all, put it
+ * behind an access rule (e.g. Cloudflare Access) and a platform rate limiting rule.
+ */
+
+// Requests per client and window; Nominatim is additionally spaced to 1 request/second overall
+const RATE_LIMITS = {
+  anthropic: { limit: 30, windowMs: 60 * 60 * 1000 },
+  ors: { limit: 40, windowMs: 60 * 1000 },
+  nominatim: { limit: 60, windowMs: 60 * 1000 }
+};
+
+const NOMINATIM_INTERVAL_MS = 1000;
+
+const USER_AGENT = 'HimalayasRouteVisualizer/1.0 (API proxy)';
+
+// Anthropic requests: models accepted without ANTHROPIC_MODELS (the app's default) and the output cap
+const DEFAULT_ANTHROPIC_MODELS = ['claude-haiku-4-5-20251001'];
+const ANTHROPIC_MAX_TOKENS = 4096;
+
+// Which upstream paths each service may reach: the keys must not be usable for anything else
+const SERVICES = {
+  anthropic: {
+    upstream: 'https://api.anthropic.com',
+    allowed: (method, path) => method === 'POST' && path === '/v1/messages',
+    keyName: 'ANTHROPIC_API_KEY',
+    body: buildAnthropicBody,
+    headers: (env, request) => ({
+      'x-api-key': env.ANTHROPIC_API_KEY,
+      'anthropic-version': request.headers.get('anthropic-version') || '2023-06-01'
+    })
+  },
+  ors: {
+    upstream: 'https://api.openrouteservice.org',
+    allowed: (method, path) => method === 'POST' && /^\/v2\/directions\/[a-z-]+(?:\/(?:json|geojson))?$/.test(path),
+    keyName: 'ORS_API_KEY',
+    headers: (env) => ({ 'Authorization': env.ORS_API_KEY })
+  },
+  nominatim: {
+    upstream: 'https://nominatim.openstreetmap.org',
+    allowed: (method, path) => method === 'GET' && ['/search', '/reverse', '/lookup', '/status'].includes(path),
+    keyName: null,
+    headers: () => ({})
+  }
+};
+
+// Fixed-window counters per service and client. In-memory: per process for Node, per isolate for
+// Workers (best effort there; use Cloudflare rate limiting rules for a hard limit)
+const rateWindows = new Map();
+let nominatimNextSlot = 0;
+
+/**
+ * Count a request and check it against the service's limit
+ * @param {string} service
+ * @param {string} clientId
+ * @param {number} now - Timestamp in ms
+ * @returns {{allowed: boolean, retryAfterSeconds: number}}
+ */
+function checkRateLimit(service, clientId, now = Date.now()) {
+  const { limit, windowMs } = RATE_LIMITS[service];
+  const key = `${service}|${clientId}`;
+  let window = rateWindows.get(key);
+  if (!window || now >= window.resetAt) {
+    window = { count: 0, resetAt: now + windowMs };
+    rateWindows.set(key, window);
+  }
+
+  // Drop expired windows now and then so the map does not grow without bound
+  if (rateWindows.size > 10000) {
+    for (const [k, w] of rateWindows) {
+      if (now >= w.resetAt) rateWindows.delete(k);
+    }
+  }
+
+  window.count++;
+  return {
+    allowed: window.count <= limit,
+    retryAfterSeconds: Math.ceil((window.resetAt - now) / 1000)
+  };
+}
+
+/**
+ * Wait for the next Nominatim slot (usage policy: at most 1 request per second)
+ * @returns {Promise<void>}
+ */
+async function waitForNominatimSlot() {
+  const now = Date.now();
+  const slot = Math.max(now, nominatimNextSlot);
+  nominatimNextSlot = slot + NOMINATIM_INTERVAL_MS;
+  if (slot > now) {
+    await new Promise(resolve => setTimeout(resolve, slot - now));
+  }
+}
+
+/**
+ * CORS headers for the request's origin (none when the origin is not allowed)
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Object}
+ */
+function getCorsHeaders(request, env) {
+  const origin = request.headers.get('Origin');
+  const allowed = (env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  if (!origin || !(allowed.includes('*') || allowed.includes(origin))) return {};
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': request.headers.get('Access-Control-Request-Headers') || 'Content-Type',
+    'Access-Control-Max-Age': '86400',
+    'Vary': 'Origin'
+  };
+}
+
+/**
+ * JSON error response
+ * @param {number} status
+ * @param {string} message
+ * @param {Object} headers
+ * @returns {Response}
+ */
+function errorResponse(status, message, headers = {}) {
+  return new Response(JSON.stringify({ error: message }), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * Identify the client for rate limiting
+ * Client-supplied headers are ignored unless the deployment says a trusted reverse proxy sets them.
+ * @param {Request} request
+ * @param {string|null} clientIp - Address from the platform (Node socket, Workers CF-Connecting-IP)
+ * @param {boolean} trustProxy - Use the first X-Forwarded-For address (Node behind a reverse proxy)
+ * @returns {string}
+ */
+function getClientId(request, clientIp, trustProxy) {
+  const forwarded = trustProxy ? request.headers.get('X-Forwarded-For')?.split(',')[0].trim() : null;
+  return forwarded || clientIp || 'unknown';
+}
+
+/**
+ * Browser guard: the request's Origin is the proxy's own host or one of ALLOWED_ORIGINS
+ * Stops other websites from calling the proxy from their visitors' browsers, which always send the real Origin.
+ * It is not authentication: any non-browser client can send an allowed Origin.
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {boolean}
+ */
+function isAllowedOrigin(request, env) {
+  const origin = request.headers.get('Origin');
+  if (!origin) return false;
+  const allowed = (env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  // Same host: the scheme can differ behind a TLS-terminating reverse proxy
+  return (URL.canParse(origin) && new URL(origin).host === new URL(request.url).host) ||
+    allowed.includes('*') || allowed.includes(origin);
+}
+
+/**
+ * Rebuild an Anthropic Messages request with only the fields the app uses, an allowed model and capped output
+ * @param {Object} body - Parsed client request
+ * @param {Object} env
+ * @returns {Object} Upstream body
+ * @throws {Error} If the model is not allowed or there are no messages
+ */
+function buildAnthropicBody(body, env) {
+  const models = env.ANTHROPIC_MODELS
+    ? env.ANTHROPIC_MODELS.split(',').map(m => m.trim()).filter(Boolean)
+    : DEFAULT_ANTHROPIC_MODELS;
+  if (!models.includes(body.model)) {
+    throw new Error(`Model ${body.model} is not allowed on this proxy (allowed: ${models.join(', ')})`);
+  }
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    throw new Error('messages is required');
+  }
+  return {
+    model: body.model,
+    max_tokens: Math.min(Number(body.max_tokens) || ANTHROPIC_MAX_TOKENS, ANTHROPIC_MAX_TOKENS),
+    messages: body.messages,
+    ...(body.system !== undefined ? { system: body.system } : {}),
+    ...(body.temperature !== undefined ? { temperature: body.temperature } : {})
+  };
+}
+
+/**
+ * Handle a proxy request
+ * @param {Request} request
+ * @param {Object} env - Environment variables / Worker bindings
+ * @param {Object} options
+ * @param {string} options.clientIp - Client address (Node: socket address; Workers: CF-Connecting-IP)
+ * @param {boolean} options.trustProxy - Rate-limit by X-Forwarded-For instead (Node behind a trusted reverse proxy)
+ * @returns {Promise<Response>}
+ */
+export async function handleRequest(request, env = {}, { clientIp = null, trustProxy = false } = {}) {
+  const cors = getCorsHeaders(request, env);
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: cors });
+  }
+
+  const url = new URL(request.url);
+  const match = url.pathname.replace(/^\/api(?=\/)/, '').match(/^\/([a-z]+)(\/.*)$/);
+  const serviceName = match?.[1];
+  const service = SERVICES[serviceName];
+  if (!service || !service.allowed(request.method, match[2])) {
+    return errorResponse(404, 'Unknown proxy route', cors);
+  }
+  if (service.keyName && !env[service.keyName]) {
+    return errorResponse(503, `${service.keyName} is not configured on the proxy`, cors);
+  }
+
+  if (service.keyName && !isAllowedOrigin(request, env)) {
+    return errorResponse(403, 'Origin not allowed for this proxy', cors);
+  }
+
+  let body;
+  if (request.method !== 'GET') {
+    body = await request.arrayBuffer();
+    if (service.body) {
+      try {
+        body = JSON.stringify(service.body(JSON.parse(new TextDecoder().decode(body)), env));
+      } catch (error) {
+        return errorResponse(400, error.message, cors);
+      }
+    }
+  }
+
+  const { allowed, retryAfterSeconds } = checkRateLimit(serviceName, getClientId(request, clientIp, trustProxy));
+  if (!allowed) {
+    return errorResponse(429, `Rate limit exceeded for ${serviceName}, retry in ${retryAfterSeconds} s`, {
+      ...cors,
+      'Retry-After': String(retryAfterSeconds)
+    });
+  }
+
+  const upstreamUrl = new URL(service.upstream + match[2]);
+  upstreamUrl.search = url.search;
+  if (serviceName === 'nominatim') {
+    if (env.NOMINATIM_EMAIL) upstreamUrl.searchParams.set('email', env.NOMINATIM_EMAIL);
+    await waitForNominatimSlot();
+  }
+
+  // Only the body and content type are forwarded: client credentials and cookies never reach upstream
+  const isGet = request.method === 'GET';
+  let upstreamResponse;
+  try {
+    upstreamResponse = await fetch(upstreamUrl, {
+      method: request.method,
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': request.headers.get('Accept') || 'application/json',
+        ...(isGet ? {} : { 'Content-Type': request.headers.get('Content-Type') || 'application/json' }),
+        ...service.headers(env, request)
+      },
+      body: isGet ? undefined : body
+    });
+  } catch (error) {
+    return errorResponse(502, `Upstream request failed: ${error.message}`, cors);
+  }
+
+  return new Response(upstreamResponse.body, {
+    status: upstreamResponse.status,
+    headers: {
+      'Content-Type': upstreamResponse.headers.get('Content-Type') || 'application/json',
+      ...cors
+    }
+  });
+}
@@ -0,0 +1,14 @@
+/**
+ * Cloudflare Worker entry for the API proxy
+ * Keys are Worker secrets: `wrangler secret put ANTHROPIC_API_KEY` and `wrangler secret put ORS_API_KEY`
+ * (locally, put them in server/.dev.vars and run `npx wrangler dev` from server/).
+ */
+
+import { handleRequest } from './proxy.js';
+
+export default {
+  fetch(request, env) {
+    // Set by Cloudflare; X-Forwarded-For is client-controlled and ignored
+    return handleRequest(request, env, { clientIp: request.headers.get('CF-Connecting-IP') });
+  }
+};
@@ -1,11 +1,15 @@
 import { useState } from 'react';
 import RouteLibrary from './components/RouteLibrary';
 import RouteEditor from './components/RouteEditor';
+import RouteComparison from './components/RouteComparison';
+import Settings from './components/Settings';
+import PlaceCatalogue from './components/PlaceCatalogue';
 import './App.css';
 
 function App() {
-  const [currentView, setCurrentView] = useState('library'); // 'library' or 'editor'
+  const [currentView, setCurrentView] = useState('library'); // 'library', 'editor', 'compare', 'settings' or 'places'
   const [editingRouteId, setEditingRouteId] = useState(null);
+  const [compareRouteIds, setCompareRouteIds] = useState([]);
 
   const handleNewRoute = () => {
     setEditingRouteId(null);
@@ -17,6 +21,11 @@ function App() {
     setCurrentView('editor');
   };
 
+  const handleCompareRoutes = (routeIds) => {
+    setCompareRouteIds(routeIds);
+    setCurrentView('compare');
+  };
+
   const handleSaveRoute = () => {
     // Return to library view after saving
     setCurrentView('library');
@@ -34,6 +43,19 @@ function App() {
         <RouteLibrary
           onSelectRoute={handleSelectRoute}
           onNewRoute={handleNewRoute}
+          onCompareRoutes={handleCompareRoutes}
+          onOpenSettings={() => setCurrentView('settings')}
+          onOpenPlaces={() => setCurrentView('places')}
+        />
+      ) : currentView === 'settings' ? (
+        <Settings onBack={handleCancel} />
+      ) : currentView === 'places' ? (
+        <PlaceCatalogue onBack={handleCancel} onSelectRoute={handleSelectRoute} />
+      ) : currentView === 'compare' ? (
+        <RouteComparison
+          routeIds={compareRouteIds}
+          onBack={handleCancel}
+          onSelectRoute={handleSelectRoute}
         />
       ) : (
         <RouteEditor
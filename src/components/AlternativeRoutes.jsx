@@ -0,0 +1,195 @@
+import { getSegmentLabel } from '../utils/calendarHelpers';
+import { formatDistance, formatDuration } from '../utils/geoUtils';
+import { formatElevation } from '../utils/elevationService';
+import { getUnpavedDistance } from '../utils/rideTime';
+import { ALTERNATIVE_ROUTE_COLORS, getAlternativeLabel, getAlternativeClimb } from '../utils/alternativeRoutes';
+
+/**
+ * Signed difference to the fastest route, e.g. "+42 km" or "−5 km"
+ * @param {string|null} formatted - Formatted absolute difference
+ * @param {number} diff
+ * @returns {string|null}
+ */
+function formatDifference(formatted, diff) {
+  if (!formatted) return null;
+  return `${diff < 0 ? '−' : '+'}${formatted}`;
+}
+
+/**
+ * AlternativeRoutes component - Compare the roads between two waypoints and pin one as the segment's route
+ * @param {Object} props
+ * @param {Array} props.segments - Route segments
+ * @param {Array} props.waypoints - Waypoints (for segment labels)
+ * @param {number} props.segmentIndex - Selected segment
+ * @param {Function} props.onSegmentIndexChange - (index) => void
+ * @param {Array|null} props.routes - Alternatives for the selected segment (fastest first), null if not requested
+ * @param {number|null} props.hoveredIndex - Alternative highlighted on the map
+ * @param {Function} props.onHoveredIndexChange - (index | null) => void
+ * @param {Function} props.onFind - Request alternatives for the selected segment
+ * @param {Function} props.onPin - (index) => void, use an alternative as the segment's polyline
+ * @param {Function} props.onClose - Hide the alternatives
+ * @param {boolean} props.searching - Whether alternatives are being requested
+ * @param {boolean} props.disabled - Whether another operation is running
+ */
+export default function AlternativeRoutes({
+  segments = [],
+  waypoints = [],
+  segmentIndex = 0,
+  onSegmentIndexChange,
+  routes = null,
+  hoveredIndex = null,
+  onHoveredIndexChange,
+  onFind,
+  onPin,
+  onClose,
+  searching = false,
+  disabled = false
+}) {
+  const segment = segments[segmentIndex];
+  const fastest = routes?.[0];
+  const currentRank = segment?.alternative?.rank || 1;
+  const canFind = !disabled && !searching && Boolean(segment);
+
+  return (
+    <div style={{
+      padding: '12px',
+      border: '1px solid #e5e7eb',
+      borderRadius: '4px',
+      backgroundColor: 'white',
+      fontSize: '13px'
+    }}>
+      <div style={{ fontWeight: '500', marginBottom: '8px' }}>Alternative routes</div>
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '8px' }}>
+        <select
+          value={segmentIndex}
+          onChange={(e) => onSegmentIndexChange(Number(e.target.value))}
+          disabled={searching}
+          style={{
+            flex: 1,
+            minWidth: 0,
+            padding: '4px 6px',
+            border: '1px solid #d1d5db',
+            borderRadius: '4px',
+            fontSize: '13px'
+          }}
+        >
+          {segments.map((s, i) => (
+            <option key={`${s.fromWaypointId}-${s.toWaypointId}-${i}`} value={i}>
+              {i + 1}. {getSegmentLabel(s, waypoints)}
+              {s.alternative ? ` (${getAlternativeLabel(s.alternative.rank).toLowerCase()})` : ''}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={onFind}
+          disabled={!canFind}
+          style={{
+            padding: '6px 12px',
+            backgroundColor: canFind ? '#3b82f6' : '#d1d5db',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: canFind ? 'pointer' : 'not-allowed',
+            fontSize: '13px',
+            whiteSpace: 'nowrap'
+          }}
+          title="Ask the routing service for other roads between these two waypoints (also click a segment on the map)"
+        >
+          {searching ? 'Searching...' : 'Find alternatives'}
+        </button>
+      </div>
+
+      {routes && routes.length === 1 && (
+        <div style={{ color: '#6b7280', marginBottom: '8px' }}>
+          No alternative road found: this is the only route between these waypoints.
+        </div>
+      )}
+
+      {routes && routes.length > 1 && (
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+          {routes.map((route, index) => {
+            const rank = index + 1;
+            const { ascent, descent } = getAlternativeClimb(route);
+            const isCurrent = rank === currentRank;
+            const distanceDiff = route.distance - fastest.distance;
+            const durationDiff = route.duration - fastest.duration;
+            const unpaved = getUnpavedDistance(route);
+            return (
+              <div
+                key={rank}
+                onMouseEnter={() => onHoveredIndexChange(index)}
+                onMouseLeave={() => onHoveredIndexChange(null)}
+                style={{
+                  flex: 1,
+                  minWidth: 0,
+                  padding: '8px',
+                  border: `2px solid ${hoveredIndex === index ? ALTERNATIVE_ROUTE_COLORS[index] : '#e5e7eb'}`,
+                  borderRadius: '4px',
+                  display: 'flex',
+                  flexDirection: 'column',
+                  gap: '2px'
+                }}
+              >
+                <div style={{ fontWeight: '500', color: ALTERNATIVE_ROUTE_COLORS[index] }}>
+                  {getAlternativeLabel(rank)}
+                </div>
+                <div>{formatDistance(route.distance) || '—'}</div>
+                <div>{formatDuration(route.duration) || '—'}</div>
+                <div style={{ color: '#6b7280' }}>
+                  ↑ {formatElevation(ascent)} ↓ {formatElevation(descent)}
+                </div>
+                {unpaved !== null && (
+                  <div style={{ color: unpaved > 0 ? '#b45309' : '#6b7280' }}>
+                    {unpaved > 0 ? `${formatDistance(unpaved)} unpaved` : 'Paved'}
+                  </div>
+                )}
+                {index > 0 && (
+                  <div style={{ color: '#6b7280', fontSize: '12px' }}>
+                    {[
+                      formatDifference(formatDistance(Math.abs(distanceDiff)), distanceDiff),
+                      formatDifference(formatDuration(Math.abs(durationDiff)), durationDiff)
+                    ].filter(Boolean).join(', ')}
+                  </div>
+                )}
+                <button
+                  onClick={() => onPin(index)}
+                  disabled={disabled || isCurrent}
+                  style={{
+                    marginTop: '4px',
+                    padding: '4px 8px',
+                    backgroundColor: isCurrent ? '#d1fae5' : '#10b981',
+                    color: isCurrent ? '#065f46' : 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: disabled || isCurrent ? 'default' : 'pointer',
+                    fontSize: '12px'
+                  }}
+                >
+                  {isCurrent ? '✓ In use' : 'Use this route'}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {routes && (
+        <button
+          onClick={onClose}
+          style={{
+            padding: 0,
+            background: 'none',
+            border: 'none',
+            color: '#3b82f6',
+            cursor: 'pointer',
+            fontSize: '12px',
+            textDecoration: 'underline'
+          }}
+        >
+          Hide alternatives
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,288 @@
+import { useState } from 'react';
+import { getSegmentLabel } from '../utils/calendarHelpers';
+import { formatDistance } from '../utils/geoUtils';
+import {
+  buildElevationProfile,
+  computeElevationStats,
+  formatElevation,
+  hasElevation
+} from '../utils/elevationService';
+
+const CHART_WIDTH = 1000;
+const CHART_HEIGHT = 140;
+
+/**
+ * Index of the profile sample closest to a map position
+ * @param {Array} samples - Profile samples {lat, lng}
+ * @param {{lat: number, lng: number}} position
+ * @returns {number} Sample index or -1
+ */
+function nearestSampleIndex(samples, position) {
+  if (!position || samples.length === 0) return -1;
+  let bestIndex = -1;
+  let bestDist = Infinity;
+  samples.forEach((s, i) => {
+    const d = (s.lat - position.lat) ** 2 + (s.lng - position.lng) ** 2;
+    if (d < bestDist) {
+      bestDist = d;
+      bestIndex = i;
+    }
+  });
+  return bestIndex;
+}
+
+/**
+ * Stats for a group of segments: distance plus ascent/descent/max altitude from elevation data
+ */
+function statsForSegments(segments, indices) {
+  const elevations = [];
+  let distance = 0;
+  indices.forEach(i => {
+    distance += segments[i]?.distance || 0;
+    if (hasElevation(segments[i])) elevations.push(...segments[i].elevation);
+  });
+  return { distance, ...computeElevationStats(elevations) };
+}
+
+/**
+ * ElevationProfile component - Elevation chart under the map with per-segment and per-day stats
+ * @param {Object} props
+ * @param {Array} props.segments - Route segments {polyline, distance, elevation}
+ * @param {Array} props.waypoints - Waypoints (for segment labels)
+ * @param {number[]} props.segmentDays - 1-based day per segment
+ * @param {Object|null} props.hoverPosition - Shared hover position {lat, lng} (from chart or map)
+ * @param {Function} props.onHoverPositionChange - Callback: (position | null) => void
+ * @param {Function} props.onLoadElevation - Optional callback to fetch missing elevation data
+ * @param {boolean} props.loading - Whether elevation is being loaded
+ */
+export default function ElevationProfile({
+  segments = [],
+  waypoints = [],
+  segmentDays = [],
+  hoverPosition = null,
+  onHoverPositionChange,
+  onLoadElevation = null,
+  loading = false
+}) {
+  const [scope, setScope] = useState('all'); // 'all' | 'day-N' | 'segment-N'
+  const [tableMode, setTableMode] = useState('day'); // 'day' | 'segment'
+
+  if (segments.length === 0) return null;
+
+  const missingCount = segments.filter(s => !hasElevation(s)).length;
+
+  // Segment indices included in the current scope
+  let scopeIndices = segments.map((_, i) => i);
+  if (scope.startsWith('day-')) {
+    const day = Number(scope.slice(4));
+    scopeIndices = scopeIndices.filter(i => (segmentDays[i] ?? i + 1) === day);
+  } else if (scope.startsWith('segment-')) {
+    scopeIndices = [Number(scope.slice(8))];
+  }
+  scopeIndices = scopeIndices.filter(i => i < segments.length);
+  if (scopeIndices.length === 0) scopeIndices = segments.map((_, i) => i);
+
+  const samples = buildElevationProfile(segments, scopeIndices);
+  const scopeStats = statsForSegments(segments, scopeIndices);
+  const days = [...new Set(segments.map((_, i) => segmentDays[i] ?? i + 1))].sort((a, b) => a - b);
+
+  const totalDistance = samples.length > 0 ? samples[samples.length - 1].distance : 0;
+  const minEle = scopeStats.minAltitude ?? 0;
+  const maxEle = scopeStats.maxAltitude ?? 0;
+  const eleRange = Math.max(maxEle - minEle, 1);
+  const x = (distance) => totalDistance > 0 ? (distance / totalDistance) * CHART_WIDTH : 0;
+  const y = (elevation) => CHART_HEIGHT - ((elevation - minEle) / eleRange) * (CHART_HEIGHT - 10) - 5;
+
+  const linePath = samples.map((s, i) => `${i === 0 ? 'M' : 'L'}${x(s.distance).toFixed(1)},${y(s.elevation).toFixed(1)}`).join(' ');
+  const areaPath = samples.length > 1
+    ? `${linePath} L${x(totalDistance).toFixed(1)},${CHART_HEIGHT} L0,${CHART_HEIGHT} Z`
+    : '';
+
+  const hoverIndex = nearestSampleIndex(samples, hoverPosition);
+  const hoverSample = hoverIndex >= 0 ? samples[hoverIndex] : null;
+
+  const handleMouseMove = (e) => {
+    if (samples.length === 0 || !onHoverPositionChange) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    const targetDistance = ratio * totalDistance;
+    // Samples are sorted by distance: binary search for the closest one
+    let lo = 0;
+    let hi = samples.length - 1;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (samples[mid].distance < targetDistance) lo = mid + 1;
+      else hi = mid;
+    }
+    onHoverPositionChange({ lat: samples[lo].lat, lng: samples[lo].lng });
+  };
+
+  const tableRows = tableMode === 'day'
+    ? days.map(day => {
+      const indices = segments.map((_, i) => i).filter(i => (segmentDays[i] ?? i + 1) === day);
+      return { key: `day-${day}`, label: `Day ${day}`, ...statsForSegments(segments, indices) };
+    })
+    : segments.map((segment, i) => ({
+      key: `segment-${i}`,
+      label: `${i + 1}. ${getSegmentLabel(segment, waypoints)}`,
+      ...statsForSegments(segments, [i])
+    }));
+
+  return (
+    <div style={{
+      borderTop: '1px solid #e5e7eb',
+      backgroundColor: 'white',
+      padding: '8px 12px',
+      fontSize: '13px'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: '6px' }}>
+        <strong style={{ color: '#374151' }}>Elevation</strong>
+        <select
+          value={scope}
+          onChange={(e) => setScope(e.target.value)}
+          style={{ padding: '4px 6px', border: '1px solid #d1d5db', borderRadius: '4px', fontSize: '13px' }}
+        >
+          <option value="all">Whole route</option>
+          {days.map(day => (
+            <option key={`day-${day}`} value={`day-${day}`}>Day {day}</option>
+          ))}
+          {segments.map((segment, i) => (
+            <option key={`segment-${i}`} value={`segment-${i}`}>
+              Segment {i + 1}: {getSegmentLabel(segment, waypoints)}
+            </option>
+          ))}
+        </select>
+        <span style={{ color: '#6b7280' }}>
+          {formatDistance(scopeStats.distance) || '—'}
+          {' • '}↑ {formatElevation(scopeStats.ascent)}
+          {' • '}↓ {formatElevation(scopeStats.descent)}
+          {' • '}Max {formatElevation(scopeStats.maxAltitude)}
+        </span>
+        {missingCount > 0 && onLoadElevation && (
+          <button
+            onClick={onLoadElevation}
+            disabled={loading}
+            style={{
+              marginLeft: 'auto',
+              padding: '4px 10px',
+              backgroundColor: loading ? '#d1d5db' : '#3b82f6',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: loading ? 'not-allowed' : 'pointer',
+              fontSize: '12px'
+            }}
+            title="Look up elevation from a DEM for segments without elevation data"
+          >
+            {loading ? 'Loading elevation…' : `Load elevation (${missingCount} segment${missingCount !== 1 ? 's' : ''})`}
+          </button>
+        )}
+      </div>
+
+      {samples.length > 1 ? (
+        <div style={{ position: 'relative', height: `${CHART_HEIGHT}px` }}>
+          <svg
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            preserveAspectRatio="none"
+            width="100%"
+            height={CHART_HEIGHT}
+            onMouseMove={handleMouseMove}
+            onMouseLeave={() => onHoverPositionChange && onHoverPositionChange(null)}
+            style={{ display: 'block', cursor: 'crosshair', backgroundColor: '#f9fafb' }}
+          >
+            <path d={areaPath} fill="rgba(59, 130, 246, 0.2)" stroke="none" />
+            <path d={linePath} fill="none" stroke="#3b82f6" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            {hoverSample && (
+              <line
+                x1={x(hoverSample.distance)}
+                x2={x(hoverSample.distance)}
+                y1={0}
+                y2={CHART_HEIGHT}
+                stroke="#ef4444"
+                strokeWidth="1"
+                vectorEffect="non-scaling-stroke"
+              />
+            )}
+          </svg>
+          <span style={{ position: 'absolute', top: '2px', left: '4px', fontSize: '11px', color: '#6b7280', pointerEvents: 'none' }}>
+            {formatElevation(maxEle)}
+          </span>
+          <span style={{ position: 'absolute', bottom: '2px', left: '4px', fontSize: '11px', color: '#6b7280', pointerEvents: 'none' }}>
+            {formatElevation(minEle)}
+          </span>
+          {hoverSample && (
+            <span style={{
+              position: 'absolute',
+              top: '2px',
+              right: '4px',
+              fontSize: '11px',
+              color: '#111827',
+              backgroundColor: 'rgba(255,255,255,0.85)',
+              padding: '1px 4px',
+              borderRadius: '3px',
+              pointerEvents: 'none'
+            }}>
+              {formatElevation(hoverSample.elevation)} at {formatDistance(hoverSample.distance) || '0 m'}
+            </span>
+          )}
+        </div>
+      ) : (
+        <div style={{ padding: '12px', color: '#9ca3af', fontStyle: 'italic' }}>
+          No elevation data for this selection. Recalculate the route or load elevation to see the profile.
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '4px', margin: '8px 0 4px 0' }}>
+        {['day', 'segment'].map(mode => (
+          <button
+            key={mode}
+            onClick={() => setTableMode(mode)}
+            style={{
+              padding: '2px 8px',
+              border: '1px solid #e5e7eb',
+              borderRadius: '4px',
+              backgroundColor: tableMode === mode ? '#3b82f6' : 'white',
+              color: tableMode === mode ? 'white' : '#374151',
+              cursor: 'pointer',
+              fontSize: '12px'
+            }}
+          >
+            {mode === 'day' ? 'Per day' : 'Per segment'}
+          </button>
+        ))}
+      </div>
+      <div style={{ maxHeight: '110px', overflowY: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+          <thead>
+            <tr style={{ color: '#6b7280', textAlign: 'left' }}>
+              <th style={{ padding: '2px 6px' }}>{tableMode === 'day' ? 'Day' : 'Segment'}</th>
+              <th style={{ padding: '2px 6px' }}>Distance</th>
+              <th style={{ padding: '2px 6px' }}>Ascent</th>
+              <th style={{ padding: '2px 6px' }}>Descent</th>
+              <th style={{ padding: '2px 6px' }}>Max altitude</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tableRows.map(row => (
+              <tr
+                key={row.key}
+                onClick={() => setScope(row.key)}
+                style={{
+                  cursor: 'pointer',
+                  backgroundColor: scope === row.key ? '#eff6ff' : 'transparent',
+                  borderTop: '1px solid #f3f4f6'
+                }}
+              >
+                <td style={{ padding: '2px 6px' }}>{row.label}</td>
+                <td style={{ padding: '2px 6px' }}>{formatDistance(row.distance) || '—'}</td>
+                <td style={{ padding: '2px 6px' }}>{row.maxAltitude != null ? formatElevation(row.ascent) : '—'}</td>
+                <td style={{ padding: '2px 6px' }}>{row.maxAltitude != null ? formatElevation(row.descent) : '—'}</td>
+                <td style={{ padding: '2px 6px' }}>{formatElevation(row.maxAltitude)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
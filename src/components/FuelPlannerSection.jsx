@@ -0,0 +1,155 @@
+import { useRef } from 'react';
+import { formatDistance } from '../utils/geoUtils';
+import { FUEL_FILE_EXTENSIONS } from '../utils/fuelStations';
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  backgroundColor: '#3b82f6',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+/**
+ * FuelPlannerSection component - Bike fuel range, saved fuel stations and the stretches of the route without fuel
+ * @param {Object} props
+ * @param {number} props.rangeKm - Distance the bike covers on a full tank
+ * @param {Function} props.onRangeChange - (km) => void
+ * @param {number} props.stationCount - Saved fuel stations (all routes)
+ * @param {Object} props.analysis - From analyzeFuelRange: { stops, gaps }
+ * @param {boolean} props.hasRoute - Whether the route has been calculated
+ * @param {Function} props.onImport - (file) => void, import an OSM extract of fuel stations
+ * @param {Function} props.onDeleteStation - (stationId) => void
+ * @param {string|null} props.placingName - Name of the station being placed on the map, null when not placing
+ * @param {Function} props.onPlacingNameChange - (name | null) => void; a string starts placing, null cancels
+ * @param {boolean} props.disabled - Whether another operation is running
+ */
+export default function FuelPlannerSection({
+  rangeKm,
+  onRangeChange,
+  stationCount = 0,
+  analysis = { stops: [], gaps: [] },
+  hasRoute = false,
+  onImport,
+  onDeleteStation,
+  placingName = null,
+  onPlacingNameChange,
+  disabled = false
+}) {
+  const fileInputRef = useRef(null);
+
+  const handleFileSelected = (e) => {
+    const file = e.target.files?.[0];
+    if (file) onImport(file);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  return (
+    <div style={{
+      padding: '12px',
+      border: '1px solid #e5e7eb',
+      borderRadius: '4px',
+      backgroundColor: 'white',
+      fontSize: '13px'
+    }}>
+      <div style={{ fontWeight: '500', marginBottom: '8px' }}>Fuel range</div>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '8px' }}>
+        Range on a full tank
+        <input
+          key={rangeKm}
+          type="number"
+          min={1}
+          defaultValue={rangeKm}
+          onBlur={(e) => {
+            const km = e.target.valueAsNumber;
+            if (km > 0 && km !== rangeKm) onRangeChange(km);
+          }}
+          style={{ width: '70px', padding: '4px 6px', border: '1px solid #d1d5db', borderRadius: '4px', fontSize: '13px' }}
+        />
+        km
+      </label>
+
+      {analysis.gaps.map((gap, index) => (
+        <div key={index} style={{ color: '#dc2626', marginBottom: '4px' }}>
+          ⚠ {gap.from} → {gap.to}: {formatDistance(gap.distance)} without fuel
+        </div>
+      ))}
+      {hasRoute && analysis.gaps.length === 0 && (
+        <div style={{ color: '#059669', marginBottom: '4px' }}>✓ Every stretch between fuel stops is within range</div>
+      )}
+
+      <div style={{ color: '#6b7280', margin: '8px 0 4px 0' }}>
+        {analysis.stops.length} fuel stop{analysis.stops.length !== 1 ? 's' : ''} along the route
+        ({stationCount} station{stationCount !== 1 ? 's' : ''} saved)
+      </div>
+      {analysis.stops.map(stop => (
+        <div key={`${stop.id}-${Math.round(stop.distance)}`} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <span style={{ color: '#059669' }}>⛽</span>
+          <span style={{ flex: 1, minWidth: 0 }}>{stop.name}</span>
+          <span style={{ color: '#6b7280' }}>km {Math.round(stop.distance / 1000)}</span>
+          <button
+            onClick={() => onDeleteStation(stop.id)}
+            disabled={disabled}
+            style={{
+              padding: '0 4px',
+              background: 'none',
+              border: 'none',
+              color: '#dc2626',
+              cursor: disabled ? 'not-allowed' : 'pointer',
+              fontSize: '14px'
+            }}
+            title="Delete this fuel station (for all routes)"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', alignItems: 'center', marginTop: '8px' }}>
+        {placingName !== null ? (
+          <>
+            <input
+              type="text"
+              value={placingName}
+              onChange={(e) => onPlacingNameChange(e.target.value)}
+              placeholder="Station name"
+              style={{ flex: 1, minWidth: '100px', padding: '4px 6px', border: '1px solid #d1d5db', borderRadius: '4px', fontSize: '13px' }}
+            />
+            <span style={{ color: '#6b7280' }}>Click the map to place it</span>
+            <button onClick={() => onPlacingNameChange(null)} style={{ ...smallButtonStyle, backgroundColor: '#6b7280' }}>
+              Cancel
+            </button>
+          </>
+        ) : (
+          <>
+            <button
+              onClick={() => onPlacingNameChange('')}
+              disabled={disabled}
+              style={{ ...smallButtonStyle, backgroundColor: disabled ? '#d1d5db' : '#3b82f6', cursor: disabled ? 'not-allowed' : 'pointer' }}
+            >
+              Add station on map
+            </button>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={disabled}
+              style={{ ...smallButtonStyle, backgroundColor: disabled ? '#d1d5db' : '#6b7280', cursor: disabled ? 'not-allowed' : 'pointer' }}
+              title="Overpass JSON, GeoJSON or .osm file with amenity=fuel; replaces the previously imported stations"
+            >
+              Import OSM extract
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={FUEL_FILE_EXTENSIONS.join(',')}
+              onChange={handleFileSelected}
+              style={{ display: 'none' }}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
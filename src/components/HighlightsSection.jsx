@@ -0,0 +1,91 @@
+import { getHighlightType, isHighlightLocated } from '../utils/highlights';
+
+/**
+ * HighlightsSection component - Points of interest extracted from the itinerary
+ * @param {Object} props
+ * @param {Array} props.highlights - Highlight objects {id, name, type, day, context, lat, lng}
+ * @param {Function} props.onHighlightsChange - Callback when highlights change: (highlights) => void
+ * @param {Function} props.onLocate - Callback to geocode highlights without coordinates
+ * @param {Object|null} props.progress - { current, total } while locating
+ * @param {boolean} props.disabled - Whether another operation is running
+ */
+export default function HighlightsSection({ highlights = [], onHighlightsChange, onLocate, progress = null, disabled = false }) {
+  const unlocatedCount = highlights.filter(h => !isHighlightLocated(h)).length;
+  const canLocate = !disabled && unlocatedCount > 0;
+
+  const handleRemove = (id) => {
+    onHighlightsChange(highlights.filter(h => h.id !== id));
+  };
+
+  return (
+    <div style={{
+      padding: '12px',
+      border: '1px solid #e5e7eb',
+      borderRadius: '4px',
+      backgroundColor: 'white',
+      fontSize: '13px'
+    }}>
+      <div style={{ fontWeight: '500', marginBottom: '8px' }}>Highlights ({highlights.length})</div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', marginBottom: '8px' }}>
+        {highlights.map(highlight => {
+          const typeInfo = getHighlightType(highlight.type);
+          const located = isHighlightLocated(highlight);
+          return (
+            <div
+              key={highlight.id}
+              style={{ display: 'flex', alignItems: 'center', gap: '6px' }}
+              title={highlight.context || undefined}
+            >
+              <span style={{ color: typeInfo.color, fontWeight: 'bold', width: '14px', textAlign: 'center' }}>
+                {typeInfo.symbol}
+              </span>
+              <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {highlight.name}
+                <span style={{ color: '#6b7280' }}>
+                  {' '}• {typeInfo.label}{highlight.day != null && ` • Day ${highlight.day}`}
+                </span>
+              </span>
+              <span style={{ color: located ? '#10b981' : '#9ca3af', fontSize: '12px' }}>
+                {located ? '✓ on map' : 'not located'}
+              </span>
+              <button
+                onClick={() => handleRemove(highlight.id)}
+                disabled={disabled}
+                style={{
+                  padding: '0 4px',
+                  background: 'none',
+                  border: 'none',
+                  color: '#dc2626',
+                  cursor: disabled ? 'not-allowed' : 'pointer',
+                  fontSize: '14px'
+                }}
+                title="Remove highlight"
+              >
+                ×
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      <button
+        onClick={onLocate}
+        disabled={!canLocate}
+        style={{
+          padding: '6px 12px',
+          backgroundColor: canLocate ? '#3b82f6' : '#d1d5db',
+          color: 'white',
+          border: 'none',
+          borderRadius: '4px',
+          cursor: canLocate ? 'pointer' : 'not-allowed',
+          fontSize: '13px'
+        }}
+      >
+        {progress
+          ? `Locating... (${progress.current}/${progress.total})`
+          : unlocatedCount > 0 ? `Locate ${unlocatedCount} highlight${unlocatedCount === 1 ? '' : 's'}` : 'All highlights located'}
+      </button>
+    </div>
+  );
+}
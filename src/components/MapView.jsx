@@ -1,8 +1,15 @@
 import { useEffect, useRef, useState } from 'react';
-import { MapContainer, TileLayer, Polyline, Marker, Popup, Tooltip, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, Pane, Polyline, Polygon, Marker, Popup, Tooltip, CircleMarker, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
-import { formatDistance } from '../utils/geoUtils';
+import { formatDistance, formatDuration } from '../utils/geoUtils';
+import { formatElevation } from '../utils/elevationService';
+import { ALTERNATIVE_ROUTE_COLORS, getAlternativeLabel, getAlternativeClimb } from '../utils/alternativeRoutes';
+import { insertViaPoint } from '../utils/viaPoints';
+import { getHighlightType, isHighlightLocated } from '../utils/highlights';
+import { getEndpointSettings, resolveEndpoint, SATELLITE_LABELS_URL } from '../utils/endpoints';
+import { formatOpenMonths, getPassSeasonWarning } from '../utils/mountainPasses';
+import { getPlaceCategory } from '../utils/placeKnowledge';
 
 // Fix for default marker icons in React-Leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -12,6 +19,22 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png',
 });
 
+// Via-point handle: small hollow circle, unlike the numbered waypoint markers (via-points are not stops)
+const viaPointIcon = L.divIcon({
+  className: 'custom-via-point-marker',
+  html: `<div style="
+    width: 12px;
+    height: 12px;
+    border-radius: 50%;
+    background-color: white;
+    border: 3px solid #374151;
+    box-shadow: 0 1px 3px rgba(0,0,0,0.4);
+    cursor: move;
+  "></div>`,
+  iconSize: [18, 18],
+  iconAnchor: [9, 9]
+});
+
 /**
  * Component to fit map bounds to waypoints and route segments
  */
@@ -54,21 +77,77 @@ function FitBounds({ waypoints, segments, routePolyline }) {
   return null;
 }
 
+/**
+ * Component to collect map clicks (corners of an area being drawn)
+ */
+function MapClickHandler({ onClick }) {
+  useMapEvents({
+    click: (e) => onClick({ lat: e.latlng.lat, lng: e.latlng.lng })
+  });
+  return null;
+}
+
 /**
  * MapView component - Displays routes on an interactive map
  * @param {Object} props
  * @param {Array} props.waypoints - Array of waypoint objects {name, lat, lng, order, id}
  * @param {Array} props.routePolyline - Array of [lat, lng] coordinates for the route (backward compatibility)
  * @param {Array} props.segments - Array of segment objects {fromWaypointId, toWaypointId, polyline, distance}
+ * @param {Array} props.segmentHours - Estimated riding hours per segment (rideTime.js), shown in the segment tooltips
+ * @param {Array} props.highlights - Points of interest {id, name, type, day, lat, lng} shown as a toggleable layer
+ * @param {Array} props.alternativeRoutes - Alternative routes for one segment {polyline, distance, duration, ...}, fastest first
+ * @param {number|null} props.highlightedAlternative - Index of the alternative to emphasize
+ * @param {Function} props.onSegmentClick - Optional callback when a segment is clicked: (segmentIndex) => void
+ * @param {Function} props.onViaPointsChange - Optional callback to reshape a segment: (segmentIndex, viaPoints) => void;
+ *   when set, right-clicking a segment adds a via-point, via-points can be dragged and clicking one removes it
+ * @param {Array} props.avoidPolygons - Areas routing avoids, rings of [lat, lng]
+ * @param {Array|null} props.drawingArea - Corners [lat, lng] of an avoided or restricted area being drawn; map clicks add corners while set
+ * @param {Function} props.onDrawingAreaClick - Callback for map clicks while drawing: ({lat, lng}) => void
+ * @param {Array} props.fuelStops - Fuel stations along the route {id, name, lat, lng, distance} (fuelRange.js)
+ * @param {Array} props.fuelGaps - Stretches without fuel longer than the range {from, to, distance, polyline}
+ * @param {number} props.fuelRangeKm - Bike fuel range, for the stretch tooltips
+ * @param {Function} props.onFuelStationPlace - Callback for map clicks while placing a fuel station: ({lat, lng}) => void
+ * @param {Array} props.permitAreas - Restricted areas {id, name, polygon, permit, foreignerPermit} (permitAreas.js)
+ * @param {Array} props.placeRecords - Stays and support {id, category, name, lat, lng, placeName, contacts, price, rating} (placeKnowledge.js)
+ * @param {Function} props.onPlaceRecordPlace - Callback for map clicks while picking a place record's location: ({lat, lng}) => void
+ * @param {Array} props.passCrossings - Mountain passes on the route {pass, segmentIndex, day, inSeason} (mountainPasses.js)
+ * @param {Object|null} props.hoverPosition - Position {lat, lng} to highlight (synced with the elevation profile)
+ * @param {Function} props.onHoverPositionChange - Optional callback when hovering a segment: (position | null) => void
  */
-export default function MapView({ waypoints = [], routePolyline = [], segments = [] }) {
+export default function MapView({ waypoints = [], routePolyline = [], segments = [], segmentHours = [], highlights = [], alternativeRoutes = [], highlightedAlternative = null, onSegmentClick = null, onViaPointsChange = null, avoidPolygons = [], drawingArea = null, onDrawingAreaClick = null, fuelStops = [], fuelGaps = [], fuelRangeKm = null, onFuelStationPlace = null, passCrossings = [], permitAreas = [], placeRecords = [], onPlaceRecordPlace = null, hoverPosition = null, onHoverPositionChange = null }) {
   // Default center: Indian Himalayas region (around Manali)
   const defaultCenter = [32.2432, 77.1892];
   const defaultZoom = 7;
   
   // Map view state: 'map' or 'satellite'
   const [mapView, setMapView] = useState('map');
+  const [showHighlights, setShowHighlights] = useState(true);
+  const [showFuel, setShowFuel] = useState(true);
+  const [showPasses, setShowPasses] = useState(true);
+  const [showPermitAreas, setShowPermitAreas] = useState(true);
+  const [showPlaceRecords, setShowPlaceRecords] = useState(true);
+  // Tile URL templates: defaults until the endpoint settings are loaded
+  const [tileUrls, setTileUrls] = useState(() => ({
+    mapTiles: resolveEndpoint('mapTiles', {}),
+    satelliteTiles: resolveEndpoint('satelliteTiles', {})
+  }));
+  const locatedHighlights = highlights.filter(isHighlightLocated);
+  // One marker per pass, with every crossing (out-and-back routes cross twice)
+  const passMarkers = Object.values(passCrossings.reduce((byPass, crossing) => {
+    const marker = byPass[crossing.pass.id] || { pass: crossing.pass, crossings: [] };
+    marker.crossings.push(crossing);
+    return { ...byPass, [crossing.pass.id]: marker };
+  }, {}));
   
+  useEffect(() => {
+    getEndpointSettings()
+      .then(settings => setTileUrls({
+        mapTiles: resolveEndpoint('mapTiles', settings),
+        satelliteTiles: resolveEndpoint('satelliteTiles', settings)
+      }))
+      .catch(error => console.warn('Could not load tile endpoints, using defaults:', error));
+  }, []);
+
   // Debug logging
   useEffect(() => {
   }, [segments, routePolyline]);
@@ -149,6 +228,77 @@ export default function MapView({ waypoints = [], routePolyline = [], segments =
     });
   };
 
+  // Highlight marker: square badge with the type symbol, so it reads differently from the round waypoint numbers
+  const createHighlightIcon = (type) => {
+    const { symbol, color } = getHighlightType(type);
+    return L.divIcon({
+      className: 'custom-highlight-marker',
+      html: `<div style="
+        background-color: white;
+        color: ${color};
+        width: 22px;
+        height: 22px;
+        border-radius: 4px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-weight: bold;
+        font-size: 13px;
+        border: 2px solid ${color};
+        box-shadow: 0 1px 3px rgba(0,0,0,0.3);
+      ">${symbol}</div>`,
+      iconSize: [22, 22],
+      iconAnchor: [11, 11]
+    });
+  };
+
+  // Place record marker: small round badge with the category symbol
+  const createPlaceRecordIcon = (category) => {
+    const { symbol, color } = getPlaceCategory(category);
+    return L.divIcon({
+      className: 'custom-place-record-marker',
+      html: `<div style="
+        background-color: white;
+        color: ${color};
+        width: 18px;
+        height: 18px;
+        border-radius: 50%;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-weight: bold;
+        font-size: 11px;
+        border: 2px solid ${color};
+        box-shadow: 0 1px 3px rgba(0,0,0,0.3);
+      ">${symbol}</div>`,
+      iconSize: [18, 18],
+      iconAnchor: [9, 9]
+    });
+  };
+
+  // Pass marker: triangle badge, red when a crossing falls outside the pass's usual season
+  const createPassIcon = (outOfSeason) => {
+    const color = outOfSeason ? '#dc2626' : '#7c3aed';
+    return L.divIcon({
+      className: 'custom-pass-marker',
+      html: `<div style="
+        background-color: ${outOfSeason ? '#fef2f2' : 'white'};
+        color: ${color};
+        width: 22px;
+        height: 22px;
+        border-radius: 50%;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 12px;
+        border: 2px solid ${color};
+        box-shadow: 0 1px 3px rgba(0,0,0,0.3);
+      ">▲</div>`,
+      iconSize: [22, 22],
+      iconAnchor: [11, 11]
+    });
+  };
+
   return (
     <div style={{ height: '100%', width: '100%', position: 'relative' }}>
       {/* Map view toggle button */}
@@ -196,6 +346,101 @@ export default function MapView({ waypoints = [], routePolyline = [], segments =
         >
           Satellite
         </button>
+        {locatedHighlights.length > 0 && (
+          <button
+            onClick={() => setShowHighlights(prev => !prev)}
+            style={{
+              padding: '8px 12px',
+              border: 'none',
+              borderLeft: '1px solid #e5e7eb',
+              backgroundColor: showHighlights ? '#3b82f6' : 'white',
+              color: showHighlights ? 'white' : '#374151',
+              cursor: 'pointer',
+              fontSize: '14px',
+              fontWeight: showHighlights ? '600' : '400',
+              transition: 'all 0.2s'
+            }}
+            title={showHighlights ? 'Hide highlights' : 'Show highlights'}
+          >
+            Highlights
+          </button>
+        )}
+        {(fuelStops.length > 0 || fuelGaps.length > 0) && (
+          <button
+            onClick={() => setShowFuel(prev => !prev)}
+            style={{
+              padding: '8px 12px',
+              border: 'none',
+              borderLeft: '1px solid #e5e7eb',
+              backgroundColor: showFuel ? '#3b82f6' : 'white',
+              color: showFuel ? 'white' : '#374151',
+              cursor: 'pointer',
+              fontSize: '14px',
+              fontWeight: showFuel ? '600' : '400',
+              transition: 'all 0.2s'
+            }}
+            title={showFuel ? 'Hide fuel stops and gaps' : 'Show fuel stops and gaps'}
+          >
+            Fuel
+          </button>
+        )}
+        {passMarkers.length > 0 && (
+          <button
+            onClick={() => setShowPasses(prev => !prev)}
+            style={{
+              padding: '8px 12px',
+              border: 'none',
+              borderLeft: '1px solid #e5e7eb',
+              backgroundColor: showPasses ? '#3b82f6' : 'white',
+              color: showPasses ? 'white' : '#374151',
+              cursor: 'pointer',
+              fontSize: '14px',
+              fontWeight: showPasses ? '600' : '400',
+              transition: 'all 0.2s'
+            }}
+            title={showPasses ? 'Hide mountain passes' : 'Show mountain passes'}
+          >
+            Passes
+          </button>
+        )}
+        {permitAreas.length > 0 && (
+          <button
+            onClick={() => setShowPermitAreas(prev => !prev)}
+            style={{
+              padding: '8px 12px',
+              border: 'none',
+              borderLeft: '1px solid #e5e7eb',
+              backgroundColor: showPermitAreas ? '#3b82f6' : 'white',
+              color: showPermitAreas ? 'white' : '#374151',
+              cursor: 'pointer',
+              fontSize: '14px',
+              fontWeight: showPermitAreas ? '600' : '400',
+              transition: 'all 0.2s'
+            }}
+            title={showPermitAreas ? 'Hide restricted areas' : 'Show restricted areas'}
+          >
+            Permits
+          </button>
+        )}
+        {placeRecords.length > 0 && (
+          <button
+            onClick={() => setShowPlaceRecords(prev => !prev)}
+            style={{
+              padding: '8px 12px',
+              border: 'none',
+              borderLeft: '1px solid #e5e7eb',
+              backgroundColor: showPlaceRecords ? '#3b82f6' : 'white',
+              color: showPlaceRecords ? 'white' : '#374151',
+              cursor: 'pointer',
+              fontSize: '14px',
+              fontWeight: showPlaceRecords ? '600' : '400',
+              transition: 'all 0.2s'
+            }}
+            title={showPlaceRecords ? 'Hide stays and support places' : 'Show stays and support places'}
+          >
+            Places
+          </button>
+        )}
       </div>
 
       <MapContainer
@@ -207,17 +452,17 @@ export default function MapView({ waypoints = [], routePolyline = [], segments =
         {mapView === 'map' ? (
           <TileLayer
             attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            url={tileUrls.mapTiles}
           />
         ) : (
           <>
             <TileLayer
               attribution='&copy; <a href="https://www.esri.com/">Esri</a> &mdash; Source: Esri, Maxar, GeoEye, Earthstar Geographics, CNES/Airbus DS, USDA, USGS, AeroGRID, IGN, and the GIS User Community'
-              url="https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"
+              url={tileUrls.satelliteTiles}
             />
             <TileLayer
               attribution='&copy; <a href="https://www.esri.com/">Esri</a>'
-              url="https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}"
+              url={SATELLITE_LABELS_URL}
               opacity={1}
               zIndex={1000}
             />
@@ -225,6 +470,22 @@ export default function MapView({ waypoints = [], routePolyline = [], segments =
         )}
         
         <FitBounds waypoints={waypoints} segments={segments} routePolyline={routePolyline} />
+
+        {/* Stretches without fuel longer than the range: wide band in a pane below the segments */}
+        <Pane name="fuel-gaps" style={{ zIndex: 390 }}>
+          {showFuel && fuelGaps.map((gap, index) => (
+            <Polyline
+              key={`fuel-gap-${index}`}
+              positions={gap.polyline}
+              pathOptions={{ color: '#dc2626', weight: 14, opacity: 0.3 }}
+            >
+              <Tooltip sticky>
+                ⚠ {gap.from} → {gap.to}: {formatDistance(gap.distance)} without fuel
+                {fuelRangeKm && <div style={{ fontSize: '0.85em', color: '#666' }}>Range {fuelRangeKm} km</div>}
+              </Tooltip>
+            </Polyline>
+          ))}
+        </Pane>
         
         {/* Display route segments (if available) */}
         {segments && segments.length > 0 ? (
@@ -245,9 +506,12 @@ export default function MapView({ waypoints = [], routePolyline = [], segments =
               return null;
             }
             
-            // Format distance for tooltip
+            // Format distance and riding time for tooltip
             const distanceText = formatDistance(segment.distance);
-            const tooltipContent = distanceText || (segment.distance != null ? 'Distance not available' : null);
+            const rideText = segmentHours[index] != null ? `~${formatDuration(segmentHours[index] * 3600)} riding` : null;
+            const tooltipContent = distanceText
+              ? [distanceText, rideText].filter(Boolean).join(' • ')
+              : (segment.distance != null ? 'Distance not available' : null);
             const segmentColor = segmentColors[index % segmentColors.length];
             
             return (
@@ -258,6 +522,14 @@ export default function MapView({ waypoints = [], routePolyline = [], segments =
                 weight={4}
                 opacity={0.7}
                 eventHandlers={{
+                  click: () => {
+                    if (onSegmentClick) onSegmentClick(index);
+                  },
+                  contextmenu: (e) => {
+                    if (!onViaPointsChange || !e.latlng) return;
+                    L.DomEvent.preventDefault(e.originalEvent);
+                    onViaPointsChange(index, insertViaPoint(segment.viaPoints || [], e.latlng, validPolyline));
+                  },
                   mouseover: (e) => {
                     // Highlight segment on hover: increase weight and opacity
                     const polyline = e.target;
@@ -275,6 +547,7 @@ export default function MapView({ waypoints = [], routePolyline = [], segments =
                       weight: 4,
                       opacity: 0.7
                     });
+                    if (onHoverPositionChange) onHoverPositionChange(null);
                   },
                   mousemove: (e) => {
                     // Update tooltip position to follow mouse
@@ -282,6 +555,10 @@ export default function MapView({ waypoints = [], routePolyline = [], segments =
                     if (polyline && polyline._tooltip && e.latlng) {
                       polyline._tooltip.setLatLng(e.latlng);
                     }
+                    // Sync elevation profile cursor
+                    if (onHoverPositionChange && e.latlng) {
+                      onHoverPositionChange({ lat: e.latlng.lat, lng: e.latlng.lng });
+                    }
                   }
                 }}
               >
@@ -292,6 +569,17 @@ export default function MapView({ waypoints = [], routePolyline = [], segments =
                     options={{ sticky: true }}
                   >
                     {tooltipContent}
+                    {segment.duration != null && (
+                      <div style={{ fontSize: '0.85em', color: '#666' }}>
+                        Routing service (car): {formatDuration(segment.duration)}
+                      </div>
+                    )}
+                    {onViaPointsChange && (
+                      <div style={{ fontSize: '0.85em', color: '#666' }}>
+                        {segment.viaPoints?.length > 0 && `${segment.viaPoints.length} via-point${segment.viaPoints.length !== 1 ? 's' : ''} • `}
+                        Right-click to add a via-point
+                      </div>
+                    )}
                   </Tooltip>
                 )}
               </Polyline>
@@ -309,6 +597,196 @@ export default function MapView({ waypoints = [], routePolyline = [], segments =
           )
         )}
 
+        {/* Restricted areas needing permits */}
+        {showPermitAreas && permitAreas.filter(area => area.polygon.length >= 3).map(area => (
+          <Polygon
+            key={`permit-${area.id}`}
+            positions={area.polygon}
+            pathOptions={{ color: '#d97706', weight: 2, fillOpacity: 0.08, dashArray: '8 6' }}
+          >
+            <Tooltip sticky>
+              <strong>{area.name}</strong>
+              {area.permit && <div style={{ fontSize: '0.85em' }}>{area.permit}</div>}
+              {area.foreignerPermit && <div style={{ fontSize: '0.85em', color: '#666' }}>Foreign nationals: {area.foreignerPermit}</div>}
+            </Tooltip>
+          </Polygon>
+        ))}
+
+        {/* Avoided areas (routing options) and the one being drawn */}
+        {avoidPolygons.map((ring, index) => (
+          <Polygon
+            key={`avoid-${index}`}
+            positions={ring}
+            pathOptions={{ color: '#dc2626', weight: 2, fillOpacity: 0.15, dashArray: '4 4' }}
+          >
+            <Tooltip sticky>Avoided area {index + 1}</Tooltip>
+          </Polygon>
+        ))}
+        {drawingArea && (
+          <>
+            <MapClickHandler onClick={(point) => onDrawingAreaClick?.(point)} />
+            {drawingArea.length > 1 && (
+              <Polygon
+                positions={drawingArea}
+                pathOptions={{ color: '#dc2626', weight: 2, fillOpacity: 0.1 }}
+                interactive={false}
+              />
+            )}
+            {drawingArea.map(([lat, lng], index) => (
+              <CircleMarker
+                key={`draft-${index}`}
+                center={[lat, lng]}
+                radius={4}
+                pathOptions={{ color: '#dc2626', fillColor: 'white', fillOpacity: 1, weight: 2 }}
+                interactive={false}
+              />
+            ))}
+          </>
+        )}
+
+        {/* Via-points: drag to reshape the segment, click to remove */}
+        {segments.flatMap((segment, segmentIndex) => (segment.viaPoints || []).map((via, viaIndex) => (
+          <Marker
+            key={`via-${segmentIndex}-${viaIndex}-${via.lat}-${via.lng}`}
+            position={[via.lat, via.lng]}
+            icon={viaPointIcon}
+            draggable={Boolean(onViaPointsChange)}
+            eventHandlers={{
+              dragend: (e) => {
+                if (!onViaPointsChange) return;
+                const { lat, lng } = e.target.getLatLng();
+                onViaPointsChange(segmentIndex, segment.viaPoints.map((v, i) => i === viaIndex ? { lat, lng } : v));
+              },
+              click: () => {
+                if (!onViaPointsChange) return;
+                onViaPointsChange(segmentIndex, segment.viaPoints.filter((_, i) => i !== viaIndex));
+              }
+            }}
+          >
+            <Tooltip direction="top" offset={[0, -8]}>
+              Via-point (not a stop){onViaPointsChange && ' • drag to move, click to remove'}
+            </Tooltip>
+          </Marker>
+        )))}
+
+        {/* Alternative routes for the chosen segment: dashed, solid while hovered in the list */}
+        {alternativeRoutes.map((route, index) => {
+          const { ascent } = getAlternativeClimb(route);
+          const emphasized = highlightedAlternative === index;
+          return (
+            <Polyline
+              key={`alternative-${index}-${route.distance}`}
+              positions={route.polyline}
+              pathOptions={{
+                color: ALTERNATIVE_ROUTE_COLORS[index % ALTERNATIVE_ROUTE_COLORS.length],
+                weight: emphasized ? 7 : 5,
+                opacity: emphasized ? 1 : 0.8,
+                dashArray: emphasized ? null : '10 8'
+              }}
+            >
+              <Tooltip direction="auto" options={{ sticky: true }}>
+                <strong>{getAlternativeLabel(index + 1)}</strong>
+                <div style={{ fontSize: '0.85em', color: '#666' }}>
+                  {[formatDistance(route.distance), formatDuration(route.duration), ascent != null && `↑ ${formatElevation(ascent)}`]
+                    .filter(Boolean)
+                    .join(' • ')}
+                </div>
+              </Tooltip>
+            </Polyline>
+          );
+        })}
+
+        {/* Fuel stations along the route, and placing a new one */}
+        {showFuel && fuelStops.map(stop => (
+          <CircleMarker
+            key={`fuel-${stop.id}-${Math.round(stop.distance)}`}
+            center={[stop.lat, stop.lng]}
+            radius={6}
+            pathOptions={{ color: 'white', weight: 2, fillColor: '#059669', fillOpacity: 1 }}
+          >
+            <Tooltip direction="top" offset={[0, -6]}>
+              ⛽ {stop.name}
+              <div style={{ fontSize: '0.85em', color: '#666' }}>km {Math.round(stop.distance / 1000)}</div>
+            </Tooltip>
+          </CircleMarker>
+        ))}
+        {onFuelStationPlace && !drawingArea && <MapClickHandler onClick={onFuelStationPlace} />}
+
+        {/* Elevation profile cursor */}
+        {hoverPosition && (
+          <CircleMarker
+            center={[hoverPosition.lat, hoverPosition.lng]}
+            radius={7}
+            pathOptions={{ color: 'white', weight: 2, fillColor: '#ef4444', fillOpacity: 1 }}
+            interactive={false}
+          />
+        )}
+
+        {/* Stays and support places (shared by all routes), and picking a new one's location */}
+        {showPlaceRecords && placeRecords.map(record => {
+          const category = getPlaceCategory(record.category);
+          return (
+            <Marker
+              key={`place-record-${record.id}`}
+              position={[record.lat, record.lng]}
+              icon={createPlaceRecordIcon(record.category)}
+            >
+              <Tooltip direction="top" offset={[0, -8]}>
+                <strong>{record.name}</strong>{record.rating && ` ${'★'.repeat(record.rating)}`}
+                <div style={{ fontSize: '0.85em', color: '#666' }}>
+                  {category.label}{record.placeName && ` • ${record.placeName}`}
+                </div>
+                {record.contacts && <div style={{ fontSize: '0.85em' }}>☎ {record.contacts}</div>}
+                {record.price && <div style={{ fontSize: '0.85em' }}>{record.price}</div>}
+              </Tooltip>
+            </Marker>
+          );
+        })}
+        {onPlaceRecordPlace && !drawingArea && <MapClickHandler onClick={onPlaceRecordPlace} />}
+
+        {/* Mountain passes on the route, with their usual season */}
+        {showPasses && passMarkers.map(({ pass, crossings }) => {
+          const warnings = crossings.map(getPassSeasonWarning).filter(Boolean);
+          const days = crossings.map(c => c.day).filter(Boolean);
+          return (
+            <Marker
+              key={`pass-${pass.id}`}
+              position={[pass.lat, pass.lng]}
+              icon={createPassIcon(warnings.length > 0)}
+            >
+              <Tooltip direction="top" offset={[0, -10]}>
+                <strong>{pass.name}</strong> {formatElevation(pass.altitude)}
+                <div style={{ fontSize: '0.85em', color: '#666' }}>
+                  Usually open: {formatOpenMonths(pass.openMonths)}{days.length > 0 && ` • Day ${days.join(', ')}`}
+                </div>
+                <div style={{ fontSize: '0.85em', color: '#666', maxWidth: '240px', whiteSpace: 'normal' }}>{pass.note}</div>
+                {warnings.map((warning, index) => (
+                  <div key={index} style={{ fontSize: '0.85em', color: '#dc2626', maxWidth: '240px', whiteSpace: 'normal' }}>⚠ {warning}</div>
+                ))}
+              </Tooltip>
+            </Marker>
+          );
+        })}
+
+        {/* Highlights layer: lakes, monasteries, viewpoints... mentioned in the itinerary */}
+        {showHighlights && locatedHighlights.map(highlight => {
+          const typeInfo = getHighlightType(highlight.type);
+          return (
+            <Marker
+              key={highlight.id}
+              position={[highlight.lat, highlight.lng]}
+              icon={createHighlightIcon(highlight.type)}
+            >
+              <Tooltip direction="top" offset={[0, -10]}>
+                <strong>{highlight.name}</strong>
+                <div style={{ fontSize: '0.85em', color: '#666' }}>
+                  {typeInfo.label}{highlight.day != null && ` • Day ${highlight.day}`}
+                </div>
+              </Tooltip>
+            </Marker>
+          );
+        })}
+
         {/* Display waypoint markers: one per unique position, with all sequence numbers at that position */}
         {Array.from(waypointsByPosition.entries()).map(([key, { waypoints: wps, numbers }]) => {
           const first = wps[0];
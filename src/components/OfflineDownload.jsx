@@ -0,0 +1,244 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  OFFLINE_TILE_LAYERS,
+  MAX_OFFLINE_TILES,
+  isOfflineCacheSupported,
+  getTilesForRoute,
+  getTileUrls,
+  estimateDownloadBytes,
+  formatBytes,
+  downloadTiles,
+  getCachedTileCount,
+  clearOfflineTiles,
+  getOfflineDownloadBlock
+} from '../utils/offlineTiles';
+import { getEndpointSettings } from '../utils/endpoints';
+
+const ZOOM_OPTIONS = [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16];
+
+const selectStyle = {
+  padding: '4px 6px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px'
+};
+
+/**
+ * OfflineDownload component - Download map tiles along the route for offline use
+ * @param {Object} props
+ * @param {Array} props.segments - Route segments with polylines
+ */
+export default function OfflineDownload({ segments = [] }) {
+  const [layerId, setLayerId] = useState('map');
+  const [minZoom, setMinZoom] = useState(8);
+  const [maxZoom, setMaxZoom] = useState(13);
+  const [progress, setProgress] = useState(null); // { done, total, downloaded, skipped, failed, bytes }
+  const [downloading, setDownloading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [cachedCount, setCachedCount] = useState(null);
+  const [endpointSettings, setEndpointSettings] = useState(null); // tile servers set in Settings
+  const abortRef = useRef(null);
+
+  const supported = isOfflineCacheSupported();
+
+  useEffect(() => {
+    if (!supported) return;
+    getCachedTileCount().then(setCachedCount);
+  }, [supported]);
+
+  useEffect(() => {
+    getEndpointSettings().then(setEndpointSettings).catch(() => setEndpointSettings({}));
+  }, []);
+
+  // Abort a running download when the editor closes
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const tiles = useMemo(
+    () => getTilesForRoute(segments, minZoom, maxZoom),
+    [segments, minZoom, maxZoom]
+  );
+  const tileUrls = useMemo(
+    () => endpointSettings ? getTileUrls(tiles, layerId, endpointSettings) : [],
+    [tiles, layerId, endpointSettings]
+  );
+  const estimatedBytes = estimateDownloadBytes(tiles.length, layerId);
+  const tooMany = tileUrls.length > MAX_OFFLINE_TILES;
+  // OpenStreetMap's tile usage policy forbids prefetching: map tiles need a custom tile server
+  const blockedReason = endpointSettings ? getOfflineDownloadBlock(layerId, endpointSettings) : null;
+  const cannotDownload = segments.length === 0 || tooMany || Boolean(blockedReason);
+
+  const handleDownload = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setDownloading(true);
+    setMessage(null);
+    setProgress({ done: 0, total: tileUrls.length, downloaded: 0, skipped: 0, failed: 0, bytes: 0 });
+
+    try {
+      const result = await downloadTiles(tileUrls, { onProgress: setProgress, signal: controller.signal });
+      setMessage(result.aborted
+        ? `Download cancelled after ${result.done} of ${result.total} tiles.`
+        : `Done: ${result.downloaded} downloaded (${formatBytes(result.bytes)}), ${result.skipped} already saved` +
+          (result.failed > 0 ? `, ${result.failed} failed — run again to retry.` : '.'));
+    } catch (err) {
+      console.error('Offline download error:', err);
+      setMessage(`Error: ${err.message}`);
+    } finally {
+      abortRef.current = null;
+      setDownloading(false);
+      setCachedCount(await getCachedTileCount());
+    }
+  };
+
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete all map tiles saved for offline use?')) return;
+    await clearOfflineTiles();
+    setCachedCount(0);
+    setProgress(null);
+    setMessage('Offline tiles deleted.');
+  };
+
+  if (!supported) {
+    return (
+      <div style={{ fontSize: '13px', color: '#6b7280' }}>
+        Offline maps are not available in this browser (requires HTTPS and Cache Storage).
+      </div>
+    );
+  }
+
+  const percent = progress && progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  return (
+    <div style={{
+      padding: '12px',
+      border: '1px solid #e5e7eb',
+      borderRadius: '4px',
+      backgroundColor: 'white',
+      fontSize: '13px'
+    }}>
+      <div style={{ fontWeight: '500', marginBottom: '8px' }}>Offline maps</div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', marginBottom: '8px' }}>
+        <select value={layerId} onChange={(e) => setLayerId(e.target.value)} disabled={downloading} style={selectStyle}>
+          {Object.entries(OFFLINE_TILE_LAYERS).map(([id, layer]) => (
+            <option key={id} value={id}>
+              {layer.label} ({endpointSettings?.[layer.endpoint] ? 'custom tile server' : layer.source})
+            </option>
+          ))}
+        </select>
+        <span>
+          Zoom{' '}
+          <select
+            value={minZoom}
+            onChange={(e) => {
+              const value = Number(e.target.value);
+              setMinZoom(value);
+              if (value > maxZoom) setMaxZoom(value);
+            }}
+            disabled={downloading}
+            style={selectStyle}
+          >
+            {ZOOM_OPTIONS.map(z => <option key={z} value={z}>{z}</option>)}
+          </select>
+          {' – '}
+          <select
+            value={maxZoom}
+            onChange={(e) => {
+              const value = Number(e.target.value);
+              setMaxZoom(value);
+              if (value < minZoom) setMinZoom(value);
+            }}
+            disabled={downloading}
+            style={selectStyle}
+          >
+            {ZOOM_OPTIONS.map(z => <option key={z} value={z}>{z}</option>)}
+          </select>
+        </span>
+      </div>
+
+      <div style={{ color: tooMany ? '#dc2626' : '#6b7280', marginBottom: '8px' }}>
+        {segments.length === 0
+          ? 'Calculate the route first.'
+          : `${tileUrls.length.toLocaleString()} tiles • ~${formatBytes(estimatedBytes)}` +
+            (tooMany ? ` — too many, reduce the zoom range (limit ${MAX_OFFLINE_TILES.toLocaleString()})` : '')}
+      </div>
+
+      {blockedReason && <div style={{ color: '#b45309', marginBottom: '8px' }}>{blockedReason}</div>}
+
+      {progress && (
+        <div style={{ marginBottom: '8px' }}>
+          <div style={{ height: '6px', backgroundColor: '#e5e7eb', borderRadius: '3px', overflow: 'hidden' }}>
+            <div style={{ width: `${percent}%`, height: '100%', backgroundColor: '#10b981', transition: 'width 0.2s' }} />
+          </div>
+          <div style={{ color: '#6b7280', marginTop: '4px' }}>
+            {progress.done} / {progress.total} ({percent}%) • {formatBytes(progress.bytes)} downloaded
+            {progress.failed > 0 && ` • ${progress.failed} failed`}
+          </div>
+        </div>
+      )}
+
+      {message && <div style={{ color: '#374151', marginBottom: '8px' }}>{message}</div>}
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        {downloading ? (
+          <button
+            onClick={handleCancel}
+            style={{
+              padding: '6px 12px',
+              backgroundColor: '#6b7280',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontSize: '13px'
+            }}
+          >
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={handleDownload}
+            disabled={cannotDownload}
+            style={{
+              padding: '6px 12px',
+              backgroundColor: cannotDownload ? '#d1d5db' : '#3b82f6',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: cannotDownload ? 'not-allowed' : 'pointer',
+              fontSize: '13px'
+            }}
+          >
+            Download for offline
+          </button>
+        )}
+        {cachedCount !== null && (
+          <span style={{ color: '#6b7280' }}>
+            {cachedCount.toLocaleString()} tiles saved
+            {cachedCount > 0 && !downloading && (
+              <button
+                onClick={handleClear}
+                style={{
+                  marginLeft: '6px',
+                  padding: 0,
+                  background: 'none',
+                  border: 'none',
+                  color: '#dc2626',
+                  cursor: 'pointer',
+                  fontSize: '13px',
+                  textDecoration: 'underline'
+                }}
+              >
+                Clear
+              </button>
+            )}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+import { useState } from 'react';
+import { formatPermitDays } from '../utils/permits';
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  backgroundColor: '#3b82f6',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '4px 6px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px',
+  boxSizing: 'border-box'
+};
+
+const linkButtonStyle = {
+  padding: '0 4px',
+  background: 'none',
+  border: 'none',
+  color: '#3b82f6',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+// Text fields of a restricted area, in form order
+const AREA_FIELDS = [
+  { field: 'name', label: 'Name' },
+  { field: 'permit', label: 'Permit (everyone)' },
+  { field: 'foreignerPermit', label: 'Extra for foreign nationals' },
+  { field: 'obtainAt', label: 'Where to get it' }
+];
+
+/**
+ * PermitsSection component - Permit checklist for the route and the restricted areas it is checked against
+ * @param {Object} props
+ * @param {Array} props.checklist - From getPermitChecklist: [{ area, days }]
+ * @param {string[]} props.obtained - IDs of the areas whose permits are obtained (stored with the route)
+ * @param {Function} props.onObtainedChange - (areaId, obtained) => void
+ * @param {Array} props.areas - All restricted areas (shared by all routes)
+ * @param {boolean} props.hasRoute - Whether the route has been calculated
+ * @param {Function} props.onSaveArea - (area) => void, save edited fields
+ * @param {Function} props.onDeleteArea - (areaId) => void
+ * @param {Function} props.onRestoreDefaults - Add the default areas back
+ * @param {Object|null} props.drawing - Area being drawn { areaId (null for a new area), corners }, null when not drawing
+ * @param {Function} props.onStartDrawing - (areaId | null) => void; an ID redraws that area's outline
+ * @param {Function} props.onFinishDrawing - Save the drawn outline
+ * @param {Function} props.onCancelDrawing - Discard the drawn outline
+ * @param {boolean} props.disabled - Whether another operation is running
+ */
+export default function PermitsSection({
+  checklist = [],
+  obtained = [],
+  onObtainedChange,
+  areas = [],
+  hasRoute = false,
+  onSaveArea,
+  onDeleteArea,
+  onRestoreDefaults,
+  drawing = null,
+  onStartDrawing,
+  onFinishDrawing,
+  onCancelDrawing,
+  disabled = false
+}) {
+  const [showAreas, setShowAreas] = useState(false);
+  const [editing, setEditing] = useState(null); // copy of the area being edited
+
+  const obtainedCount = checklist.filter(item => obtained.includes(item.area.id)).length;
+  const drawingName = drawing?.areaId ? areas.find(area => area.id === drawing.areaId)?.name : 'new area';
+
+  return (
+    <div style={{
+      padding: '12px',
+      border: '1px solid #e5e7eb',
+      borderRadius: '4px',
+      backgroundColor: 'white',
+      fontSize: '13px'
+    }}>
+      <div style={{ fontWeight: '500', marginBottom: '8px' }}>
+        Permits{checklist.length > 0 && ` (${obtainedCount} of ${checklist.length} obtained)`}
+      </div>
+
+      {checklist.map(({ area, days }) => (
+        <label key={area.id} style={{ display: 'flex', alignItems: 'flex-start', gap: '6px', marginBottom: '8px', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={obtained.includes(area.id)}
+            onChange={(e) => onObtainedChange(area.id, e.target.checked)}
+            style={{ marginTop: '2px' }}
+          />
+          <span style={{ flex: 1, minWidth: 0 }}>
+            <strong>{area.name}</strong>{days.length > 0 && <span style={{ color: '#6b7280' }}> • {formatPermitDays(days)}</span>}
+            {area.permit && <div>{area.permit}</div>}
+            {area.foreignerPermit && <div style={{ color: '#92400e' }}>Foreign nationals: {area.foreignerPermit}</div>}
+            {area.obtainAt && <div style={{ color: '#6b7280', fontSize: '12px' }}>Get it: {area.obtainAt}</div>}
+          </span>
+        </label>
+      ))}
+      {hasRoute && checklist.length === 0 && (
+        <div style={{ color: '#059669', marginBottom: '8px' }}>✓ The route does not enter any restricted area</div>
+      )}
+
+      <button onClick={() => setShowAreas(prev => !prev)} style={{ ...linkButtonStyle, padding: 0 }}>
+        {showAreas ? '▾' : '▸'} Restricted areas ({areas.length})
+      </button>
+
+      {showAreas && (
+        <div style={{ marginTop: '6px' }}>
+          {areas.map(area => (editing?.id === area.id ? (
+            <div key={area.id} style={{ display: 'flex', flexDirection: 'column', gap: '4px', padding: '6px', marginBottom: '6px', backgroundColor: '#f9fafb', borderRadius: '4px' }}>
+              {AREA_FIELDS.map(({ field, label }) => (
+                <label key={field} style={{ fontSize: '12px', color: '#374151' }}>
+                  {label}
+                  <input
+                    type="text"
+                    value={editing[field]}
+                    onChange={(e) => setEditing(prev => ({ ...prev, [field]: e.target.value }))}
+                    style={inputStyle}
+                  />
+                </label>
+              ))}
+              <div style={{ display: 'flex', gap: '6px' }}>
+                <button
+                  onClick={() => {
+                    onSaveArea(editing);
+                    setEditing(null);
+                  }}
+                  style={{ ...smallButtonStyle, backgroundColor: '#10b981' }}
+                >
+                  Save
+                </button>
+                <button onClick={() => setEditing(null)} style={{ ...smallButtonStyle, backgroundColor: '#6b7280' }}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div key={area.id} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+              <span style={{ flex: 1, minWidth: 0 }} title={[area.permit, area.foreignerPermit].filter(Boolean).join(' • ')}>{area.name}</span>
+              <button onClick={() => setEditing(area)} disabled={disabled} style={linkButtonStyle}>Edit</button>
+              <button onClick={() => onStartDrawing(area.id)} disabled={disabled || Boolean(drawing)} style={linkButtonStyle} title="Draw a new outline on the map">
+                Redraw
+              </button>
+              <button
+                onClick={() => onDeleteArea(area.id)}
+                disabled={disabled}
+                style={{ ...linkButtonStyle, color: '#dc2626', fontSize: '14px' }}
+                title="Delete this area (for all routes)"
+              >
+                ×
+              </button>
+            </div>
+          )))}
+
+          <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', alignItems: 'center', marginTop: '8px' }}>
+            {drawing ? (
+              <>
+                <span style={{ color: '#6b7280' }}>Click the map to add corners of {drawingName} ({drawing.corners.length})</span>
+                <button
+                  onClick={onFinishDrawing}
+                  disabled={drawing.corners.length < 3}
+                  style={{ ...smallButtonStyle, backgroundColor: drawing.corners.length < 3 ? '#d1d5db' : '#10b981', cursor: drawing.corners.length < 3 ? 'not-allowed' : 'pointer' }}
+                >
+                  Finish
+                </button>
+                <button onClick={onCancelDrawing} style={{ ...smallButtonStyle, backgroundColor: '#6b7280' }}>
+                  Cancel
+                </button>
+              </>
+            ) : (
+              <>
+                <button
+                  onClick={() => onStartDrawing(null)}
+                  disabled={disabled}
+                  style={{ ...smallButtonStyle, backgroundColor: disabled ? '#d1d5db' : '#3b82f6', cursor: disabled ? 'not-allowed' : 'pointer' }}
+                >
+                  Draw restricted area
+                </button>
+                <button
+                  onClick={onRestoreDefaults}
+                  disabled={disabled}
+                  style={{ ...smallButtonStyle, backgroundColor: disabled ? '#d1d5db' : '#6b7280', cursor: disabled ? 'not-allowed' : 'pointer' }}
+                  title="Add the built-in Ladakh and Spiti areas back (replaces edits to them)"
+                >
+                  Restore default areas
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div style={{ marginTop: '8px', fontSize: '12px', color: '#6b7280' }}>
+        Area outlines and rules are approximate; check the current permit rules before the trip.
+      </div>
+    </div>
+  );
+}
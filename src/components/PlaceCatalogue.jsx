@@ -0,0 +1,154 @@
+import { useState, useEffect } from 'react';
+import { getAllRoutes } from '../utils/storage';
+import { getShortPlaceName } from '../utils/calendarHelpers';
+import {
+  PLACE_CATEGORIES,
+  getPlaceRecords,
+  savePlaceRecord,
+  deletePlaceRecord,
+  searchPlaceRecords,
+  getRoutesNearPlaceRecord
+} from '../utils/placeKnowledge';
+import PlaceRecordForm from './PlaceRecordForm';
+import PlaceRecordItem from './PlaceRecordItem';
+
+const inputStyle = {
+  padding: '8px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '14px',
+  boxSizing: 'border-box'
+};
+
+/**
+ * PlaceCatalogue component - Search the place records (stays, mechanics, medical, ATMs, phone coverage) of all routes
+ * Records are added in the route editor, at a waypoint or a map point; here they can be found, edited and deleted.
+ * @param {Object} props
+ * @param {Function} props.onBack - Callback to return to the route library
+ * @param {Function} props.onSelectRoute - Open a route passing near a record: (routeId) => void
+ */
+export default function PlaceCatalogue({ onBack, onSelectRoute = null }) {
+  const [records, setRecords] = useState([]);
+  const [routes, setRoutes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [query, setQuery] = useState('');
+  const [category, setCategory] = useState('');
+  const [editing, setEditing] = useState(null); // record being edited
+
+  useEffect(() => {
+    Promise.all([getPlaceRecords(), getAllRoutes()])
+      .then(([allRecords, allRoutes]) => {
+        setRecords(allRecords);
+        setRoutes(allRoutes);
+      })
+      .catch(err => setError(`Error loading place records: ${err.message}`))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleSave = async (record) => {
+    try {
+      const saved = await savePlaceRecord(record);
+      setRecords(prev => prev.map(r => (r.id === saved.id ? saved : r)));
+      setEditing(null);
+    } catch (err) {
+      setError(`Error saving place record: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deletePlaceRecord(id);
+      setRecords(prev => prev.filter(r => r.id !== id));
+    } catch (err) {
+      setError(`Error deleting place record: ${err.message}`);
+    }
+  };
+
+  const results = searchPlaceRecords(records, query, category, routes);
+
+  return (
+    <div style={{ padding: '20px', maxWidth: '800px', margin: '0 auto' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h1>Places</h1>
+        <button
+          onClick={onBack}
+          style={{
+            padding: '10px 16px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '14px'
+          }}
+        >
+          ← Back
+        </button>
+      </div>
+
+      <p style={{ marginTop: 0, color: '#6b7280', fontSize: '14px' }}>
+        Stays, mechanics, medical help, ATMs and phone coverage recorded along your routes. Add records in the route
+        editor, at a waypoint or anywhere on the map; search by name, village, contact, notes or a route passing nearby.
+      </p>
+
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search places, e.g. Sarchu mechanic"
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <select value={category} onChange={(e) => setCategory(e.target.value)} style={inputStyle}>
+          <option value="">All types</option>
+          {Object.entries(PLACE_CATEGORIES).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div style={{ color: '#dc2626', marginBottom: '12px' }}>{error}</div>}
+
+      {loading ? (
+        <div>Loading places...</div>
+      ) : records.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px', backgroundColor: '#f3f4f6', borderRadius: '8px', color: '#6b7280' }}>
+          No places recorded yet
+        </div>
+      ) : (
+        <div style={{ backgroundColor: 'white', border: '1px solid #e5e7eb', borderRadius: '8px', padding: '8px 12px' }}>
+          <div style={{ fontSize: '13px', color: '#6b7280', marginBottom: '4px' }}>
+            {results.length} of {records.length} record{records.length !== 1 ? 's' : ''}
+          </div>
+          {results.map(record => (editing?.id === record.id ? (
+            <PlaceRecordForm key={record.id} record={editing} onSave={handleSave} onCancel={() => setEditing(null)} />
+          ) : (
+            <PlaceRecordItem
+              key={record.id}
+              record={record}
+              showPlace
+              onEdit={() => setEditing(record)}
+              onDelete={() => handleDelete(record.id)}
+            >
+              {getRoutesNearPlaceRecord(record, routes).map(route => (
+                <div key={route.id} style={{ fontSize: '12px', color: '#6b7280' }}>
+                  On{' '}
+                  {onSelectRoute ? (
+                    <button
+                      onClick={() => onSelectRoute(route.id)}
+                      style={{ padding: 0, background: 'none', border: 'none', color: '#3b82f6', cursor: 'pointer', fontSize: '12px' }}
+                    >
+                      {route.name}
+                    </button>
+                  ) : route.name}
+                  {' '}near {getShortPlaceName(route.waypointName)}
+                </div>
+              ))}
+            </PlaceRecordItem>
+          )))}
+        </div>
+      )}
+    </div>
+  );
+}
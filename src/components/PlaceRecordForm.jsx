@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { PLACE_CATEGORIES } from '../utils/placeKnowledge';
+
+const inputStyle = {
+  width: '100%',
+  padding: '4px 6px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = { display: 'block', fontSize: '12px', color: '#374151' };
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+// Free-text fields: [field, label, placeholder]
+const TEXT_FIELDS = [
+  ['name', 'Name', 'e.g. Nomad Homestay'],
+  ['placeName', 'Place', 'Village or waypoint'],
+  ['contacts', 'Contacts', 'Phone, WhatsApp, owner name...'],
+  ['price', 'Price', 'e.g. ₹1,500 per night with dinner'],
+  ['source', 'Source', 'Where the information comes from (blog, rider, visit...)']
+];
+
+/**
+ * PlaceRecordForm component - Add or edit a place record (stay, mechanic, medical, ATM, phone coverage)
+ * @param {Object} props
+ * @param {Object} props.record - Record to edit, or a new one with lat/lng and optional placeName
+ * @param {Function} props.onSave - (record) => void
+ * @param {Function} props.onCancel
+ */
+export default function PlaceRecordForm({ record, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => ({
+    category: 'homestay',
+    name: '',
+    placeName: '',
+    contacts: '',
+    price: '',
+    source: '',
+    rating: null,
+    notes: '',
+    ...record
+  }));
+
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', padding: '8px', backgroundColor: '#f9fafb', borderRadius: '4px' }}>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <label style={{ ...labelStyle, flex: 1 }}>
+          Type
+          <select value={draft.category} onChange={(e) => update('category', e.target.value)} style={inputStyle}>
+            {Object.entries(PLACE_CATEGORIES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Rating
+          <select value={draft.rating ?? ''} onChange={(e) => update('rating', e.target.value ? Number(e.target.value) : null)} style={inputStyle}>
+            <option value="">—</option>
+            {[1, 2, 3, 4, 5].map(stars => (
+              <option key={stars} value={stars}>{'★'.repeat(stars)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {TEXT_FIELDS.map(([field, label, placeholder]) => (
+        <label key={field} style={labelStyle}>
+          {label}
+          <input
+            type="text"
+            value={draft[field]}
+            onChange={(e) => update(field, e.target.value)}
+            placeholder={placeholder}
+            style={inputStyle}
+          />
+        </label>
+      ))}
+      <label style={labelStyle}>
+        Notes
+        <textarea
+          value={draft.notes}
+          onChange={(e) => update('notes', e.target.value)}
+          rows={2}
+          style={{ ...inputStyle, resize: 'vertical', fontFamily: 'inherit' }}
+        />
+      </label>
+      <div style={{ fontSize: '12px', color: '#6b7280' }}>
+        At {draft.lat.toFixed(4)}, {draft.lng.toFixed(4)}
+      </div>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <button
+          onClick={() => onSave(draft)}
+          disabled={!draft.name.trim()}
+          style={{ ...smallButtonStyle, backgroundColor: draft.name.trim() ? '#10b981' : '#d1d5db', cursor: draft.name.trim() ? 'pointer' : 'not-allowed' }}
+        >
+          Save
+        </button>
+        <button onClick={onCancel} style={{ ...smallButtonStyle, backgroundColor: '#6b7280' }}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import { getPlaceCategory } from '../utils/placeKnowledge';
+
+const linkButtonStyle = {
+  padding: '0 4px',
+  background: 'none',
+  border: 'none',
+  color: '#3b82f6',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+/**
+ * PlaceRecordItem component - One place record: type, name, rating, contacts, price, source and notes
+ * @param {Object} props
+ * @param {Object} props.record
+ * @param {boolean} props.showPlace - Show the record's place name (lists across several places)
+ * @param {Function} props.onEdit - () => void
+ * @param {Function} props.onDelete - () => void
+ * @param {boolean} props.disabled - Whether another operation is running
+ * @param {React.ReactNode} props.children - Extra lines (e.g. routes passing nearby)
+ */
+export default function PlaceRecordItem({ record, showPlace = false, onEdit, onDelete, disabled = false, children }) {
+  const category = getPlaceCategory(record.category);
+  return (
+    <div style={{ padding: '6px 0', borderBottom: '1px solid #f3f4f6', fontSize: '13px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+        <span style={{ color: category.color, fontWeight: 'bold', width: '14px', textAlign: 'center' }} title={category.label}>
+          {category.symbol}
+        </span>
+        <span style={{ flex: 1, minWidth: 0 }}>
+          <strong>{record.name}</strong>
+          <span style={{ color: '#6b7280' }}>
+            {' '}• {category.label}{showPlace && record.placeName && ` • ${record.placeName}`}
+          </span>
+          {record.rating && <span style={{ color: '#d97706' }} title={`${record.rating} of 5`}> {'★'.repeat(record.rating)}</span>}
+        </span>
+        <button onClick={onEdit} disabled={disabled} style={linkButtonStyle}>Edit</button>
+        <button
+          onClick={onDelete}
+          disabled={disabled}
+          style={{ ...linkButtonStyle, color: '#dc2626', fontSize: '14px' }}
+          title="Delete this record (for all routes)"
+        >
+          ×
+        </button>
+      </div>
+      <div style={{ paddingLeft: '20px', color: '#374151' }}>
+        {record.contacts && <div>☎ {record.contacts}</div>}
+        {record.price && <div>{record.price}</div>}
+        {record.notes && <div style={{ whiteSpace: 'pre-wrap' }}>{record.notes}</div>}
+        {record.source && <div style={{ fontSize: '12px', color: '#6b7280' }}>Source: {record.source}</div>}
+        {children}
+      </div>
+    </div>
+  );
+}
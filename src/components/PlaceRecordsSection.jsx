@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import { getShortPlaceName } from '../utils/calendarHelpers';
+import { getPlaceRecordsNear, PLACE_RECORD_RADIUS_M } from '../utils/placeKnowledge';
+import PlaceRecordForm from './PlaceRecordForm';
+import PlaceRecordItem from './PlaceRecordItem';
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  backgroundColor: '#3b82f6',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+/**
+ * PlaceRecordsSection component - Stays, mechanics, medical, ATMs and phone coverage recorded near the route's waypoints
+ * Records are shared by all routes; a waypoint shows every record within PLACE_RECORD_RADIUS_M of it.
+ * @param {Object} props
+ * @param {Array} props.records - All place records
+ * @param {Array} props.waypoints - Route waypoints
+ * @param {Object|null} props.draft - Record being added or edited, null when the form is closed
+ * @param {Function} props.onDraftChange - (record | null) => void; opens or closes the form
+ * @param {Function} props.onSave - (record) => void
+ * @param {Function} props.onDelete - (recordId) => void
+ * @param {boolean} props.placing - Whether the next map click picks the location of a new record
+ * @param {Function} props.onPlacingChange - (placing) => void
+ * @param {boolean} props.disabled - Whether another operation is running
+ */
+export default function PlaceRecordsSection({
+  records = [],
+  waypoints = [],
+  draft = null,
+  onDraftChange,
+  onSave,
+  onDelete,
+  placing = false,
+  onPlacingChange,
+  disabled = false
+}) {
+  const located = waypoints.filter(w => w.lat !== 0 && w.lng !== 0);
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const waypoint = located[Math.min(selectedIndex, located.length - 1)];
+  const nearby = waypoint ? getPlaceRecordsNear(records, waypoint.lat, waypoint.lng) : [];
+
+  return (
+    <div style={{
+      padding: '12px',
+      border: '1px solid #e5e7eb',
+      borderRadius: '4px',
+      backgroundColor: 'white',
+      fontSize: '13px'
+    }}>
+      <div style={{ fontWeight: '500', marginBottom: '8px' }}>Places: stays and support</div>
+
+      {located.length > 0 ? (
+        <select
+          value={Math.min(selectedIndex, located.length - 1)}
+          onChange={(e) => setSelectedIndex(Number(e.target.value))}
+          style={{ width: '100%', padding: '4px 6px', border: '1px solid #d1d5db', borderRadius: '4px', fontSize: '13px', marginBottom: '6px' }}
+        >
+          {located.map((w, index) => (
+            <option key={w.id || index} value={index}>
+              {getShortPlaceName(w.name)} ({getPlaceRecordsNear(records, w.lat, w.lng).length})
+            </option>
+          ))}
+        </select>
+      ) : (
+        <div style={{ color: '#6b7280', marginBottom: '6px' }}>Geocode the waypoints to see what is recorded near them.</div>
+      )}
+
+      {nearby.map(record => (draft?.id === record.id ? (
+        <PlaceRecordForm key={record.id} record={draft} onSave={onSave} onCancel={() => onDraftChange(null)} />
+      ) : (
+        <PlaceRecordItem
+          key={record.id}
+          record={record}
+          showPlace
+          onEdit={() => onDraftChange(record)}
+          onDelete={() => onDelete(record.id)}
+          disabled={disabled}
+        />
+      )))}
+      {waypoint && nearby.length === 0 && (
+        <div style={{ color: '#6b7280' }}>Nothing recorded within {PLACE_RECORD_RADIUS_M / 1000} km yet.</div>
+      )}
+
+      {draft && !draft.id && (
+        <div style={{ marginTop: '8px' }}>
+          <PlaceRecordForm key={`${draft.lat},${draft.lng}`} record={draft} onSave={onSave} onCancel={() => onDraftChange(null)} />
+        </div>
+      )}
+
+      {!draft && (
+        <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', alignItems: 'center', marginTop: '8px' }}>
+          {placing ? (
+            <>
+              <span style={{ color: '#6b7280' }}>Click the map where the place is</span>
+              <button onClick={() => onPlacingChange(false)} style={{ ...smallButtonStyle, backgroundColor: '#6b7280' }}>
+                Cancel
+              </button>
+            </>
+          ) : (
+            <>
+              {waypoint && (
+                <button
+                  onClick={() => onDraftChange({ lat: waypoint.lat, lng: waypoint.lng, placeName: getShortPlaceName(waypoint.name) })}
+                  disabled={disabled}
+                  style={{ ...smallButtonStyle, backgroundColor: disabled ? '#d1d5db' : '#3b82f6', cursor: disabled ? 'not-allowed' : 'pointer' }}
+                >
+                  Add at {getShortPlaceName(waypoint.name)}
+                </button>
+              )}
+              <button
+                onClick={() => onPlacingChange(true)}
+                disabled={disabled}
+                style={{ ...smallButtonStyle, backgroundColor: disabled ? '#d1d5db' : '#6b7280', cursor: disabled ? 'not-allowed' : 'pointer' }}
+              >
+                Add on map
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
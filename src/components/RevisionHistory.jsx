@@ -0,0 +1,197 @@
+import { useState, useEffect } from 'react';
+import { getRevisions } from '../utils/revisions';
+import { diffRoutes, summarizeDiff } from '../utils/routeDiff';
+
+/**
+ * RevisionHistory component - Modal listing saved revisions of a route with diffs and restore
+ * @param {Object} props
+ * @param {string} props.routeId - Route whose history to show
+ * @param {Object} props.currentRoute - Current editor content (to diff a revision against)
+ * @param {Function} props.onRestore - Callback with the revision's route content: (route) => void
+ * @param {Function} props.onClose - Callback to close the modal: () => void
+ */
+export default function RevisionHistory({ routeId, currentRoute, onRestore, onClose }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    const loadRevisionsAsync = async () => {
+      setLoading(true);
+      const loaded = await getRevisions(routeId);
+      setRevisions(loaded);
+      setSelectedId(loaded[1]?.id || loaded[0]?.id || null);
+      setLoading(false);
+    };
+
+    loadRevisionsAsync();
+  }, [routeId]);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  };
+
+  const selected = revisions.find(r => r.id === selectedId);
+  const diffToCurrent = selected ? diffRoutes(selected.route, currentRoute) : null;
+  const changesToCurrent = diffToCurrent ? summarizeDiff(diffToCurrent) : [];
+
+  const handleRestore = () => {
+    if (!selected) return;
+    if (window.confirm(`Restore the version from ${formatDate(selected.updatedAt)}? The current version stays in the history.`)) {
+      onRestore(selected.route);
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 2000
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        borderRadius: '8px',
+        padding: '24px',
+        maxWidth: '820px',
+        width: '90%',
+        maxHeight: '85vh',
+        display: 'flex',
+        flexDirection: 'column',
+        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <h2 style={{ margin: 0 }}>Route History</h2>
+          <button
+            onClick={onClose}
+            style={{
+              padding: '6px 12px',
+              backgroundColor: '#f3f4f6',
+              color: '#374151',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontSize: '14px'
+            }}
+          >
+            Close
+          </button>
+        </div>
+
+        {loading ? (
+          <div style={{ color: '#6b7280' }}>Loading history...</div>
+        ) : revisions.length === 0 ? (
+          <div style={{ color: '#6b7280' }}>No saved versions yet. Versions are recorded every time the route is saved.</div>
+        ) : (
+          <div style={{ display: 'flex', gap: '16px', minHeight: 0, flex: 1 }}>
+            {/* Revision list */}
+            <div style={{ width: '320px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+              {revisions.map((revision, index) => {
+                const older = revisions[index + 1];
+                const summary = older ? summarizeDiff(diffRoutes(older.route, revision.route)) : ['First saved version'];
+                const isSelected = revision.id === selectedId;
+                return (
+                  <div
+                    key={revision.id}
+                    onClick={() => setSelectedId(revision.id)}
+                    style={{
+                      padding: '10px',
+                      border: isSelected ? '2px solid #3b82f6' : '1px solid #e5e7eb',
+                      borderRadius: '6px',
+                      backgroundColor: isSelected ? '#eff6ff' : 'white',
+                      cursor: 'pointer',
+                      fontSize: '13px'
+                    }}
+                  >
+                    <div style={{ fontWeight: '500', marginBottom: '4px' }}>
+                      {formatDate(revision.updatedAt)}
+                      {index === 0 && <span style={{ marginLeft: '6px', fontSize: '11px', color: '#059669' }}>LATEST</span>}
+                    </div>
+                    <div style={{ color: '#6b7280' }}>
+                      {revision.route.waypoints?.length || 0} waypoints • {revision.route.segments?.length || 0} segments
+                    </div>
+                    {summary.length > 0 && (
+                      <ul style={{ margin: '4px 0 0 0', paddingLeft: '16px', color: '#374151' }}>
+                        {summary.map(line => <li key={line}>{line}</li>)}
+                      </ul>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            {/* Selected revision details */}
+            <div style={{ flex: 1, overflowY: 'auto', fontSize: '14px' }}>
+              {selected && (
+                <>
+                  <h3 style={{ marginTop: 0 }}>{selected.route.name || 'Untitled route'}</h3>
+                  <div style={{ color: '#6b7280', marginBottom: '12px' }}>
+                    Saved {formatDate(selected.updatedAt)}
+                  </div>
+
+                  <div style={{ fontWeight: '500', marginBottom: '6px' }}>Changes from this version to the current route</div>
+                  {changesToCurrent.length === 0 ? (
+                    <div style={{ color: '#6b7280', marginBottom: '12px' }}>Identical to the current route.</div>
+                  ) : (
+                    <ul style={{ marginTop: 0, paddingLeft: '18px', color: '#374151' }}>
+                      {changesToCurrent.map(line => <li key={line}>{line}</li>)}
+                      {diffToCurrent.daysChanged.map(change => (
+                        <li key={`day-${change.segmentIndex}`} style={{ color: '#6b7280' }}>
+                          Segment {change.segmentIndex + 1}: Day {change.from ?? '—'} → Day {change.to ?? '—'}
+                        </li>
+                      ))}
+                      {diffToCurrent.notesChanged.map(change => (
+                        <li key={`note-${change.day}`} style={{ color: '#6b7280' }}>
+                          Day {change.day} note: “{change.from || '—'}” → “{change.to || '—'}”
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  <div style={{ fontWeight: '500', margin: '12px 0 6px 0' }}>Waypoints in this version</div>
+                  <ol style={{ marginTop: 0, paddingLeft: '22px', color: '#374151' }}>
+                    {(selected.route.waypoints || []).map((wp, i) => (
+                      <li key={wp.id || i}>{wp.name}</li>
+                    ))}
+                  </ol>
+
+                  <button
+                    onClick={handleRestore}
+                    disabled={changesToCurrent.length === 0}
+                    style={{
+                      marginTop: '8px',
+                      padding: '10px 20px',
+                      backgroundColor: changesToCurrent.length === 0 ? '#d1d5db' : '#3b82f6',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '4px',
+                      cursor: changesToCurrent.length === 0 ? 'not-allowed' : 'pointer',
+                      fontSize: '14px'
+                    }}
+                  >
+                    Restore this version
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,342 @@
+import { useState, useEffect } from 'react';
+import { MapContainer, TileLayer, Polyline, CircleMarker, Tooltip, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { getRoute } from '../utils/storage';
+import { formatDistance } from '../utils/geoUtils';
+import { getShortPlaceName } from '../utils/calendarHelpers';
+import { compareRoutes } from '../utils/routeComparison';
+import { getEndpointSettings, resolveEndpoint } from '../utils/endpoints';
+
+// One color per compared route
+const ROUTE_COLORS = [
+  '#3b82f6', // blue
+  '#ef4444', // red
+  '#10b981', // green
+  '#f59e0b', // orange
+  '#8b5cf6', // purple
+  '#06b6d4', // cyan
+  '#ec4899', // pink
+  '#84cc16'  // lime
+];
+
+/**
+ * Fit map bounds to all visible routes
+ */
+function FitBounds({ routes }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const points = [];
+    routes.forEach(route => {
+      (route.segments || []).forEach(segment => {
+        (segment.polyline || []).forEach(coord => points.push(coord));
+      });
+      (route.waypoints || [])
+        .filter(wp => wp.lat !== 0 && wp.lng !== 0)
+        .forEach(wp => points.push([wp.lat, wp.lng]));
+    });
+    if (points.length > 0) {
+      map.fitBounds(L.latLngBounds(points), { padding: [50, 50] });
+    }
+  }, [map, routes]);
+
+  return null;
+}
+
+/**
+ * RouteComparison component - Overlay several saved routes on one map with a comparison table
+ * @param {Object} props
+ * @param {string[]} props.routeIds - IDs of routes to compare
+ * @param {Function} props.onBack - Callback to return to the library
+ * @param {Function} props.onSelectRoute - Optional callback to open a route in the editor: (routeId) => void
+ */
+export default function RouteComparison({ routeIds = [], onBack, onSelectRoute = null }) {
+  const [routes, setRoutes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [hiddenRouteIds, setHiddenRouteIds] = useState([]);
+  // Map tile URL template (Settings → Endpoints): default until the settings are loaded
+  const [mapTilesUrl, setMapTilesUrl] = useState(() => resolveEndpoint('mapTiles', {}));
+
+  useEffect(() => {
+    getEndpointSettings()
+      .then(settings => setMapTilesUrl(resolveEndpoint('mapTiles', settings)))
+      .catch(error => console.warn('Could not load tile endpoints, using defaults:', error));
+  }, []);
+
+  useEffect(() => {
+    const loadRoutesAsync = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        // getRoute returns null for a route it cannot read (deleted, or a storage error it has logged)
+        const loaded = await Promise.all(routeIds.map(id => getRoute(id)));
+        const missing = loaded.filter(route => !route).length;
+        setRoutes(loaded.filter(Boolean));
+        if (missing > 0) {
+          setError(`Could not load ${missing} of ${routeIds.length} route${routeIds.length === 1 ? '' : 's'}`);
+        }
+      } catch (err) {
+        console.error('Error loading routes to compare:', err);
+        setError(`Error loading routes: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRoutesAsync();
+  }, [routeIds]);
+
+  const toggleRoute = (routeId) => {
+    setHiddenRouteIds(prev =>
+      prev.includes(routeId) ? prev.filter(id => id !== routeId) : [...prev, routeId]
+    );
+  };
+
+  if (loading) {
+    return <div style={{ padding: '20px' }}>Loading routes...</div>;
+  }
+
+  if (routes.length === 0) {
+    return (
+      <div style={{ padding: '20px' }}>
+        <div style={{ color: '#dc2626', marginBottom: '12px' }}>{error || 'No routes to compare'}</div>
+        <button
+          onClick={onBack}
+          style={{
+            padding: '6px 12px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '14px'
+          }}
+        >
+          Back
+        </button>
+      </div>
+    );
+  }
+
+  const colorFor = (routeId) => ROUTE_COLORS[routes.findIndex(r => r.id === routeId) % ROUTE_COLORS.length];
+  const visibleRoutes = routes.filter(r => !hiddenRouteIds.includes(r.id));
+  const rows = compareRoutes(routes);
+
+  return (
+    <div style={{ display: 'flex', height: '100vh', overflow: 'hidden' }}>
+      {/* Left Panel - Legend and comparison table */}
+      <div style={{
+        width: '420px',
+        overflowY: 'auto',
+        padding: '20px',
+        borderRight: '1px solid #e5e7eb',
+        backgroundColor: '#f9fafb'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+          <h2 style={{ margin: 0 }}>Compare Routes</h2>
+          <button
+            onClick={onBack}
+            style={{
+              padding: '6px 12px',
+              backgroundColor: '#6b7280',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontSize: '14px'
+            }}
+          >
+            Back
+          </button>
+        </div>
+
+        {error && <div style={{ color: '#dc2626', marginBottom: '12px' }}>{error}</div>}
+
+        <h3 style={{ marginBottom: '12px' }}>Routes</h3>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '20px' }}>
+          {routes.map(route => (
+            <label
+              key={route.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                padding: '10px',
+                border: '1px solid #e5e7eb',
+                borderRadius: '4px',
+                backgroundColor: 'white',
+                cursor: 'pointer',
+                fontSize: '14px'
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={!hiddenRouteIds.includes(route.id)}
+                onChange={() => toggleRoute(route.id)}
+              />
+              <span style={{
+                width: '24px',
+                height: '4px',
+                borderRadius: '2px',
+                backgroundColor: colorFor(route.id),
+                flexShrink: 0
+              }} />
+              <span style={{ flex: 1 }}>{route.name}</span>
+              {onSelectRoute && (
+                <button
+                  onClick={(e) => { e.preventDefault(); onSelectRoute(route.id); }}
+                  style={{
+                    padding: '2px 8px',
+                    backgroundColor: '#f3f4f6',
+                    color: '#374151',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '12px'
+                  }}
+                >
+                  Open
+                </button>
+              )}
+            </label>
+          ))}
+        </div>
+
+        <h3 style={{ marginBottom: '12px' }}>Comparison</h3>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', backgroundColor: 'white' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', color: '#6b7280' }}>
+              <th style={{ padding: '6px' }}>Route</th>
+              <th style={{ padding: '6px' }}>Distance</th>
+              <th style={{ padding: '6px' }}>Days</th>
+              <th style={{ padding: '6px' }}>Stops</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.routeId} style={{ borderTop: '1px solid #e5e7eb' }}>
+                <td style={{ padding: '6px' }}>
+                  <span style={{ color: colorFor(row.routeId), fontWeight: 'bold' }}>■</span> {row.name}
+                </td>
+                <td style={{ padding: '6px' }}>{formatDistance(row.distance) || '—'}</td>
+                <td style={{ padding: '6px' }}>{row.days || '—'}</td>
+                <td style={{ padding: '6px' }}>{row.waypointCount}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h3 style={{ margin: '20px 0 12px 0' }}>Waypoints</h3>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+          {rows.map(row => (
+            <div
+              key={row.routeId}
+              style={{
+                padding: '10px',
+                border: '1px solid #e5e7eb',
+                borderLeft: `4px solid ${colorFor(row.routeId)}`,
+                borderRadius: '4px',
+                backgroundColor: 'white',
+                fontSize: '13px'
+              }}
+            >
+              <div style={{ fontWeight: '500', marginBottom: '6px' }}>{row.name}</div>
+              <div style={{ color: '#374151', marginBottom: '4px' }}>
+                <span style={{ color: '#6b7280' }}>Shared ({row.shared.length}):</span>{' '}
+                {row.shared.length > 0 ? row.shared.join(', ') : '—'}
+              </div>
+              <div style={{ color: '#374151' }}>
+                <span style={{ color: '#6b7280' }}>Unique ({row.unique.length}):</span>{' '}
+                {row.unique.length > 0 ? row.unique.join(', ') : '—'}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Right Panel - Overlay map */}
+      <div style={{ flex: 1, position: 'relative', minWidth: 0 }}>
+        <MapContainer
+          center={[32.2432, 77.1892]}
+          zoom={7}
+          style={{ height: '100%', width: '100%' }}
+          scrollWheelZoom={true}
+        >
+          <TileLayer
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            url={mapTilesUrl}
+          />
+          <FitBounds routes={visibleRoutes} />
+
+          {visibleRoutes.map(route => (
+            (route.segments || []).map((segment, index) => (
+              segment.polyline && segment.polyline.length > 0 && (
+                <Polyline
+                  key={`${route.id}-segment-${index}`}
+                  positions={segment.polyline}
+                  color={colorFor(route.id)}
+                  weight={4}
+                  opacity={0.7}
+                >
+                  <Tooltip sticky>
+                    {route.name}{segment.distance ? ` • ${formatDistance(segment.distance)}` : ''}
+                  </Tooltip>
+                </Polyline>
+              )
+            ))
+          ))}
+
+          {visibleRoutes.map(route => (
+            (route.waypoints || [])
+              .filter(wp => wp.lat !== 0 && wp.lng !== 0)
+              .map((wp, index) => (
+                <CircleMarker
+                  key={`${route.id}-wp-${wp.id || index}`}
+                  center={[wp.lat, wp.lng]}
+                  radius={6}
+                  pathOptions={{ color: 'white', weight: 2, fillColor: colorFor(route.id), fillOpacity: 1 }}
+                >
+                  <Tooltip>
+                    {getShortPlaceName(wp.name)} <span style={{ color: '#6b7280' }}>({route.name})</span>
+                  </Tooltip>
+                </CircleMarker>
+              ))
+          ))}
+        </MapContainer>
+
+        {/* Legend */}
+        <div style={{
+          position: 'absolute',
+          bottom: '20px',
+          right: '10px',
+          zIndex: 1000,
+          backgroundColor: 'white',
+          borderRadius: '4px',
+          boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+          padding: '8px 12px',
+          fontSize: '13px'
+        }}>
+          {routes.map(route => (
+            <div
+              key={route.id}
+              onClick={() => toggleRoute(route.id)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                cursor: 'pointer',
+                opacity: hiddenRouteIds.includes(route.id) ? 0.4 : 1
+              }}
+              title="Click to show/hide"
+            >
+              <span style={{ width: '16px', height: '4px', borderRadius: '2px', backgroundColor: colorFor(route.id) }} />
+              {route.name}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,18 +1,57 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useEffectEvent, useRef, useMemo } from 'react';
 import { v4 as uuidv4 } from 'uuid';
 import { getRoute, saveRoute } from '../utils/storage';
-import { extractWaypointsWithRetry } from '../utils/anthropicService';
-import { geocodeLocation, calculateRouteSegments, calculateRoute, DEFAULT_ROUTING_PROFILE } from '../utils/openRouteService';
+import { extractWaypointsWithRetry } from '../utils/llmService';
+import { geocodeLocation, calculateRouteSegments, calculateRoute, calculateAlternativeRoutes, DEFAULT_ROUTING_PROFILE } from '../utils/openRouteService';
+import { downloadGpx } from '../utils/gpxExport';
+import { fetchElevations, hasElevation } from '../utils/elevationService';
+import { createHistory, recordSnapshot, undo, redo } from '../utils/undoHistory';
+import { rememberPlace, getAllPlaces } from '../utils/gazetteer';
+import { parseItinerary } from '../utils/routeParser';
+import { segmentDaysFromWaypoints } from '../utils/calendarHelpers';
+import { getRouteCacheStats, clearRouteCache } from '../utils/routeCache';
+import { locateHighlights } from '../utils/highlights';
+import { resolveSourceSpan } from '../utils/sourceSpans';
+import { getSegmentEndpoints, isSameEndpoints, pinAlternative, keepPinnedAlternatives } from '../utils/alternativeRoutes';
+import { DEFAULT_ROUTING_OPTIONS, normalizeRoutingOptions, resolveSegmentRoutingOptions, getSegmentRoutingLookup } from '../utils/routingOptions';
+import { DEFAULT_SPEED_MODEL, getSpeedModel, estimateSegmentHours } from '../utils/rideTime';
+import { getFuelStations, parseFuelStationFile, importFuelStations, addFuelStation, deleteFuelStation } from '../utils/fuelStations';
+import { DEFAULT_FUEL_RANGE_KM, getFuelRangeKm, saveFuelRangeKm, analyzeFuelRange } from '../utils/fuelRange';
+import { DEFAULT_ACCLIMATIZATION_RULES, getAcclimatizationRules, checkAcclimatization } from '../utils/acclimatization';
+import { findRoutePasses, checkPassSeasons } from '../utils/mountainPasses';
+import { getPermitAreas, savePermitArea, deletePermitArea, restoreDefaultPermitAreas } from '../utils/permitAreas';
+import { getPermitChecklist } from '../utils/permits';
+import { getPlaceRecords, savePlaceRecord, deletePlaceRecord } from '../utils/placeKnowledge';
 import RouteForm from './RouteForm';
 import WaypointEditor from './WaypointEditor';
 import MapView from './MapView';
 import TripDaysSection from './TripDaysSection';
 import TripCalendarStrip from './TripCalendarStrip';
+import ElevationProfile from './ElevationProfile';
 import AmbiguityResolution from './AmbiguityResolution';
+import RevisionHistory from './RevisionHistory';
+import OfflineDownload from './OfflineDownload';
+import HighlightsSection from './HighlightsSection';
+import AlternativeRoutes from './AlternativeRoutes';
+import RoutingOptionsSection from './RoutingOptionsSection';
+import FuelPlannerSection from './FuelPlannerSection';
+import PermitsSection from './PermitsSection';
+import PlaceRecordsSection from './PlaceRecordsSection';
 
 const AUTO_SAVE_DEBOUNCE_MS = 1500;
 const SAVED_STATUS_DURATION_MS = 2000;
 
+// Small inline text button (routing cache actions)
+const linkButtonStyle = {
+  padding: 0,
+  background: 'none',
+  border: 'none',
+  color: '#3b82f6',
+  cursor: 'pointer',
+  fontSize: '12px',
+  textDecoration: 'underline'
+};
+
 /**
  * RouteEditor component - Edit existing route or create new one
  */
@@ -31,10 +70,40 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
   const [segmentDays, setSegmentDays] = useState([]); // 1-based day per segment; segmentDays[i] >= segmentDays[i-1]
   const [tripStartDate, setTripStartDate] = useState(null); // ISO date YYYY-MM-DD or null
   const [dayNotes, setDayNotes] = useState({}); // { [dayNumber]: string } trip-day notes
+  const [itineraryDays, setItineraryDays] = useState([]); // [{ day, distanceKm, hours, summary }] as stated in the itinerary
+  const [highlights, setHighlights] = useState([]); // [{ id, name, type, day, context, lat, lng }] points of interest from the itinerary
+  const [routingOptions, setRoutingOptions] = useState(DEFAULT_ROUTING_OPTIONS); // preference and things to avoid, route-wide
+  const [avoidAreaDraft, setAvoidAreaDraft] = useState(null); // [[lat, lng]] corners while drawing an avoided area on the map
+  const [speedModel, setSpeedModel] = useState(DEFAULT_SPEED_MODEL); // ride time model from the app settings
+  const [fuelStations, setFuelStations] = useState([]); // saved fuel stations, shared by all routes
+  const [fuelRangeKm, setFuelRangeKm] = useState(DEFAULT_FUEL_RANGE_KM);
+  const [fuelStationName, setFuelStationName] = useState(null); // name of the station being placed on the map, null when not placing
+  const [acclimatizationRules, setAcclimatizationRules] = useState(DEFAULT_ACCLIMATIZATION_RULES); // from the app settings
+  const [permitAreas, setPermitAreas] = useState([]); // restricted areas, shared by all routes
+  const [permitsObtained, setPermitsObtained] = useState([]); // IDs of the restricted areas whose permits are obtained
+  const [permitAreaDraft, setPermitAreaDraft] = useState(null); // { areaId, corners } while drawing a restricted area (areaId null: new area)
+  const [placeRecords, setPlaceRecords] = useState([]); // stays, mechanics, medical... shared by all routes
+  const [placeRecordDraft, setPlaceRecordDraft] = useState(null); // place record being added or edited
+  const [placingPlaceRecord, setPlacingPlaceRecord] = useState(false); // next map click picks a new place record's location
+  const [highlightsProgress, setHighlightsProgress] = useState(null); // { current, total } while locating highlights
+  const [hoveredWaypointId, setHoveredWaypointId] = useState(null); // waypoint whose source passage is shown in the itinerary text
+  const [selectedWaypointId, setSelectedWaypointId] = useState(null); // pinned source passage (shown when nothing is hovered)
   const [rightPanelTab, setRightPanelTab] = useState('map'); // 'map' | 'calendar'
   const [localRouteId, setLocalRouteId] = useState(null);
   const [autoSaveStatus, setAutoSaveStatus] = useState('idle'); // 'idle' | 'saving' | 'saved' | 'error'
+  const [elevationHover, setElevationHover] = useState(null); // { lat, lng } shared between map and elevation profile
+  const [elevationLoading, setElevationLoading] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [undoHistory, setUndoHistory] = useState(() => createHistory());
+  const [cachedSegmentCount, setCachedSegmentCount] = useState(0); // segments served from the routing cache in the last calculation
+  const [routeCacheStats, setRouteCacheStats] = useState(null); // { total, stale, noRoute }
+  const [alternativeSegmentIndex, setAlternativeSegmentIndex] = useState(0); // segment chosen in Alternative routes
+  const [alternatives, setAlternatives] = useState(null); // { segmentIndex, endpoints, routes } last alternatives requested
+  const [alternativesSearching, setAlternativesSearching] = useState(false);
+  const [hoveredAlternative, setHoveredAlternative] = useState(null); // index into alternatives.routes
   const lastSavedSnapshot = useRef(null);
+  // Set by a restore: the next save adds its own revision instead of merging into the one it replaces
+  const keepNextRevision = useRef(false);
 
   // Enforce monotonicity: segmentDays[0] >= 1, segmentDays[i] >= segmentDays[i-1]
   function sanitizeSegmentDays(days) {
@@ -76,6 +145,10 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
       segmentDays,
       tripStartDate: tripStartDate ?? null,
       dayNotes: dayNotes && typeof dayNotes === 'object' ? dayNotes : {},
+      itineraryDays,
+      highlights,
+      routingOptions,
+      permitsObtained,
     };
   }
 
@@ -88,11 +161,49 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
     };
   }
 
+  // Apply an undo/redo snapshot: editable content exactly as held in state
+  function applyEditorSnapshot(snapshot) {
+    setRouteName(snapshot.name);
+    setItineraryText(snapshot.itineraryText);
+    setWaypoints(snapshot.waypoints);
+    setRoutePolyline(snapshot.routePolyline);
+    setSegments(snapshot.segments);
+    setSegmentDays(snapshot.segmentDays);
+    setTripStartDate(snapshot.tripStartDate);
+    setDayNotes(snapshot.dayNotes);
+    setItineraryDays(snapshot.itineraryDays);
+    setHighlights(snapshot.highlights);
+    setRoutingOptions(snapshot.routingOptions);
+    setPermitsObtained(snapshot.permitsObtained);
+  }
+
+  // Set editor state from stored route content (loaded route or restored revision)
+  function applyRouteContent(route) {
+    const segs = route.segments || [];
+    const snapshot = {
+      name: route.name || '',
+      itineraryText: route.itineraryText || '',
+      waypoints: route.waypoints || [],
+      routePolyline: route.routePolyline || [], // Backward compatibility
+      segments: segs,
+      segmentDays: defaultSegmentDays(segs, route.segmentDays ? sanitizeSegmentDays(route.segmentDays) : undefined),
+      tripStartDate: route.tripStartDate ?? null,
+      dayNotes: route.dayNotes && typeof route.dayNotes === 'object' ? route.dayNotes : {},
+      itineraryDays: route.itineraryDays || [],
+      highlights: route.highlights || [],
+      routingOptions: normalizeRoutingOptions(route.routingOptions),
+      permitsObtained: Array.isArray(route.permitsObtained) ? route.permitsObtained : [],
+    };
+    applyEditorSnapshot(snapshot);
+    return snapshot;
+  }
+
   // Load route data when routeId changes
   useEffect(() => {
     if (!routeId) {
       setLocalRouteId(null);
       lastSavedSnapshot.current = null;
+      setUndoHistory(createHistory());
       setIsNewRoute(true);
       return;
     }
@@ -100,28 +211,10 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
     const loadRouteAsync = async () => {
       const route = await getRoute(routeId);
       if (route) {
-        setRouteName(route.name || '');
-        setItineraryText(route.itineraryText || '');
-        setWaypoints(route.waypoints || []);
-        setRoutePolyline(route.routePolyline || []); // Backward compatibility
-        const segs = route.segments || [];
-        setSegments(segs);
-        const segDays = defaultSegmentDays(segs, route.segmentDays ? sanitizeSegmentDays(route.segmentDays) : undefined);
-        setSegmentDays(segDays);
-        setTripStartDate(route.tripStartDate ?? null);
-        setDayNotes(route.dayNotes && typeof route.dayNotes === 'object' ? route.dayNotes : {});
+        const content = applyRouteContent(route);
+        setUndoHistory(createHistory(content));
         setIsNewRoute(false);
-        lastSavedSnapshot.current = JSON.stringify({
-          id: route.id,
-          name: route.name || '',
-          itineraryText: route.itineraryText || '',
-          waypoints: route.waypoints || [],
-          routePolyline: route.routePolyline || [],
-          segments: segs,
-          segmentDays: segDays,
-          tripStartDate: route.tripStartDate ?? null,
-          dayNotes: route.dayNotes && typeof route.dayNotes === 'object' ? route.dayNotes : {},
-        });
+        lastSavedSnapshot.current = JSON.stringify({ id: route.id, ...content });
       } else {
         setError('Route not found');
         setIsNewRoute(true);
@@ -132,6 +225,137 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
     loadRouteAsync();
   }, [routeId]);
 
+  // Undo history: record every content change; while an operation is running (geocoding, routing,
+  // elevation lookup) recording pauses so the whole operation becomes a single step
+  useEffect(() => {
+    if (loading || elevationLoading) return;
+    const snapshot = { name: routeName, itineraryText, waypoints, routePolyline, segments, segmentDays, tripStartDate, dayNotes, itineraryDays, highlights, routingOptions, permitsObtained };
+    setUndoHistory(prev => recordSnapshot(prev, snapshot));
+  }, [routeName, itineraryText, waypoints, routePolyline, segments, segmentDays, tripStartDate, dayNotes, itineraryDays, highlights, routingOptions, permitsObtained, loading, elevationLoading]);
+
+  // Passage of the itinerary text the hovered (or pinned) waypoint was extracted from
+  const sourceWaypoint = waypoints.find(wp => wp.id && wp.id === (hoveredWaypointId ?? selectedWaypointId));
+  const highlightedSpan = sourceWaypoint ? resolveSourceSpan(itineraryText, sourceWaypoint.source) : null;
+
+  // Alternatives are shown while they still belong to the chosen segment (not after undo, recalculation...)
+  const shownAlternativeIndex = Math.max(0, Math.min(alternativeSegmentIndex, segments.length - 1));
+  const shownAlternatives = alternatives &&
+    alternatives.segmentIndex === shownAlternativeIndex &&
+    isSameEndpoints(alternatives.endpoints, getSegmentEndpoints(segments[shownAlternativeIndex], waypoints))
+    ? alternatives.routes
+    : null;
+
+  // Estimated riding hours per segment (null without a polyline)
+  const segmentHours = useMemo(
+    () => segments.map(segment => estimateSegmentHours(segment, speedModel)),
+    [segments, speedModel]
+  );
+
+  // Fuel stops along the route and stretches without fuel longer than the range
+  const fuelAnalysis = useMemo(
+    () => analyzeFuelRange(segments, waypoints, fuelStations, fuelRangeKm),
+    [segments, waypoints, fuelStations, fuelRangeKm]
+  );
+
+  // Sleeping altitude per day, acclimatization warnings and rest days to insert
+  const acclimatization = useMemo(
+    () => checkAcclimatization(segments, waypoints, segmentDays, acclimatizationRules),
+    [segments, waypoints, segmentDays, acclimatizationRules]
+  );
+
+  // Mountain passes crossed by the route, with the crossing day checked against the usual season
+  const routePasses = useMemo(() => findRoutePasses(segments), [segments]);
+  const passCrossings = useMemo(
+    () => checkPassSeasons(routePasses, segmentDays, tripStartDate),
+    [routePasses, segmentDays, tripStartDate]
+  );
+
+  // Restricted areas the route enters, with their days, for the permit checklist
+  const permitChecklist = useMemo(
+    () => getPermitChecklist(segments, permitAreas, segmentDays),
+    [segments, permitAreas, segmentDays]
+  );
+
+  const canUndo = undoHistory.past.length > 0 && !loading && !elevationLoading && !ambiguityState;
+  const canRedo = undoHistory.future.length > 0 && !loading && !elevationLoading && !ambiguityState;
+
+  const handleUndo = () => {
+    if (!canUndo) return;
+    const next = undo(undoHistory);
+    setUndoHistory(next);
+    applyEditorSnapshot(next.present);
+  };
+
+  const handleRedo = () => {
+    if (!canRedo) return;
+    const next = redo(undoHistory);
+    setUndoHistory(next);
+    applyEditorSnapshot(next.present);
+  };
+
+  // Keyboard shortcuts: Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo (text fields keep their own undo)
+  // An effect event always sees the current history, so the listener is registered once
+  const onUndoRedoKeyDown = useEffectEvent((e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const target = e.target;
+    if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      handleUndo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      handleRedo();
+    }
+  });
+
+  useEffect(() => {
+    const onKeyDown = (e) => onUndoRedoKeyDown(e);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Ride time speed model and acclimatization rules (edited in Settings)
+  useEffect(() => {
+    Promise.all([getSpeedModel(), getAcclimatizationRules()])
+      .then(([model, rules]) => {
+        setSpeedModel(model);
+        setAcclimatizationRules(rules);
+      })
+      .catch(err => console.error('Error reading ride time and acclimatization settings:', err));
+  }, []);
+
+  // Fuel stations and bike range for the fuel planner
+  useEffect(() => {
+    Promise.all([getFuelStations(), getFuelRangeKm()])
+      .then(([stations, rangeKm]) => {
+        setFuelStations(stations);
+        setFuelRangeKm(rangeKm);
+      })
+      .catch(err => console.error('Error reading fuel stations:', err));
+  }, []);
+
+  // Restricted areas for the permit checklist
+  useEffect(() => {
+    getPermitAreas()
+      .then(setPermitAreas)
+      .catch(err => console.error('Error reading restricted areas:', err));
+  }, []);
+
+  // Place records (stays and support), shown near the waypoints and on the map
+  useEffect(() => {
+    getPlaceRecords()
+      .then(setPlaceRecords)
+      .catch(err => console.error('Error reading place records:', err));
+  }, []);
+
+  // Routing cache size, shown under the Calculate Route button
+  useEffect(() => {
+    getRouteCacheStats()
+      .then(setRouteCacheStats)
+      .catch(err => console.error('Error reading routing cache stats:', err));
+  }, []);
+
   // Auto-save: debounced persist when route content changes
   useEffect(() => {
     if (!routeName.trim()) return;
@@ -149,7 +373,8 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
       try {
         const existingRoute = await getRoute(effectiveId);
         const routeToSave = buildRouteToSave(effectiveId, existingRoute?.createdAt);
-        await saveRoute(routeToSave);
+        await saveRoute(routeToSave, { coalesceRevision: !keepNextRevision.current });
+        keepNextRevision.current = false;
         lastSavedSnapshot.current = snapshot;
         setAutoSaveStatus('saved');
         setTimeout(() => setAutoSaveStatus('idle'), SAVED_STATUS_DURATION_MS);
@@ -160,7 +385,7 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
     }, AUTO_SAVE_DEBOUNCE_MS);
 
     return () => clearTimeout(timer);
-  }, [routeName, itineraryText, waypoints, segments, segmentDays, tripStartDate, dayNotes, routePolyline, routeId, localRouteId]);
+  }, [routeName, itineraryText, waypoints, segments, segmentDays, tripStartDate, dayNotes, itineraryDays, highlights, routingOptions, permitsObtained, routePolyline, routeId, localRouteId]);
 
   const handleParseItinerary = async () => {
     if (!itineraryText.trim()) {
@@ -172,11 +397,32 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
     setError(null);
 
     try {
-      // Extract waypoints using Anthropic LLM
-      const extractedWaypoints = await extractWaypointsWithRetry(itineraryText);
+      // Extract waypoints and day structure using the configured LLM; without network or API key,
+      // or if the LLM fails, the rule-based parser takes over (same result structure)
+      let extraction = null;
+      let llmFailure = null;
+      if (navigator.onLine) {
+        try {
+          extraction = await extractWaypointsWithRetry(itineraryText);
+        } catch (llmError) {
+          console.warn('LLM extraction failed, using the offline parser:', llmError);
+          llmFailure = llmError.message;
+        }
+      } else {
+        llmFailure = 'no network connection';
+      }
+      if (!extraction) {
+        const knownPlaces = await getAllPlaces().catch(() => []);
+        extraction = parseItinerary(itineraryText, {
+          knownPlaceNames: knownPlaces.flatMap(place => [place.name, ...place.aliases])
+        });
+      }
+      const { waypoints: extractedWaypoints, days: extractedDays, highlights: extractedHighlights } = extraction;
       
       if (extractedWaypoints.length === 0) {
-        setError('No waypoints found in the itinerary text. Try adding waypoints manually.');
+        setError(llmFailure
+          ? `LLM extraction failed (${llmFailure}) and the offline parser found no waypoints. Try adding waypoints manually.`
+          : 'No waypoints found in the itinerary text. Try adding waypoints manually.');
         setLoading(false);
         return;
       }
@@ -188,10 +434,34 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
         lat: 0,
         lng: 0,
         order: wp.sequence - 1, // Convert 1-based sequence to 0-based order
-        context: wp.context || null
+        context: wp.context || null,
+        day: wp.day, // itinerary day the waypoint is reached (null if unknown)
+        overnight: wp.overnight,
+        source: wp.source // { start, end, quote } passage of the itinerary text (null if not found)
       }));
       
       setWaypoints(newWaypoints);
+      setItineraryDays(extractedDays);
+      setHighlights(extractedHighlights.map(h => ({
+        id: uuidv4(),
+        name: h.name,
+        type: h.type,
+        day: h.day,
+        context: h.context,
+        lat: 0,
+        lng: 0
+      })));
+      // Pre-fill notes for days that have none yet with the itinerary's day summary
+      setDayNotes(prev => {
+        const next = { ...prev };
+        extractedDays.forEach(d => {
+          if (d.summary && !next[String(d.day)]) next[String(d.day)] = d.summary;
+        });
+        return next;
+      });
+      if (llmFailure) {
+        setError(`Warning: LLM extraction unavailable (${llmFailure}). Waypoints were extracted by the offline parser — please check them.`);
+      }
       setLoading(false);
     } catch (err) {
       setError(`Error extracting waypoints: ${err.message}`);
@@ -317,8 +587,8 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
           return; // Wait for user to resolve
         }
         
-        // Rate limit: 1 request per second
-        if (i < ungeocoded.length - 1) {
+        // Rate limit: 1 request per second (saved places need no request)
+        if (i < ungeocoded.length - 1 && !result.fromGazetteer) {
           await new Promise(resolve => setTimeout(resolve, 1000));
         }
       } catch (err) {
@@ -380,6 +650,12 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
     
     setWaypoints(updatedWaypoints);
     setAmbiguityState(null);
+
+    // Remember the resolution for every route that uses this name
+    const isManual = selectedCandidate.display_name?.startsWith('Manual:');
+    rememberPlace(ambiguityState.waypointName, selectedCandidate, isManual ? 'manual' : 'selected').catch(err => {
+      console.error('Error saving place to gazetteer:', err);
+    });
     
     // If editing and waypoint had coordinates, recalculate affected segments
     if (wasEditing && hadCoordinates && segments.length > 0) {
@@ -438,8 +714,8 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
             return; // Wait for user to resolve
           }
           
-          // Rate limit: 1 request per second
-          if (i < remaining.length - 1) {
+          // Rate limit: 1 request per second (saved places need no request)
+          if (i < remaining.length - 1 && !result.fromGazetteer) {
             await new Promise(resolve => setTimeout(resolve, 1000));
           }
         } catch (err) {
@@ -507,8 +783,8 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
         return updated;
       });
       
-      // Try geocoding with the new name
-      const result = await geocodeLocation(newName.trim());
+      // Try geocoding with the new name (skip saved places: the user is looking for a different result)
+      const result = await geocodeLocation(newName.trim(), null, 5, 15000, false);
       
       // Check results and update ambiguity state
       if (result.candidates.length === 0) {
@@ -588,7 +864,7 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
                 return;
               }
               
-              if (i < remaining.length - 1) {
+              if (i < remaining.length - 1 && !geocodeResult.fromGazetteer) {
                 await new Promise(resolve => setTimeout(resolve, 1000));
               }
             } catch (err) {
@@ -700,8 +976,6 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
         });
 
         try {
-          const segmentData = await calculateRoute(from, to, DEFAULT_ROUTING_PROFILE);
-          
           // Find the segment in the existing segments array
           const fromId = from.id || (from.order !== undefined ? from.order.toString() : i.toString());
           const toId = to.id || (to.order !== undefined ? to.order.toString() : (i + 1).toString());
@@ -710,11 +984,20 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
             s.fromWaypointId === fromId && s.toWaypointId === toId
           );
 
+          // The segment's via-points and routing options still apply to the moved waypoint
+          const { viaPoints: via, segmentOptions, options } = getSegmentRoutingLookup(updatedSegments, routingOptions)(fromId, toId);
+          const segmentData = await calculateRoute(from, to, DEFAULT_ROUTING_PROFILE, true, via, options);
+
           const newSegment = {
             fromWaypointId: fromId,
             toWaypointId: toId,
             polyline: segmentData.polyline,
-            distance: segmentData.distance
+            distance: segmentData.distance,
+            duration: segmentData.duration ?? null,
+            elevation: segmentData.elevation,
+            roadInfo: segmentData.roadInfo ?? null,
+            ...(via.length > 0 ? { viaPoints: via } : {}),
+            ...(segmentOptions ? { routingOptions: segmentOptions } : {})
           };
 
           if (segmentIndex >= 0) {
@@ -754,7 +1037,29 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
     }
   };
 
-  const handleCalculateRoute = async () => {
+  const handleLocateHighlights = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await locateHighlights(highlights, waypoints, (current, total) => {
+        setHighlightsProgress({ current, total });
+      });
+      setHighlights(result.highlights);
+      if (result.notFound.length > 0) {
+        setError(`Could not locate ${result.notFound.length} highlight(s) near the route: ${result.notFound.join(', ')}`);
+      }
+    } catch (err) {
+      console.error('Highlight locating error:', err);
+      setError(`Error locating highlights: ${err.message}`);
+    } finally {
+      setLoading(false);
+      setHighlightsProgress(null);
+    }
+  };
+
+  // useCache: false refreshes every segment from OpenRouteService instead of reusing cached results
+  const handleCalculateRoute = async ({ useCache = true } = {}) => {
     // Filter out non-geocoded waypoints - skip them as if they don't exist
     const geocodedWaypoints = waypoints.filter(wp => 
       wp && 
@@ -785,10 +1090,16 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
             total,
             message: message || `Calculating segment ${current} of ${total}`
           });
-        }
+        },
+        useCache,
+        getSegmentRoutingLookup(segments, routingOptions)
       );
       
-      const { segments: routeSegments, adjustedWaypoints: adjusted } = result;
+      const { adjustedWaypoints: adjusted, cachedCount } = result;
+      // Segments pinned to an alternative road keep it while their waypoints stay where they are
+      const routeSegments = keepPinnedAlternatives(result.segments, segments, waypoints);
+      setCachedSegmentCount(cachedCount);
+      refreshRouteCacheStats();
       
       if (routeSegments.length === 0) {
         setError('Failed to calculate any route segments');
@@ -833,7 +1144,12 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
       }
 
       setSegments(routeSegments);
-      setSegmentDays(prev => defaultSegmentDays(routeSegments, prev));
+      // Keep day assignments for an unchanged segment list; otherwise start from the itinerary's days
+      const itineraryDaysForSegments = segmentDaysFromWaypoints(routeSegments, waypoints);
+      setSegmentDays(prev => defaultSegmentDays(
+        routeSegments,
+        prev.length === routeSegments.length || !itineraryDaysForSegments ? prev : itineraryDaysForSegments
+      ));
 
       // Generate combined polyline for backward compatibility
       const combinedPolyline = routeSegments.flatMap(segment => segment.polyline);
@@ -889,6 +1205,261 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
     }
   };
 
+  // Fill in elevation for segments that have none (imported tracks, routes calculated before elevation was stored)
+  const handleLoadElevation = async () => {
+    setElevationLoading(true);
+    setError(null);
+    try {
+      // Each result goes to the segment it was fetched for (same polyline), even if segments were
+      // recalculated, reordered or edited during the lookup
+      for (const segment of segments.filter(s => !hasElevation(s))) {
+        const elevation = await fetchElevations(segment.polyline);
+        setSegments(prev => prev.map(current => (
+          current.polyline === segment.polyline && !hasElevation(current) ? { ...current, elevation } : current
+        )));
+      }
+    } catch (err) {
+      console.error('Elevation lookup error:', err);
+      setError(`Error loading elevation: ${err.message}`);
+    } finally {
+      setElevationLoading(false);
+    }
+  };
+
+  // Restore an earlier revision; auto-save then records it as the newest revision
+  const handleRestoreRevision = (revisionRoute) => {
+    keepNextRevision.current = true;
+    applyRouteContent(revisionRoute);
+    setAmbiguityState(null);
+    setError(null);
+    setShowHistory(false);
+  };
+
+  const refreshRouteCacheStats = () => {
+    getRouteCacheStats()
+      .then(setRouteCacheStats)
+      .catch(err => console.error('Error reading routing cache stats:', err));
+  };
+
+  const handleClearRouteCache = async (staleOnly) => {
+    if (!staleOnly && !window.confirm('Clear the whole routing cache? Every segment will be fetched from OpenRouteService again.')) {
+      return;
+    }
+    try {
+      await clearRouteCache({ staleOnly });
+      setCachedSegmentCount(0);
+      refreshRouteCacheStats();
+    } catch (err) {
+      console.error('Error clearing routing cache:', err);
+      setError(`Error clearing routing cache: ${err.message}`);
+    }
+  };
+
+  const handleFindAlternatives = async () => {
+    const segmentIndex = Math.min(alternativeSegmentIndex, segments.length - 1);
+    const endpoints = getSegmentEndpoints(segments[segmentIndex], waypoints);
+    if (!endpoints) return;
+
+    setAlternativesSearching(true);
+    setError(null);
+    try {
+      const routes = await calculateAlternativeRoutes(
+        endpoints.from,
+        endpoints.to,
+        DEFAULT_ROUTING_PROFILE,
+        3,
+        resolveSegmentRoutingOptions(routingOptions, segments[segmentIndex].routingOptions)
+      );
+      setAlternatives({ segmentIndex, endpoints, routes });
+      setHoveredAlternative(null);
+    } catch (err) {
+      console.error('Alternative routes error:', err);
+      setError(`Error finding alternative routes: ${err.message}`);
+    } finally {
+      setAlternativesSearching(false);
+    }
+  };
+
+  const handlePinAlternative = (routeIndex) => {
+    const { segmentIndex, endpoints, routes } = alternatives;
+    const updatedSegments = segments.map((segment, i) =>
+      i === segmentIndex ? pinAlternative(segment, routes[routeIndex], routeIndex + 1, endpoints) : segment
+    );
+    setSegments(updatedSegments);
+    setRoutePolyline(updatedSegments.flatMap(segment => segment.polyline));
+  };
+
+  // Give a segment its own routing options (null: back to the route's); used on the next recalculation
+  const handleSegmentRoutingOptionsChange = (segmentIndex, options) => {
+    setSegments(prev => prev.map((segment, i) => {
+      if (i !== segmentIndex) return segment;
+      const updated = { ...segment };
+      delete updated.routingOptions;
+      if (options) updated.routingOptions = options;
+      return updated;
+    }));
+  };
+
+  const handleFuelRangeChange = async (km) => {
+    setFuelRangeKm(km);
+    try {
+      await saveFuelRangeKm(km);
+    } catch (err) {
+      console.error('Error saving fuel range:', err);
+    }
+  };
+
+  // Import an OSM extract (replaces the previously imported stations)
+  const handleImportFuelStations = async (file) => {
+    setError(null);
+    try {
+      const stations = parseFuelStationFile(await file.text(), file.name);
+      if (stations.length === 0) {
+        setError('Warning: No fuel stations (amenity=fuel) found in the file.');
+        return;
+      }
+      await importFuelStations(stations);
+      setFuelStations(await getFuelStations());
+    } catch (err) {
+      console.error('Fuel station import error:', err);
+      setError(`Error importing fuel stations: ${err.message}`);
+    }
+  };
+
+  const handlePlaceFuelStation = async (point) => {
+    try {
+      const station = await addFuelStation({ name: fuelStationName, lat: point.lat, lng: point.lng });
+      setFuelStations(prev => [...prev, station]);
+    } catch (err) {
+      setError(`Error saving fuel station: ${err.message}`);
+    }
+    setFuelStationName(null);
+  };
+
+  const handleDeleteFuelStation = async (id) => {
+    try {
+      await deleteFuelStation(id);
+      setFuelStations(prev => prev.filter(station => station.id !== id));
+    } catch (err) {
+      setError(`Error deleting fuel station: ${err.message}`);
+    }
+  };
+
+  const handlePermitObtainedChange = (areaId, obtained) => {
+    setPermitsObtained(prev => (obtained ? [...prev.filter(id => id !== areaId), areaId] : prev.filter(id => id !== areaId)));
+  };
+
+  const handleSavePermitArea = async (area) => {
+    try {
+      const saved = await savePermitArea(area);
+      setPermitAreas(prev => (prev.some(a => a.id === saved.id) ? prev.map(a => (a.id === saved.id ? saved : a)) : [...prev, saved]));
+    } catch (err) {
+      setError(`Error saving restricted area: ${err.message}`);
+    }
+  };
+
+  const handleDeletePermitArea = async (id) => {
+    try {
+      await deletePermitArea(id);
+      setPermitAreas(prev => prev.filter(area => area.id !== id));
+    } catch (err) {
+      setError(`Error deleting restricted area: ${err.message}`);
+    }
+  };
+
+  const handleRestoreDefaultPermitAreas = async () => {
+    try {
+      await restoreDefaultPermitAreas();
+      setPermitAreas(await getPermitAreas());
+    } catch (err) {
+      setError(`Error restoring restricted areas: ${err.message}`);
+    }
+  };
+
+  // Save the drawn outline: new area, or the redrawn outline of an existing one
+  const handleFinishPermitArea = async () => {
+    if (permitAreaDraft && permitAreaDraft.corners.length >= 3) {
+      const existing = permitAreas.find(area => area.id === permitAreaDraft.areaId);
+      await handleSavePermitArea({ ...(existing || { name: `Restricted area ${permitAreas.length + 1}` }), polygon: permitAreaDraft.corners });
+    }
+    setPermitAreaDraft(null);
+  };
+
+  const handleSavePlaceRecord = async (record) => {
+    try {
+      const saved = await savePlaceRecord(record);
+      setPlaceRecords(prev => (prev.some(r => r.id === saved.id) ? prev.map(r => (r.id === saved.id ? saved : r)) : [...prev, saved]));
+      setPlaceRecordDraft(null);
+    } catch (err) {
+      setError(`Error saving place record: ${err.message}`);
+    }
+  };
+
+  const handleDeletePlaceRecord = async (id) => {
+    try {
+      await deletePlaceRecord(id);
+      setPlaceRecords(prev => prev.filter(record => record.id !== id));
+    } catch (err) {
+      setError(`Error deleting place record: ${err.message}`);
+    }
+  };
+
+  const handleFinishAvoidArea = () => {
+    if (avoidAreaDraft && avoidAreaDraft.length >= 3) {
+      setRoutingOptions(prev => ({ ...prev, avoidPolygons: [...prev.avoidPolygons, avoidAreaDraft] }));
+    }
+    setAvoidAreaDraft(null);
+  };
+
+  // Reroute one segment through its via-points (shaping points, not stops)
+  const handleViaPointsChange = async (segmentIndex, viaPoints) => {
+    const segment = segments[segmentIndex];
+    const endpoints = getSegmentEndpoints(segment, waypoints);
+    if (!endpoints) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const segmentData = await calculateRoute(
+        endpoints.from,
+        endpoints.to,
+        DEFAULT_ROUTING_PROFILE,
+        true,
+        viaPoints,
+        resolveSegmentRoutingOptions(routingOptions, segment.routingOptions)
+      );
+      // A reshaped segment no longer follows a pinned alternative
+      const updatedSegment = {
+        fromWaypointId: segment.fromWaypointId,
+        toWaypointId: segment.toWaypointId,
+        polyline: segmentData.polyline,
+        distance: segmentData.distance,
+        duration: segmentData.duration ?? null,
+        elevation: segmentData.elevation,
+        roadInfo: segmentData.roadInfo ?? null,
+        ...(viaPoints.length > 0 ? { viaPoints } : {}),
+        ...(segment.routingOptions ? { routingOptions: segment.routingOptions } : {})
+      };
+      const updatedSegments = segments.map((s, i) => i === segmentIndex ? updatedSegment : s);
+      setSegments(updatedSegments);
+      setRoutePolyline(updatedSegments.flatMap(s => s.polyline));
+    } catch (err) {
+      console.error('Via-point routing error:', err);
+      setError(`Error routing through the via-points: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleExportGpx = () => {
+    try {
+      downloadGpx(getRouteContent(routeId || localRouteId));
+    } catch (err) {
+      console.error('Error exporting GPX:', err);
+      setError(`Error exporting GPX: ${err.message}`);
+    }
+  };
+
   return (
     <div style={{ display: 'flex', height: '100vh', overflow: 'hidden' }}>
       {/* Auto-save indicator: fixed top-right, visible at all times */}
@@ -927,20 +1498,70 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
         {rightPanelTab !== 'calendar' && (
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
             <h2 style={{ margin: 0 }}>{isNewRoute ? 'New Route' : 'Edit Route'}</h2>
-            <button
-              onClick={onCancel}
-              style={{
-                padding: '6px 12px',
-                backgroundColor: '#6b7280',
-                color: 'white',
-                border: 'none',
-                borderRadius: '4px',
-                cursor: 'pointer',
-                fontSize: '14px'
-              }}
-            >
-              Cancel
-            </button>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button
+                onClick={handleUndo}
+                disabled={!canUndo}
+                title="Undo (Ctrl+Z)"
+                style={{
+                  padding: '6px 10px',
+                  backgroundColor: canUndo ? '#f3f4f6' : '#e5e7eb',
+                  color: canUndo ? '#374151' : '#9ca3af',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: canUndo ? 'pointer' : 'not-allowed',
+                  fontSize: '14px'
+                }}
+              >
+                ↶ Undo
+              </button>
+              <button
+                onClick={handleRedo}
+                disabled={!canRedo}
+                title="Redo (Ctrl+Shift+Z)"
+                style={{
+                  padding: '6px 10px',
+                  backgroundColor: canRedo ? '#f3f4f6' : '#e5e7eb',
+                  color: canRedo ? '#374151' : '#9ca3af',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: canRedo ? 'pointer' : 'not-allowed',
+                  fontSize: '14px'
+                }}
+              >
+                ↷ Redo
+              </button>
+              <button
+                onClick={() => setShowHistory(true)}
+                disabled={!(routeId || localRouteId)}
+                title={routeId || localRouteId ? 'Show saved versions of this route' : 'Available once the route has been saved'}
+                style={{
+                  padding: '6px 12px',
+                  backgroundColor: routeId || localRouteId ? '#f3f4f6' : '#e5e7eb',
+                  color: routeId || localRouteId ? '#374151' : '#9ca3af',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: routeId || localRouteId ? 'pointer' : 'not-allowed',
+                  fontSize: '14px'
+                }}
+              >
+                History
+              </button>
+              <button
+                onClick={onCancel}
+                style={{
+                  padding: '6px 12px',
+                  backgroundColor: '#6b7280',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '14px'
+                }}
+              >
+                Cancel
+              </button>
+            </div>
           </div>
         )}
 
@@ -966,6 +1587,7 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
               onItineraryTextChange={setItineraryText}
               onParseItinerary={handleParseItinerary}
               loading={loading}
+              highlightedSpan={highlightedSpan}
             />
 
             <WaypointEditor
@@ -974,6 +1596,9 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
               onGeocodeWaypoint={handleGeocodeSingleWaypoint}
               onEditWaypoint={handleEditWaypoint}
               isGeocoding={loading}
+              selectedWaypointId={selectedWaypointId}
+              onWaypointHover={setHoveredWaypointId}
+              onWaypointSelect={setSelectedWaypointId}
             />
 
             <div style={{ marginTop: '20px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
@@ -996,7 +1621,7 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
               </button>
 
               <button
-                onClick={handleCalculateRoute}
+                onClick={() => handleCalculateRoute()}
                 disabled={loading || waypoints.filter(wp => wp.lat !== 0 && wp.lng !== 0).length < 2}
                 style={{
                   padding: '10px',
@@ -1025,6 +1650,35 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
                   fontSize: '12px'
                 }}>
                   ✓ Route calculated: {segments.length} segment{segments.length !== 1 ? 's' : ''} displayed on map
+                  {cachedSegmentCount > 0 && ` (${cachedSegmentCount} from routing cache)`}
+                  {segments.some(s => s.alternative) && ` • ${segments.filter(s => s.alternative).length} on a pinned alternative`}
+                </div>
+              )}
+
+              {routeCacheStats && routeCacheStats.total > 0 && !loading && (
+                <div style={{ fontSize: '12px', color: '#6b7280' }}>
+                  Routing cache: {routeCacheStats.total} segment{routeCacheStats.total !== 1 ? 's' : ''}
+                  {routeCacheStats.stale > 0 && ` (${routeCacheStats.stale} stale)`}
+                  {segments.length > 0 && (
+                    <>
+                      {' • '}
+                      <button onClick={() => handleCalculateRoute({ useCache: false })} style={linkButtonStyle}>
+                        Refresh from server
+                      </button>
+                    </>
+                  )}
+                  {routeCacheStats.stale > 0 && (
+                    <>
+                      {' • '}
+                      <button onClick={() => handleClearRouteCache(true)} style={linkButtonStyle}>
+                        Clear stale
+                      </button>
+                    </>
+                  )}
+                  {' • '}
+                  <button onClick={() => handleClearRouteCache(false)} style={linkButtonStyle}>
+                    Clear all
+                  </button>
                 </div>
               )}
             </div>
@@ -1037,7 +1691,14 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
               segments={segments}
               waypoints={waypoints}
               segmentDays={segmentDays}
+              itineraryDays={itineraryDays}
               tripStartDate={tripStartDate}
+              segmentHours={segmentHours}
+              maxDailyHours={speedModel.maxDailyHours}
+              fuelGaps={fuelAnalysis.gaps}
+              fuelRangeKm={fuelRangeKm}
+              acclimatization={acclimatization}
+              passCrossings={passCrossings}
               onSegmentDaysChange={setSegmentDays}
               onTripStartDateChange={setTripStartDate}
             />
@@ -1062,6 +1723,124 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
               {loading ? 'Processing...' : 'Save Route'}
             </button>
           )}
+
+          {rightPanelTab === 'map' && (
+            <button
+              onClick={handleExportGpx}
+              disabled={segments.length === 0}
+              style={{
+                padding: '10px',
+                backgroundColor: segments.length === 0 ? '#d1d5db' : '#10b981',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: segments.length === 0 ? 'not-allowed' : 'pointer',
+                fontSize: '14px'
+              }}
+              title="Download GPX file for Garmin, OsmAnd and other navigation apps"
+            >
+              Export GPX
+            </button>
+          )}
+
+          {rightPanelTab === 'map' && (
+            <RoutingOptionsSection
+              routingOptions={routingOptions}
+              onRoutingOptionsChange={setRoutingOptions}
+              segments={segments}
+              waypoints={waypoints}
+              onSegmentRoutingOptionsChange={handleSegmentRoutingOptionsChange}
+              drawingArea={avoidAreaDraft}
+              onStartDrawing={() => {
+                setPermitAreaDraft(null);
+                setAvoidAreaDraft([]);
+              }}
+              onFinishDrawing={handleFinishAvoidArea}
+              onCancelDrawing={() => setAvoidAreaDraft(null)}
+              disabled={loading}
+            />
+          )}
+
+          {rightPanelTab === 'map' && (
+            <FuelPlannerSection
+              rangeKm={fuelRangeKm}
+              onRangeChange={handleFuelRangeChange}
+              stationCount={fuelStations.length}
+              analysis={fuelAnalysis}
+              hasRoute={segments.length > 0}
+              onImport={handleImportFuelStations}
+              onDeleteStation={handleDeleteFuelStation}
+              placingName={fuelStationName}
+              onPlacingNameChange={setFuelStationName}
+              disabled={loading}
+            />
+          )}
+
+          {rightPanelTab === 'map' && (
+            <PermitsSection
+              checklist={permitChecklist}
+              obtained={permitsObtained}
+              onObtainedChange={handlePermitObtainedChange}
+              areas={permitAreas}
+              hasRoute={segments.length > 0}
+              onSaveArea={handleSavePermitArea}
+              onDeleteArea={handleDeletePermitArea}
+              onRestoreDefaults={handleRestoreDefaultPermitAreas}
+              drawing={permitAreaDraft}
+              onStartDrawing={(areaId) => {
+                setAvoidAreaDraft(null);
+                setPermitAreaDraft({ areaId, corners: [] });
+              }}
+              onFinishDrawing={handleFinishPermitArea}
+              onCancelDrawing={() => setPermitAreaDraft(null)}
+              disabled={loading}
+            />
+          )}
+
+          {rightPanelTab === 'map' && (
+            <PlaceRecordsSection
+              records={placeRecords}
+              waypoints={waypoints}
+              draft={placeRecordDraft}
+              onDraftChange={setPlaceRecordDraft}
+              onSave={handleSavePlaceRecord}
+              onDelete={handleDeletePlaceRecord}
+              placing={placingPlaceRecord}
+              onPlacingChange={setPlacingPlaceRecord}
+              disabled={loading}
+            />
+          )}
+
+          {rightPanelTab === 'map' && segments.length > 0 && (
+            <AlternativeRoutes
+              segments={segments}
+              waypoints={waypoints}
+              segmentIndex={shownAlternativeIndex}
+              onSegmentIndexChange={setAlternativeSegmentIndex}
+              routes={shownAlternatives}
+              hoveredIndex={hoveredAlternative}
+              onHoveredIndexChange={setHoveredAlternative}
+              onFind={handleFindAlternatives}
+              onPin={handlePinAlternative}
+              onClose={() => setAlternatives(null)}
+              searching={alternativesSearching}
+              disabled={loading}
+            />
+          )}
+
+          {rightPanelTab === 'map' && highlights.length > 0 && (
+            <HighlightsSection
+              highlights={highlights}
+              onHighlightsChange={setHighlights}
+              onLocate={handleLocateHighlights}
+              progress={highlightsProgress}
+              disabled={loading}
+            />
+          )}
+
+          {rightPanelTab === 'map' && (
+            <OfflineDownload segments={segments} />
+          )}
         </div>
       </div>
 
@@ -1105,17 +1884,62 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
         </div>
         <div style={{ flex: 1, position: 'relative', minHeight: 0 }}>
           {rightPanelTab === 'map' ? (
-            <MapView
-              waypoints={waypoints}
-              routePolyline={routePolyline}
-              segments={segments}
-            />
+            <div style={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+              <div style={{ flex: 1, minHeight: 0 }}>
+                <MapView
+                  waypoints={waypoints}
+                  routePolyline={routePolyline}
+                  segments={segments}
+                  segmentHours={segmentHours}
+                  highlights={highlights}
+                  alternativeRoutes={shownAlternatives || []}
+                  highlightedAlternative={hoveredAlternative}
+                  onSegmentClick={setAlternativeSegmentIndex}
+                  onViaPointsChange={loading ? null : handleViaPointsChange}
+                  avoidPolygons={routingOptions.avoidPolygons}
+                  drawingArea={avoidAreaDraft || permitAreaDraft?.corners || null}
+                  onDrawingAreaClick={(point) => {
+                    setAvoidAreaDraft(prev => prev && [...prev, [point.lat, point.lng]]);
+                    setPermitAreaDraft(prev => prev && { ...prev, corners: [...prev.corners, [point.lat, point.lng]] });
+                  }}
+                  fuelStops={fuelAnalysis.stops}
+                  fuelGaps={fuelAnalysis.gaps}
+                  fuelRangeKm={fuelRangeKm}
+                  onFuelStationPlace={fuelStationName !== null ? handlePlaceFuelStation : null}
+                  passCrossings={passCrossings}
+                  permitAreas={permitAreas}
+                  placeRecords={placeRecords}
+                  onPlaceRecordPlace={placingPlaceRecord ? (point) => {
+                    setPlacingPlaceRecord(false);
+                    setPlaceRecordDraft({ lat: point.lat, lng: point.lng, placeName: '' });
+                  } : null}
+                  hoverPosition={elevationHover}
+                  onHoverPositionChange={setElevationHover}
+                />
+              </div>
+              <ElevationProfile
+                segments={segments}
+                waypoints={waypoints}
+                segmentDays={segmentDays}
+                hoverPosition={elevationHover}
+                onHoverPositionChange={setElevationHover}
+                onLoadElevation={handleLoadElevation}
+                loading={elevationLoading}
+              />
+            </div>
           ) : (
             <TripCalendarStrip
               segments={segments}
               waypoints={waypoints}
               segmentDays={segmentDays}
               tripStartDate={tripStartDate}
+              segmentHours={segmentHours}
+              maxDailyHours={speedModel.maxDailyHours}
+              fuelGaps={fuelAnalysis.gaps}
+              acclimatization={acclimatization}
+              passCrossings={passCrossings}
+              permitChecklist={permitChecklist}
+              permitsObtained={permitsObtained}
               dayNotes={dayNotes}
               onDayNotesChange={(dayNumber, text) => {
                 const key = String(dayNumber);
@@ -1145,6 +1969,16 @@ export default function RouteEditor({ routeId, onSave, onCancel }) {
           startInSearchMode={ambiguityState.startInSearchMode || false}
         />
       )}
+
+      {/* Revision History Modal */}
+      {showHistory && (
+        <RevisionHistory
+          routeId={routeId || localRouteId}
+          currentRoute={getRouteContent(routeId || localRouteId)}
+          onRestore={handleRestoreRevision}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
     </div>
   );
 }
@@ -1,5 +1,23 @@
+import { useEffect, useRef } from 'react';
+
+// Shared by the itinerary textarea and its highlight backdrop so both wrap text identically
+const itineraryTextStyle = {
+  width: '100%',
+  padding: '8px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '14px',
+  fontFamily: 'inherit',
+  lineHeight: '1.4',
+  boxSizing: 'border-box',
+  whiteSpace: 'pre-wrap',
+  overflowWrap: 'break-word',
+  scrollbarGutter: 'stable'
+};
+
 /**
  * RouteForm component - Input form for route name and itinerary
+ * @param {Object|null} highlightedSpan - Passage {start, end} of the itinerary text to highlight (source of a waypoint)
  */
 export default function RouteForm({ 
   routeName, 
@@ -7,8 +25,24 @@ export default function RouteForm({
   onRouteNameChange, 
   onItineraryTextChange,
   onParseItinerary,
-  loading = false
+  loading = false,
+  highlightedSpan = null
 }) {
+  const textareaRef = useRef(null);
+  const backdropRef = useRef(null);
+  const markRef = useRef(null);
+
+  // Scroll the highlighted passage into view inside the textarea
+  useEffect(() => {
+    if (!highlightedSpan || !textareaRef.current || !markRef.current) return;
+    const textarea = textareaRef.current;
+    const markTop = markRef.current.offsetTop;
+    if (markTop < textarea.scrollTop || markTop > textarea.scrollTop + textarea.clientHeight - 24) {
+      textarea.scrollTop = Math.max(0, markTop - textarea.clientHeight / 3);
+    }
+    if (backdropRef.current) backdropRef.current.scrollTop = textarea.scrollTop;
+  }, [highlightedSpan]);
+
   return (
     <div>
       <div style={{ marginBottom: '16px' }}>
@@ -35,22 +69,48 @@ export default function RouteForm({
         <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
           Itinerary Text
         </label>
-        <textarea
-          value={itineraryText}
-          onChange={(e) => onItineraryTextChange(e.target.value)}
-          placeholder="Paste your itinerary here...&#10;&#10;Example:&#10;Day 1: Delhi to Manali, 550km&#10;Day 2: Manali to Keylong via Rohtang Pass&#10;Day 3: Keylong to Leh, 350km"
-          rows={8}
-          style={{
-            width: '100%',
-            padding: '8px',
-            border: '1px solid #d1d5db',
-            borderRadius: '4px',
-            fontSize: '14px',
-            fontFamily: 'inherit',
-            resize: 'vertical',
-            boxSizing: 'border-box'
-          }}
-        />
+        <div style={{ position: 'relative' }}>
+          {/* Backdrop behind the transparent textarea: same text, with the highlighted passage marked */}
+          {highlightedSpan && (
+            <div
+              ref={backdropRef}
+              aria-hidden="true"
+              style={{
+                ...itineraryTextStyle,
+                position: 'absolute',
+                inset: 0,
+                overflow: 'hidden',
+                color: 'transparent',
+                backgroundColor: 'white'
+              }}
+            >
+              {itineraryText.slice(0, highlightedSpan.start)}
+              <mark ref={markRef} style={{ backgroundColor: '#fde68a', color: 'transparent', borderRadius: '2px' }}>
+                {itineraryText.slice(highlightedSpan.start, highlightedSpan.end)}
+              </mark>
+              {itineraryText.slice(highlightedSpan.end)}
+              {'\n'}
+            </div>
+          )}
+          <textarea
+            ref={textareaRef}
+            value={itineraryText}
+            onChange={(e) => onItineraryTextChange(e.target.value)}
+            onScroll={(e) => {
+              if (backdropRef.current) backdropRef.current.scrollTop = e.target.scrollTop;
+            }}
+            placeholder="Paste your itinerary here...&#10;&#10;Example:&#10;Day 1: Delhi to Manali, 550km&#10;Day 2: Manali to Keylong via Rohtang Pass&#10;Day 3: Keylong to Leh, 350km"
+            rows={8}
+            style={{
+              ...itineraryTextStyle,
+              display: 'block',
+              position: 'relative',
+              overflowY: 'auto',
+              resize: 'vertical',
+              backgroundColor: highlightedSpan ? 'transparent' : 'white'
+            }}
+          />
+        </div>
         <button
           onClick={onParseItinerary}
           disabled={loading || !itineraryText.trim()}
@@ -72,7 +132,7 @@ export default function RouteForm({
           fontSize: '12px', 
           color: '#6b7280' 
         }}>
-          Uses AI to extract waypoint names from your itinerary text. You'll geocode them separately.
+          Uses AI to extract waypoint names from your itinerary text (a built-in parser takes over offline or without an API key). You'll geocode them separately.
         </div>
       </div>
     </div>
@@ -1,18 +1,22 @@
 import { useState, useEffect, useRef } from 'react';
 import { getAllRoutes, deleteRoute, saveRoute } from '../utils/storage';
 import { getDB } from '../utils/indexedDB';
+import { downloadGpx } from '../utils/gpxExport';
+import { parseTrackFile, buildRouteFromTrack, TRACK_FILE_EXTENSIONS } from '../utils/trackImport';
 
 /**
  * RouteLibrary component - Main view showing list of saved routes
  */
-export default function RouteLibrary({ onSelectRoute, onNewRoute }) {
+export default function RouteLibrary({ onSelectRoute, onNewRoute, onCompareRoutes = null, onOpenSettings = null, onOpenPlaces = null }) {
   const [routes, setRoutes] = useState([]);
+  const [compareIds, setCompareIds] = useState([]); // Routes ticked for comparison
   const [loading, setLoading] = useState(true);
   const [showImportDialog, setShowImportDialog] = useState(false);
   const [importMode, setImportMode] = useState('merge'); // 'merge', 'new-only', 'replace'
   const [importFile, setImportFile] = useState(null);
   const [importSummary, setImportSummary] = useState(null);
   const fileInputRef = useRef(null);
+  const trackFileInputRef = useRef(null);
 
   // Load routes on mount
   useEffect(() => {
@@ -46,6 +50,26 @@ export default function RouteLibrary({ onSelectRoute, onNewRoute }) {
     }
   };
 
+  const handleExportGpx = (e, route) => {
+    e.stopPropagation();
+    if (!route.segments || route.segments.length === 0) {
+      alert('Calculate the route before exporting it to GPX');
+      return;
+    }
+    try {
+      downloadGpx(route);
+    } catch (error) {
+      console.error('Error exporting GPX:', error);
+      alert('Failed to export GPX. Please try again.');
+    }
+  };
+
+  const handleToggleCompare = (routeId) => {
+    setCompareIds(prev =>
+      prev.includes(routeId) ? prev.filter(id => id !== routeId) : [...prev, routeId]
+    );
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -93,6 +117,38 @@ export default function RouteLibrary({ onSelectRoute, onNewRoute }) {
     fileInputRef.current?.click();
   };
 
+  const handleImportTrackClick = () => {
+    trackFileInputRef.current?.click();
+  };
+
+  // Create a new route from a GPX/KML/GeoJSON file and open it in the editor
+  const handleTrackFileSelected = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const parsed = parseTrackFile(text, file.name);
+      const fallbackName = file.name.replace(/\.[^.]+$/, '');
+      const route = buildRouteFromTrack(parsed, fallbackName);
+
+      if (route.waypoints.length < 2 && route.segments.length === 0) {
+        alert('The file needs at least two named points or a track to create a route');
+        return;
+      }
+
+      const savedRoute = await saveRoute(route);
+      onSelectRoute(savedRoute.id);
+    } catch (error) {
+      console.error('Error importing track file:', error);
+      alert(`Failed to import track: ${error.message}`);
+    } finally {
+      if (trackFileInputRef.current) {
+        trackFileInputRef.current.value = '';
+      }
+    }
+  };
+
   // Save route directly to IndexedDB without modifying timestamps
   // Used during import to preserve original createdAt/updatedAt
   const saveRoutePreservingTimestamps = async (route) => {
@@ -389,6 +445,80 @@ export default function RouteLibrary({ onSelectRoute, onNewRoute }) {
             onChange={handleFileSelected}
             style={{ display: 'none' }}
           />
+          <button
+            onClick={handleImportTrackClick}
+            style={{
+              padding: '10px 16px',
+              backgroundColor: '#f59e0b',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontSize: '14px'
+            }}
+            title="Create a route from a GPX, KML or GeoJSON file"
+          >
+            Import Track
+          </button>
+          <input
+            ref={trackFileInputRef}
+            type="file"
+            accept={TRACK_FILE_EXTENSIONS.join(',')}
+            onChange={handleTrackFileSelected}
+            style={{ display: 'none' }}
+          />
+          {onCompareRoutes && (
+            <button
+              onClick={() => onCompareRoutes(compareIds)}
+              disabled={compareIds.length < 2}
+              style={{
+                padding: '10px 16px',
+                backgroundColor: compareIds.length < 2 ? '#d1d5db' : '#0ea5e9',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: compareIds.length < 2 ? 'not-allowed' : 'pointer',
+                fontSize: '14px'
+              }}
+              title="Tick two or more routes to overlay them on one map"
+            >
+              Compare{compareIds.length > 0 ? ` (${compareIds.length})` : ''}
+            </button>
+          )}
+          {onOpenPlaces && (
+            <button
+              onClick={onOpenPlaces}
+              style={{
+                padding: '10px 16px',
+                backgroundColor: '#b45309',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '14px'
+              }}
+              title="Search stays, mechanics, medical, ATMs and phone coverage recorded along all routes"
+            >
+              Places
+            </button>
+          )}
+          {onOpenSettings && (
+            <button
+              onClick={onOpenSettings}
+              style={{
+                padding: '10px 16px',
+                backgroundColor: '#6b7280',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '14px'
+              }}
+              title="LLM provider and other settings"
+            >
+              Settings
+            </button>
+          )}
           <button
             onClick={onNewRoute}
             style={{
@@ -459,6 +589,16 @@ export default function RouteLibrary({ onSelectRoute, onNewRoute }) {
               }}
             >
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start' }}>
+                {onCompareRoutes && (
+                  <input
+                    type="checkbox"
+                    checked={compareIds.includes(route.id)}
+                    onClick={(e) => e.stopPropagation()}
+                    onChange={() => handleToggleCompare(route.id)}
+                    style={{ marginRight: '12px', marginTop: '6px', cursor: 'pointer' }}
+                    title="Select for comparison"
+                  />
+                )}
                 <div style={{ flex: 1 }}>
                   <h3 style={{ margin: '0 0 8px 0', color: '#111827' }}>{route.name}</h3>
                   <div style={{ fontSize: '14px', color: '#6b7280', marginBottom: '8px' }}>
@@ -472,6 +612,23 @@ export default function RouteLibrary({ onSelectRoute, onNewRoute }) {
                     )}
                   </div>
                 </div>
+                <button
+                  onClick={(e) => handleExportGpx(e, route)}
+                  disabled={!route.segments || route.segments.length === 0}
+                  style={{
+                    padding: '6px 12px',
+                    backgroundColor: !route.segments || route.segments.length === 0 ? '#d1d5db' : '#10b981',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: !route.segments || route.segments.length === 0 ? 'not-allowed' : 'pointer',
+                    fontSize: '14px',
+                    marginLeft: '12px'
+                  }}
+                  title="Download GPX file for Garmin, OsmAnd and other navigation apps"
+                >
+                  GPX
+                </button>
                 <button
                   onClick={(e) => handleDelete(e, route.id)}
                   style={{
@@ -482,7 +639,7 @@ export default function RouteLibrary({ onSelectRoute, onNewRoute }) {
                     borderRadius: '4px',
                     cursor: 'pointer',
                     fontSize: '14px',
-                    marginLeft: '12px'
+                    marginLeft: '8px'
                   }}
                 >
                   Delete
@@ -0,0 +1,250 @@
+import { useState } from 'react';
+import { getSegmentLabel } from '../utils/calendarHelpers';
+import {
+  ROUTING_PREFERENCES,
+  AVOID_FEATURES,
+  AVOID_BORDERS,
+  normalizeRoutingOptions,
+  describeRoutingOptions
+} from '../utils/routingOptions';
+
+const selectStyle = {
+  padding: '4px 6px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px'
+};
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  backgroundColor: '#3b82f6',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+/**
+ * RoutingOptionsSection component - Road preference and things to avoid, for the route or a single segment
+ * @param {Object} props
+ * @param {Object} props.routingOptions - Route-wide options {preference, avoidFeatures, avoidBorders, avoidCountries, avoidPolygons}
+ * @param {Function} props.onRoutingOptionsChange - (options) => void
+ * @param {Array} props.segments - Route segments (may carry a routingOptions override)
+ * @param {Array} props.waypoints - Waypoints (for segment labels)
+ * @param {Function} props.onSegmentRoutingOptionsChange - (segmentIndex, options | null) => void; null: use the route's options
+ * @param {Array|null} props.drawingArea - Corners [lat, lng] of the area being drawn, null when not drawing
+ * @param {Function} props.onStartDrawing - Start drawing an avoided area on the map
+ * @param {Function} props.onFinishDrawing - Add the drawn area
+ * @param {Function} props.onCancelDrawing - Discard the drawn area
+ * @param {boolean} props.disabled - Whether another operation is running
+ */
+export default function RoutingOptionsSection({
+  routingOptions,
+  onRoutingOptionsChange,
+  segments = [],
+  waypoints = [],
+  onSegmentRoutingOptionsChange,
+  drawingArea = null,
+  onStartDrawing,
+  onFinishDrawing,
+  onCancelDrawing,
+  disabled = false
+}) {
+  const [scope, setScope] = useState('route'); // 'route' or a segment index
+  const segmentIndex = scope !== 'route' && scope < segments.length ? scope : null;
+  const segment = segmentIndex !== null ? segments[segmentIndex] : null;
+  const routeOptions = normalizeRoutingOptions(routingOptions);
+  const hasOverride = Boolean(segment?.routingOptions);
+  // Options shown in the form: the route's, or the segment's own (or the route's, greyed out, until it has its own)
+  const options = hasOverride ? normalizeRoutingOptions(segment.routingOptions) : routeOptions;
+  const editable = !disabled && (segment === null || hasOverride);
+
+  const update = (changes) => {
+    if (segment === null) {
+      onRoutingOptionsChange({ ...routeOptions, ...changes });
+    } else {
+      const { preference, avoidFeatures, avoidBorders, avoidCountries } = { ...options, ...changes };
+      onSegmentRoutingOptionsChange(segmentIndex, { preference, avoidFeatures, avoidBorders, avoidCountries });
+    }
+  };
+
+  const toggleFeature = (feature) => {
+    update({
+      avoidFeatures: options.avoidFeatures.includes(feature)
+        ? options.avoidFeatures.filter(f => f !== feature)
+        : [...options.avoidFeatures, feature]
+    });
+  };
+
+  const toggleOverride = () => {
+    if (hasOverride) {
+      onSegmentRoutingOptionsChange(segmentIndex, null);
+    } else {
+      const { preference, avoidFeatures, avoidBorders, avoidCountries } = routeOptions;
+      onSegmentRoutingOptionsChange(segmentIndex, { preference, avoidFeatures, avoidBorders, avoidCountries });
+    }
+  };
+
+  const removeArea = (index) => {
+    onRoutingOptionsChange({ ...routeOptions, avoidPolygons: routeOptions.avoidPolygons.filter((_, i) => i !== index) });
+  };
+
+  const overrideCount = segments.filter(s => s.routingOptions).length;
+
+  return (
+    <div style={{
+      padding: '12px',
+      border: '1px solid #e5e7eb',
+      borderRadius: '4px',
+      backgroundColor: 'white',
+      fontSize: '13px'
+    }}>
+      <div style={{ fontWeight: '500', marginBottom: '8px' }}>
+        Routing options
+        {describeRoutingOptions(routeOptions) && (
+          <span style={{ fontWeight: 'normal', color: '#6b7280' }}> • {describeRoutingOptions(routeOptions)}</span>
+        )}
+      </div>
+
+      {segments.length > 0 && (
+        <div style={{ marginBottom: '8px' }}>
+          <select
+            value={segmentIndex === null ? 'route' : segmentIndex}
+            onChange={(e) => setScope(e.target.value === 'route' ? 'route' : Number(e.target.value))}
+            style={{ ...selectStyle, width: '100%' }}
+          >
+            <option value="route">
+              Whole route{overrideCount > 0 ? ` (${overrideCount} segment${overrideCount !== 1 ? 's' : ''} with own options)` : ''}
+            </option>
+            {segments.map((s, i) => (
+              <option key={`${s.fromWaypointId}-${s.toWaypointId}-${i}`} value={i}>
+                {i + 1}. {getSegmentLabel(s, waypoints)}{s.routingOptions ? ' (own options)' : ''}
+              </option>
+            ))}
+          </select>
+          {segment && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px' }}>
+              <input type="checkbox" checked={hasOverride} onChange={toggleOverride} disabled={disabled} />
+              Own options for this segment
+            </label>
+          )}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', opacity: editable ? 1 : 0.6 }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          Preference
+          <select
+            value={options.preference}
+            onChange={(e) => update({ preference: e.target.value })}
+            disabled={!editable}
+            style={selectStyle}
+          >
+            {Object.entries(ROUTING_PREFERENCES).map(([id, label]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center' }}>
+          Avoid
+          {Object.entries(AVOID_FEATURES).map(([id, label]) => (
+            <label key={id} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+              <input
+                type="checkbox"
+                checked={options.avoidFeatures.includes(id)}
+                onChange={() => toggleFeature(id)}
+                disabled={!editable}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+        <div style={{ fontSize: '12px', color: '#6b7280' }}>
+          OpenRouteService cannot avoid unpaved roads for motor vehicles; compare the unpaved distance of
+          alternative routes instead.
+        </div>
+
+        <select
+          value={options.avoidBorders}
+          onChange={(e) => update({ avoidBorders: e.target.value })}
+          disabled={!editable}
+          style={selectStyle}
+        >
+          {Object.entries(AVOID_BORDERS).map(([id, label]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          Avoid countries
+          <input
+            key={`${scope}-${options.avoidCountries.join(',')}`}
+            type="text"
+            defaultValue={options.avoidCountries.join(', ')}
+            onBlur={(e) => update({ avoidCountries: e.target.value.split(/[\s,]+/).filter(Boolean) })}
+            disabled={!editable}
+            placeholder="e.g. CN, PK"
+            style={{ ...selectStyle, flex: 1, minWidth: 0 }}
+            title="ISO country codes, separated by commas"
+          />
+        </label>
+      </div>
+
+      <div style={{ marginTop: '10px' }}>
+        <div style={{ marginBottom: '4px' }}>
+          Avoided areas{segment && <span style={{ color: '#6b7280' }}> (whole route)</span>}
+        </div>
+        {routeOptions.avoidPolygons.map((ring, index) => (
+          <div key={index} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <span style={{ color: '#dc2626' }}>▰</span>
+            <span style={{ flex: 1 }}>Area {index + 1} ({ring.length} corners)</span>
+            <button
+              onClick={() => removeArea(index)}
+              disabled={disabled}
+              style={{
+                padding: '0 4px',
+                background: 'none',
+                border: 'none',
+                color: '#dc2626',
+                cursor: disabled ? 'not-allowed' : 'pointer',
+                fontSize: '14px'
+              }}
+              title="Remove area"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        {drawingArea ? (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' }}>
+            <span style={{ color: '#6b7280' }}>Click the map to add corners ({drawingArea.length})</span>
+            <button
+              onClick={onFinishDrawing}
+              disabled={drawingArea.length < 3}
+              style={{ ...smallButtonStyle, backgroundColor: drawingArea.length < 3 ? '#d1d5db' : '#10b981', cursor: drawingArea.length < 3 ? 'not-allowed' : 'pointer' }}
+            >
+              Finish
+            </button>
+            <button onClick={onCancelDrawing} style={{ ...smallButtonStyle, backgroundColor: '#6b7280' }}>
+              Cancel
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={onStartDrawing}
+            disabled={disabled}
+            style={{ ...smallButtonStyle, backgroundColor: disabled ? '#d1d5db' : '#3b82f6', cursor: disabled ? 'not-allowed' : 'pointer' }}
+          >
+            Draw area to avoid
+          </button>
+        )}
+      </div>
+
+      <div style={{ marginTop: '8px', fontSize: '12px', color: '#6b7280' }}>
+        Applied when the route is calculated or recalculated.
+      </div>
+    </div>
+  );
+}
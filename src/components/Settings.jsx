@@ -0,0 +1,562 @@
+import { useState, useEffect } from 'react';
+import { LLM_PROVIDERS, DEFAULT_LLM_SETTINGS, getLlmSettings, saveLlmSettings } from '../utils/llmProviders';
+import { extractWaypointsFromText } from '../utils/llmService';
+import { ENDPOINTS, getEndpointSettings, saveEndpointSettings, resolveEndpoint, checkEndpointHealth } from '../utils/endpoints';
+import { getORSAuthHeaders } from '../utils/openRouteService';
+import { ROAD_TYPES, DEFAULT_SPEED_MODEL, getSpeedModel, saveSpeedModel } from '../utils/rideTime';
+import { DEFAULT_ACCLIMATIZATION_RULES, getAcclimatizationRules, saveAcclimatizationRules } from '../utils/acclimatization';
+import { getAllPlaces, deletePlace, normalizePlaceName } from '../utils/gazetteer';
+
+// Short itinerary used by "Test" to check the provider end to end (request, JSON reply, validation)
+const TEST_ITINERARY = 'Day 1: Manali to Keylong via Atal Tunnel, 115 km. Overnight in Keylong.\nDay 2: Keylong to Sarchu, 110 km.';
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '14px',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = { display: 'block', marginBottom: '6px', fontWeight: '500' };
+
+const hintStyle = { marginTop: '4px', fontSize: '12px', color: '#6b7280' };
+
+const sectionStyle = {
+  padding: '16px',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  backgroundColor: 'white',
+  marginBottom: '20px'
+};
+
+const statusColors = { success: '#10b981', error: '#dc2626', info: '#6b7280' };
+
+// How a saved place was resolved (gazetteer.js SOURCE_RANK)
+const PLACE_SOURCE_LABELS = { geocoded: 'geocoded', selected: 'chosen', manual: 'manual coordinates' };
+
+// Speed model fields besides the per-road-type speeds: [field, label, unit]
+const SPEED_MODEL_FIELDS = [
+  ['unpavedSpeedPercent', 'Speed on unpaved surfaces', '%'],
+  ['highAltitudeM', 'High altitude above', 'm'],
+  ['highAltitudeSpeedPercent', 'Speed at high altitude', '%'],
+  ['steepGradePercent', 'Steep gradient above', '%'],
+  ['steepSpeedPercent', 'Speed on steep gradients', '%'],
+  ['maxDailyHours', 'Maximum riding per day', 'h']
+];
+
+// Acclimatization rule fields: [field, label, unit, hint]
+const ACCLIMATIZATION_FIELDS = [
+  ['thresholdM', 'Rules apply to nights above', 'm', null],
+  ['maxDailyGainM', 'Maximum sleeping-altitude gain per day', 'm', '0 switches the rule off'],
+  ['restAfterDays', 'Rest day after nights above the threshold', 'nights', 'Only a day without riding counts as rest; 0 switches the rule off']
+];
+
+/**
+ * Settings component - App configuration (LLM provider for waypoint extraction, service endpoints, ride time model,
+ * acclimatization rules) and the saved places gazetteer
+ * @param {Object} props
+ * @param {Function} props.onBack - Callback to return to the route library
+ */
+export default function Settings({ onBack }) {
+  const [llmSettings, setLlmSettings] = useState(DEFAULT_LLM_SETTINGS);
+  const [loaded, setLoaded] = useState(false);
+  const [status, setStatus] = useState(null); // { type: 'success' | 'error' | 'info', message }
+  const [testing, setTesting] = useState(false);
+  const [endpointSettings, setEndpointSettings] = useState(() =>
+    Object.fromEntries(Object.keys(ENDPOINTS).map(name => [name, '']))
+  );
+  const [endpointChecks, setEndpointChecks] = useState({}); // { [name]: { checking } | { ok, message, latencyMs } }
+  const [endpointStatus, setEndpointStatus] = useState(null); // { type, message }
+  const [speedModel, setSpeedModel] = useState(DEFAULT_SPEED_MODEL);
+  const [speedModelStatus, setSpeedModelStatus] = useState(null); // { type, message }
+  const [acclimatizationRules, setAcclimatizationRules] = useState(DEFAULT_ACCLIMATIZATION_RULES);
+  const [acclimatizationStatus, setAcclimatizationStatus] = useState(null); // { type, message }
+  const [places, setPlaces] = useState([]);
+  const [placeFilter, setPlaceFilter] = useState('');
+  const [placesStatus, setPlacesStatus] = useState(null); // { type, message }
+
+  useEffect(() => {
+    Promise.all([getLlmSettings(), getEndpointSettings(), getSpeedModel(), getAcclimatizationRules(), getAllPlaces()])
+      .then(([llm, endpoints, model, rules, savedPlaces]) => {
+        setLlmSettings(llm);
+        setEndpointSettings(endpoints);
+        setSpeedModel(model);
+        setAcclimatizationRules(rules);
+        setPlaces(savedPlaces);
+      })
+      .catch(err => setStatus({ type: 'error', message: `Could not load settings: ${err.message}` }))
+      .finally(() => setLoaded(true));
+  }, []);
+
+  const provider = LLM_PROVIDERS[llmSettings.provider];
+
+  const updateField = (field, value) => {
+    setLlmSettings(prev => ({ ...prev, [field]: value }));
+    setStatus(null);
+  };
+
+  const handleProviderChange = (value) => {
+    // Model and URL belong to the previous provider; the API key may be reused (e.g. a gateway)
+    setLlmSettings(prev => ({ ...prev, provider: value, model: '', baseUrl: '' }));
+    setStatus(null);
+  };
+
+  const handleSave = async () => {
+    try {
+      await saveLlmSettings(llmSettings);
+      setStatus({ type: 'success', message: 'Settings saved.' });
+    } catch (err) {
+      setStatus({ type: 'error', message: `Could not save settings: ${err.message}` });
+    }
+  };
+
+  const handleTest = async () => {
+    setTesting(true);
+    setStatus({ type: 'info', message: `Testing ${provider.label}...` });
+    try {
+      const { waypoints } = await extractWaypointsFromText(TEST_ITINERARY, llmSettings);
+      setStatus({
+        type: 'success',
+        message: `Works: extracted ${waypoints.length} waypoint${waypoints.length === 1 ? '' : 's'} (${waypoints.map(wp => wp.name).join(', ')}).`
+      });
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message });
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const updateEndpoint = (name, value) => {
+    setEndpointSettings(prev => ({ ...prev, [name]: value }));
+    setEndpointChecks(prev => ({ ...prev, [name]: null }));
+    setEndpointStatus(null);
+  };
+
+  const handleSaveEndpoints = async () => {
+    try {
+      await saveEndpointSettings(endpointSettings);
+      setEndpointSettings(await getEndpointSettings());
+      setEndpointStatus({ type: 'success', message: 'Endpoints saved.' });
+    } catch (err) {
+      setEndpointStatus({ type: 'error', message: `Could not save endpoints: ${err.message}` });
+    }
+  };
+
+  // Checks the URL as typed (saved or not); empty checks the default
+  const handleCheckEndpoint = async (name) => {
+    setEndpointChecks(prev => ({ ...prev, [name]: { checking: true } }));
+    const custom = endpointSettings[name].trim();
+    let result;
+    try {
+      const headers = name === 'ors' ? getORSAuthHeaders(Boolean(custom)) : {};
+      result = await checkEndpointHealth(name, resolveEndpoint(name, { [name]: custom }), headers);
+    } catch (err) {
+      result = { ok: false, message: err.message, latencyMs: null };
+    }
+    setEndpointChecks(prev => ({ ...prev, [name]: result }));
+  };
+
+  // Empty or invalid numbers fall back to the defaults when saved
+  const updateSpeedModel = (changes) => {
+    setSpeedModel(prev => ({ ...prev, ...changes }));
+    setSpeedModelStatus(null);
+  };
+
+  const handleSaveSpeedModel = async () => {
+    try {
+      await saveSpeedModel(speedModel);
+      setSpeedModel(await getSpeedModel());
+      setSpeedModelStatus({ type: 'success', message: 'Ride time model saved.' });
+    } catch (err) {
+      setSpeedModelStatus({ type: 'error', message: `Could not save ride time model: ${err.message}` });
+    }
+  };
+
+  const handleSaveAcclimatization = async () => {
+    try {
+      await saveAcclimatizationRules(acclimatizationRules);
+      setAcclimatizationRules(await getAcclimatizationRules());
+      setAcclimatizationStatus({ type: 'success', message: 'Acclimatization rules saved.' });
+    } catch (err) {
+      setAcclimatizationStatus({ type: 'error', message: `Could not save acclimatization rules: ${err.message}` });
+    }
+  };
+
+  // Forget a wrongly resolved place: its names are geocoded again next time
+  const handleDeletePlace = async (place) => {
+    try {
+      await deletePlace(place.id);
+      setPlaces(prev => prev.filter(p => p.id !== place.id));
+      setPlacesStatus({ type: 'success', message: `${place.name} removed; it will be geocoded again next time.` });
+    } catch (err) {
+      setPlacesStatus({ type: 'error', message: `Could not remove place: ${err.message}` });
+    }
+  };
+
+  const placeFilterKey = normalizePlaceName(placeFilter);
+  const filteredPlaces = placeFilterKey
+    ? places.filter(place => place.aliases.some(alias => alias.includes(placeFilterKey)))
+    : places;
+
+  return (
+    <div style={{ padding: '20px', maxWidth: '800px', margin: '0 auto' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h1>Settings</h1>
+        <button
+          onClick={onBack}
+          style={{
+            padding: '10px 16px',
+            backgroundColor: '#6b7280',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '14px'
+          }}
+        >
+          ← Back
+        </button>
+      </div>
+
+      <div style={sectionStyle}>
+        <h2 style={{ marginTop: 0, fontSize: '18px' }}>Waypoint extraction (LLM)</h2>
+
+        <div style={{ marginBottom: '16px' }}>
+          <label style={labelStyle}>Provider</label>
+          <select
+            value={llmSettings.provider}
+            onChange={(e) => handleProviderChange(e.target.value)}
+            disabled={!loaded}
+            style={inputStyle}
+          >
+            {Object.entries(LLM_PROVIDERS).map(([id, info]) => (
+              <option key={id} value={id}>{info.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div style={{ marginBottom: '16px' }}>
+          <label style={labelStyle}>Model</label>
+          <input
+            type="text"
+            value={llmSettings.model}
+            onChange={(e) => updateField('model', e.target.value)}
+            placeholder={provider.defaultModel}
+            style={inputStyle}
+          />
+          <div style={hintStyle}>Leave empty for {provider.defaultModel}.</div>
+        </div>
+
+        <div style={{ marginBottom: '16px' }}>
+          <label style={labelStyle}>Base URL</label>
+          <input
+            type="text"
+            value={llmSettings.baseUrl}
+            onChange={(e) => updateField('baseUrl', e.target.value)}
+            placeholder={provider.defaultBaseUrl || 'https://api.anthropic.com'}
+            style={inputStyle}
+          />
+          <div style={hintStyle}>
+            {llmSettings.provider === 'local'
+              ? 'Ollama: http://localhost:11434/v1 (start it with OLLAMA_ORIGINS set to this page\'s origin). llama.cpp server: http://localhost:8080/v1.'
+              : 'Leave empty for the provider\'s default endpoint.'}
+          </div>
+        </div>
+
+        <div style={{ marginBottom: '16px' }}>
+          <label style={labelStyle}>API key{provider.requiresApiKey ? '' : ' (optional)'}</label>
+          <input
+            type="password"
+            value={llmSettings.apiKey}
+            onChange={(e) => updateField('apiKey', e.target.value)}
+            placeholder={llmSettings.provider === 'anthropic' ? 'Uses the API proxy or VITE_ANTHROPIC_API_KEY when empty' : ''}
+            autoComplete="off"
+            style={inputStyle}
+          />
+          <div style={hintStyle}>Stored unencrypted in this browser's IndexedDB.</div>
+        </div>
+
+        {status && (
+          <div style={{ marginBottom: '12px', fontSize: '14px', color: statusColors[status.type] }}>
+            {status.message}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button
+            onClick={handleSave}
+            disabled={!loaded}
+            style={{
+              padding: '10px 16px',
+              backgroundColor: '#3b82f6',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: loaded ? 'pointer' : 'not-allowed',
+              fontSize: '14px'
+            }}
+          >
+            Save
+          </button>
+          <button
+            onClick={handleTest}
+            disabled={!loaded || testing}
+            style={{
+              padding: '10px 16px',
+              backgroundColor: testing ? '#d1d5db' : '#10b981',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: !loaded || testing ? 'not-allowed' : 'pointer',
+              fontSize: '14px'
+            }}
+            title="Extract waypoints from a two-day sample itinerary with these settings (not saved)"
+          >
+            {testing ? 'Testing...' : 'Test'}
+          </button>
+        </div>
+      </div>
+
+      <div style={sectionStyle}>
+        <h2 style={{ marginTop: 0, fontSize: '18px' }}>Endpoints</h2>
+        <p style={{ marginTop: 0, fontSize: '14px', color: '#6b7280' }}>
+          Point routing, geocoding and map tiles at a self-hosted server or a local mock. Leave a field empty for the default.
+        </p>
+
+        {Object.entries(ENDPOINTS).map(([name, info]) => {
+          const check = endpointChecks[name];
+          return (
+            <div key={name} style={{ marginBottom: '16px' }}>
+              <label style={labelStyle}>{info.label}</label>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <input
+                  type="text"
+                  value={endpointSettings[name]}
+                  onChange={(e) => updateEndpoint(name, e.target.value)}
+                  placeholder={info.getDefault()}
+                  disabled={!loaded}
+                  style={inputStyle}
+                />
+                <button
+                  onClick={() => handleCheckEndpoint(name)}
+                  disabled={!loaded || check?.checking}
+                  style={{
+                    padding: '8px 12px',
+                    backgroundColor: check?.checking ? '#d1d5db' : '#10b981',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: !loaded || check?.checking ? 'not-allowed' : 'pointer',
+                    fontSize: '14px',
+                    whiteSpace: 'nowrap'
+                  }}
+                  title="Send a test request to this endpoint (the URL as typed, not saved)"
+                >
+                  {check?.checking ? 'Checking...' : 'Check'}
+                </button>
+              </div>
+              <div style={hintStyle}>{info.hint}</div>
+              {check && !check.checking && (
+                <div style={{ marginTop: '4px', fontSize: '13px', color: check.ok ? statusColors.success : statusColors.error }}>
+                  {check.ok ? '✓' : '✗'} {check.message}
+                  {check.latencyMs != null && ` (${check.latencyMs} ms)`}
+                </div>
+              )}
+            </div>
+          );
+        })}
+
+        {endpointStatus && (
+          <div style={{ marginBottom: '12px', fontSize: '14px', color: statusColors[endpointStatus.type] }}>
+            {endpointStatus.message}
+          </div>
+        )}
+
+        <button
+          onClick={handleSaveEndpoints}
+          disabled={!loaded}
+          style={{
+            padding: '10px 16px',
+            backgroundColor: '#3b82f6',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: loaded ? 'pointer' : 'not-allowed',
+            fontSize: '14px'
+          }}
+        >
+          Save
+        </button>
+      </div>
+
+      <div style={sectionStyle}>
+        <h2 style={{ marginTop: 0, fontSize: '18px' }}>Ride time</h2>
+        <p style={{ marginTop: 0, fontSize: '14px', color: '#6b7280' }}>
+          Riding hours are estimated from these speeds rather than the routing service's car durations.
+          Speeds drop on unpaved surfaces, at high altitude and on steep gradients.
+        </p>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '12px', marginBottom: '16px' }}>
+          {Object.entries(ROAD_TYPES).map(([type, label]) => (
+            <div key={type}>
+              <label style={labelStyle}>{label} (km/h)</label>
+              <input
+                type="number"
+                min={1}
+                value={Number.isNaN(speedModel.speeds[type]) ? '' : speedModel.speeds[type]}
+                onChange={(e) => updateSpeedModel({ speeds: { ...speedModel.speeds, [type]: e.target.valueAsNumber } })}
+                disabled={!loaded}
+                style={inputStyle}
+              />
+            </div>
+          ))}
+          {SPEED_MODEL_FIELDS.map(([field, label, unit]) => (
+            <div key={field}>
+              <label style={labelStyle}>{label} ({unit})</label>
+              <input
+                type="number"
+                min={1}
+                value={Number.isNaN(speedModel[field]) ? '' : speedModel[field]}
+                onChange={(e) => updateSpeedModel({ [field]: e.target.valueAsNumber })}
+                disabled={!loaded}
+                style={inputStyle}
+              />
+            </div>
+          ))}
+        </div>
+
+        {speedModelStatus && (
+          <div style={{ marginBottom: '12px', fontSize: '14px', color: statusColors[speedModelStatus.type] }}>
+            {speedModelStatus.message}
+          </div>
+        )}
+
+        <button
+          onClick={handleSaveSpeedModel}
+          disabled={!loaded}
+          style={{
+            padding: '10px 16px',
+            backgroundColor: '#3b82f6',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: loaded ? 'pointer' : 'not-allowed',
+            fontSize: '14px'
+          }}
+        >
+          Save
+        </button>
+      </div>
+
+      <div style={sectionStyle}>
+        <h2 style={{ marginTop: 0, fontSize: '18px' }}>Acclimatization</h2>
+        <p style={{ marginTop: 0, fontSize: '14px', color: '#6b7280' }}>
+          Trip days are checked against these rules using the altitude where each day ends (segment elevation).
+        </p>
+
+        {ACCLIMATIZATION_FIELDS.map(([field, label, unit, hint]) => (
+          <div key={field} style={{ marginBottom: '16px' }}>
+            <label style={labelStyle}>{label} ({unit})</label>
+            <input
+              type="number"
+              min={0}
+              value={Number.isNaN(acclimatizationRules[field]) ? '' : acclimatizationRules[field]}
+              onChange={(e) => {
+                setAcclimatizationRules(prev => ({ ...prev, [field]: e.target.valueAsNumber }));
+                setAcclimatizationStatus(null);
+              }}
+              disabled={!loaded}
+              style={inputStyle}
+            />
+            {hint && <div style={hintStyle}>{hint}</div>}
+          </div>
+        ))}
+
+        {acclimatizationStatus && (
+          <div style={{ marginBottom: '12px', fontSize: '14px', color: statusColors[acclimatizationStatus.type] }}>
+            {acclimatizationStatus.message}
+          </div>
+        )}
+
+        <button
+          onClick={handleSaveAcclimatization}
+          disabled={!loaded}
+          style={{
+            padding: '10px 16px',
+            backgroundColor: '#3b82f6',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: loaded ? 'pointer' : 'not-allowed',
+            fontSize: '14px'
+          }}
+        >
+          Save
+        </button>
+      </div>
+
+      <div style={sectionStyle}>
+        <h2 style={{ marginTop: 0, fontSize: '18px' }}>Saved places</h2>
+        <p style={{ marginTop: 0, fontSize: '14px', color: '#6b7280' }}>
+          Place names resolved once are reused by every route without asking Nominatim again. Remove a place that
+          points to the wrong location so its names are geocoded again.
+        </p>
+
+        <input
+          type="text"
+          value={placeFilter}
+          onChange={(e) => setPlaceFilter(e.target.value)}
+          placeholder="Filter by name"
+          disabled={!loaded}
+          style={{ ...inputStyle, marginBottom: '12px' }}
+        />
+
+        {placesStatus && (
+          <div style={{ marginBottom: '12px', fontSize: '14px', color: statusColors[placesStatus.type] }}>
+            {placesStatus.message}
+          </div>
+        )}
+
+        {filteredPlaces.length === 0 ? (
+          <div style={{ fontSize: '14px', color: '#6b7280' }}>
+            {places.length === 0 ? 'No places saved yet.' : 'No saved place matches the filter.'}
+          </div>
+        ) : (
+          <div style={{ maxHeight: '320px', overflowY: 'auto', border: '1px solid #e5e7eb', borderRadius: '4px' }}>
+            {filteredPlaces.map(place => (
+              <div
+                key={place.id}
+                style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '8px', borderBottom: '1px solid #f3f4f6', fontSize: '14px' }}
+              >
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ fontWeight: '500' }}>{place.name}</div>
+                  <div style={hintStyle}>
+                    {place.lat.toFixed(4)}, {place.lng.toFixed(4)} • {PLACE_SOURCE_LABELS[place.source] || place.source}
+                    {place.aliases.length > 1 && ` • also: ${place.aliases.filter(alias => alias !== normalizePlaceName(place.name)).join(', ')}`}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleDeletePlace(place)}
+                  style={{
+                    padding: '4px 10px',
+                    backgroundColor: '#ef4444',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '12px'
+                  }}
+                  title="Forget this place (its names will be geocoded again)"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -5,6 +5,11 @@ import {
   getMaxDay,
   formatDayLabel
 } from '../utils/calendarHelpers';
+import { formatDuration } from '../utils/geoUtils';
+import { getDayRideHours } from '../utils/rideTime';
+import { getFuelGapDays } from '../utils/fuelRange';
+import { formatElevation } from '../utils/elevationService';
+import { getPassSeasonWarning } from '../utils/mountainPasses';
 
 const WINDOW_BUFFER_DAYS = 3;
 const NOTE_TRUNCATE_LEN = 40;
@@ -73,6 +78,13 @@ export default function TripCalendarStrip({
   waypoints = [],
   segmentDays = [],
   tripStartDate,
+  segmentHours = [],
+  maxDailyHours = null,
+  fuelGaps = [],
+  acclimatization = { days: {}, suggestions: [] },
+  passCrossings = [],
+  permitChecklist = [],
+  permitsObtained = [],
   dayNotes = {},
   onDayNotesChange
 }) {
@@ -82,6 +94,7 @@ export default function TripCalendarStrip({
   const popoverRef = useRef(null);
   const maxDay = getMaxDay(segmentDays);
   const dayEntries = getDayEntries(segmentDays, tripStartDate);
+  const dayHours = getDayRideHours(segmentHours, segmentDays);
 
   useEffect(() => {
     if (openDayNumber != null) {
@@ -126,6 +139,13 @@ export default function TripCalendarStrip({
       : '';
     const items = dayNumber ? getSegmentsForDay(segments, segmentDays, dayNumber) : [];
     const title = isTripDay ? label : (date ? date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' }) + bufferLabel : '');
+    const hours = dayNumber ? dayHours[dayNumber] : null;
+    const tooLong = hours != null && maxDailyHours && hours > maxDailyHours;
+    const dayFuelGaps = dayNumber ? fuelGaps.filter(gap => getFuelGapDays(gap, segmentDays).includes(dayNumber)) : [];
+    const night = dayNumber ? acclimatization.days[dayNumber] : null;
+    const restSuggestion = dayNumber ? acclimatization.suggestions.find(s => s.afterDay === dayNumber) : null;
+    const dayPasses = dayNumber ? passCrossings.filter(crossing => crossing.day === dayNumber) : [];
+    const dayPermits = dayNumber ? permitChecklist.filter(item => item.days.includes(dayNumber)) : [];
     return (
       <div key={entry.date ? entry.date.toISOString() : `day-${dayNumber}`}>
         <div style={{
@@ -136,6 +156,57 @@ export default function TripCalendarStrip({
         }}>
           {title}
         </div>
+        {hours != null && (
+          <div
+            style={{ fontSize: '12px', color: tooLong ? '#dc2626' : '#6b7280', fontWeight: tooLong ? '500' : 'normal', marginBottom: '6px' }}
+            title={tooLong ? `More than the ${maxDailyHours} h of riding per day set in Settings` : undefined}
+          >
+            {tooLong ? '⚠ ' : ''}~{formatDuration(hours * 3600)} riding
+          </div>
+        )}
+        {night?.altitude != null && (
+          <div style={{ fontSize: '12px', color: '#6b7280', marginBottom: '6px' }}>
+            Sleep: {night.place} {formatElevation(night.altitude)}
+            {night.gain ? ` (${night.gain > 0 ? '+' : '−'}${formatElevation(Math.abs(night.gain))})` : ''}
+          </div>
+        )}
+        {night?.warnings.map((warning, index) => (
+          <div key={`altitude-${index}`} style={{ fontSize: '12px', color: '#b45309', fontWeight: '500', marginBottom: '6px' }}>
+            ⛰ {warning}
+          </div>
+        ))}
+        {restSuggestion && (
+          <div style={{ fontSize: '12px', color: '#b45309', marginBottom: '6px' }}>
+            Suggested: rest day at {restSuggestion.place} after this day
+          </div>
+        )}
+        {dayPasses.map((crossing, index) => (
+          <div
+            key={`pass-${index}`}
+            style={{ fontSize: '12px', color: crossing.inSeason === false ? '#dc2626' : '#6b7280', fontWeight: crossing.inSeason === false ? '500' : 'normal', marginBottom: '6px' }}
+            title={getPassSeasonWarning(crossing) || crossing.pass.note}
+          >
+            {crossing.inSeason === false ? '⚠ ' : ''}▲ {crossing.pass.name} {formatElevation(crossing.pass.altitude)}
+            {crossing.inSeason === false ? ' — outside its usual season' : ''}
+          </div>
+        ))}
+        {dayPermits.map(({ area }) => {
+          const missing = !permitsObtained.includes(area.id);
+          return (
+            <div
+              key={`permit-${area.id}`}
+              style={{ fontSize: '12px', color: missing ? '#b45309' : '#6b7280', marginBottom: '6px' }}
+              title={[area.permit, area.foreignerPermit && `Foreign nationals: ${area.foreignerPermit}`].filter(Boolean).join(' • ')}
+            >
+              {missing ? '🛂' : '✓'} Permit: {area.name}{missing ? ' (not obtained yet)' : ''}
+            </div>
+          );
+        })}
+        {dayFuelGaps.map((gap, index) => (
+          <div key={index} style={{ fontSize: '12px', color: '#dc2626', fontWeight: '500', marginBottom: '6px' }}>
+            ⛽ No fuel {gap.from} → {gap.to} ({formatDistance(gap.distance)})
+          </div>
+        ))}
         {items.length === 0 && isTripDay ? (
           <div style={{ fontSize: '13px', color: '#9ca3af', fontStyle: 'italic' }}>No movement</div>
         ) : (
@@ -146,6 +217,7 @@ export default function TripCalendarStrip({
                 {segment.distance != null && (
                   <span style={{ color: '#6b7280', marginLeft: '6px' }}>
                     {formatDistance(segment.distance)}
+                    {segmentHours[index] != null && ` • ~${formatDuration(segmentHours[index] * 3600)}`}
                   </span>
                 )}
               </li>
@@ -1,14 +1,33 @@
-import { getSegmentLabel, getMaxDay } from '../utils/calendarHelpers';
+import { getSegmentLabel, getMaxDay, getDayDistances } from '../utils/calendarHelpers';
+import { formatDistance, formatDuration } from '../utils/geoUtils';
+import { getDayRideHours } from '../utils/rideTime';
+import { getFuelGapDays } from '../utils/fuelRange';
+import { insertRestDay } from '../utils/acclimatization';
+import { formatElevation } from '../utils/elevationService';
+import { formatOpenMonths, getPassSeasonWarning } from '../utils/mountainPasses';
+
+// Stated and computed day distances further apart than this are highlighted
+const DISTANCE_MISMATCH_RATIO = 0.2;
 
 /**
- * Trip days section: trip start date, per-segment day assignment, duration.
+ * Trip days section: trip start date, per-segment day assignment, duration, estimated riding
+ * hours per segment and per day (flagged above the daily maximum), stretches without fuel, acclimatization
+ * warnings with rest days to insert, mountain passes crossed (flagged outside their usual season), and the itinerary's stated
+ * km/hours per day next to the computed ones.
  * Only shown when segments.length > 0.
  */
 export default function TripDaysSection({
   segments = [],
   waypoints = [],
   segmentDays = [],
+  itineraryDays = [],
   tripStartDate,
+  segmentHours = [],
+  maxDailyHours = null,
+  fuelGaps = [],
+  fuelRangeKm = null,
+  acclimatization = { days: {}, suggestions: [] },
+  passCrossings = [],
   onSegmentDaysChange,
   onTripStartDateChange
 }) {
@@ -31,6 +50,13 @@ export default function TripDaysSection({
 
   if (segments.length === 0) return null;
 
+  const dayDistances = getDayDistances(segments, segmentDays);
+  const dayHours = getDayRideHours(segmentHours, segmentDays);
+  const longDays = Object.keys(dayHours).map(Number).filter(day => maxDailyHours && dayHours[day] > maxDailyHours);
+  const statedDays = itineraryDays.filter(d => d.distanceKm || d.hours);
+  const altitudeWarnings = Object.entries(acclimatization.days).filter(([, night]) => night.warnings.length > 0);
+  const passWarnings = passCrossings.map(getPassSeasonWarning).filter(Boolean);
+
   return (
     <div style={{ marginTop: '20px', paddingTop: '16px', borderTop: '1px solid #e5e7eb' }}>
       <h3 style={{ marginBottom: '12px' }}>Trip days</h3>
@@ -66,6 +92,108 @@ export default function TripDaysSection({
         </div>
       )}
 
+      {longDays.length > 0 && (
+        <div style={{
+          marginBottom: '12px',
+          padding: '8px',
+          backgroundColor: '#fef2f2',
+          border: '1px solid #fecaca',
+          borderRadius: '4px',
+          fontSize: '13px',
+          color: '#991b1b'
+        }}>
+          ⚠ More than {maxDailyHours} h of riding on {longDays.map(day => `Day ${day} (${formatDuration(dayHours[day] * 3600)})`).join(', ')}
+        </div>
+      )}
+
+      {fuelGaps.length > 0 && (
+        <div style={{
+          marginBottom: '12px',
+          padding: '8px',
+          backgroundColor: '#fef2f2',
+          border: '1px solid #fecaca',
+          borderRadius: '4px',
+          fontSize: '13px',
+          color: '#991b1b'
+        }}>
+          {fuelGaps.map((gap, index) => {
+            const days = getFuelGapDays(gap, segmentDays);
+            return (
+              <div key={index}>
+                ⛽ {days.length > 0 && `Day ${days.length > 1 ? `${days[0]}–${days[days.length - 1]}` : days[0]}: `}
+                {gap.from} → {gap.to}, {formatDistance(gap.distance)} without fuel{fuelRangeKm ? ` (range ${fuelRangeKm} km)` : ''}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {altitudeWarnings.length > 0 && (
+        <div style={{
+          marginBottom: '12px',
+          padding: '8px',
+          backgroundColor: '#fffbeb',
+          border: '1px solid #fde68a',
+          borderRadius: '4px',
+          fontSize: '13px',
+          color: '#92400e'
+        }}>
+          <div style={{ fontWeight: '500', marginBottom: '4px' }}>Acclimatization</div>
+          {altitudeWarnings.map(([day, night]) => night.warnings.map((warning, index) => (
+            <div key={`${day}-${index}`}>
+              ⛰ Day {day} ({night.place}, {formatElevation(night.altitude)}): {warning}
+            </div>
+          )))}
+          {acclimatization.suggestions.map(suggestion => (
+            <div key={suggestion.afterDay} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '6px' }}>
+              <span style={{ flex: 1 }}>
+                Suggested: rest day at {suggestion.place} {suggestion.afterDay === 0 ? 'before Day 1' : `after Day ${suggestion.afterDay}`} ({suggestion.reason})
+              </span>
+              <button
+                onClick={() => onSegmentDaysChange(insertRestDay(segmentDays, suggestion.afterDay))}
+                style={{
+                  padding: '4px 8px',
+                  backgroundColor: '#d97706',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '12px',
+                  whiteSpace: 'nowrap'
+                }}
+                title="Move the following segments one day later"
+              >
+                Insert rest day
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {passCrossings.length > 0 && (
+        <div style={{
+          marginBottom: '12px',
+          padding: '8px',
+          backgroundColor: passWarnings.length > 0 ? '#fef2f2' : '#f9fafb',
+          border: `1px solid ${passWarnings.length > 0 ? '#fecaca' : '#e5e7eb'}`,
+          borderRadius: '4px',
+          fontSize: '13px'
+        }}>
+          <div style={{ fontWeight: '500', marginBottom: '4px' }}>Mountain passes</div>
+          {passCrossings.map((crossing, index) => (
+            <div key={index} style={{ color: crossing.inSeason === false ? '#991b1b' : '#374151' }}>
+              ▲ {crossing.day && `Day ${crossing.day}: `}{crossing.pass.name}, {formatElevation(crossing.pass.altitude)} (usually open {formatOpenMonths(crossing.pass.openMonths)})
+            </div>
+          ))}
+          {passWarnings.map((warning, index) => (
+            <div key={`warning-${index}`} style={{ color: '#991b1b', marginTop: '4px' }}>⚠ {warning}</div>
+          ))}
+          {!tripStartDate && (
+            <div style={{ color: '#6b7280', marginTop: '4px' }}>Set a start date to check the crossings against the pass seasons.</div>
+          )}
+        </div>
+      )}
+
       <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
         {segments.map((segment, i) => {
           const label = getSegmentLabel(segment, waypoints);
@@ -86,6 +214,10 @@ export default function TripDaysSection({
             >
               <div style={{ flex: 1, fontSize: '13px', minWidth: 0 }}>
                 <span style={{ color: '#6b7280' }}>Segment {i + 1}:</span> {label}
+                <div style={{ fontSize: '12px', color: '#6b7280' }}>
+                  {[formatDistance(segment.distance), segmentHours[i] != null && `~${formatDuration(segmentHours[i] * 3600)} riding`]
+                    .filter(Boolean).join(' • ')}
+                </div>
               </div>
               <div style={{ display: 'flex', alignItems: 'center', gap: '4px', flexShrink: 0 }}>
                 <span style={{ fontSize: '13px', color: '#6b7280' }}>Day</span>
@@ -108,6 +240,44 @@ export default function TripDaysSection({
           );
         })}
       </div>
+
+      {statedDays.length > 0 && (
+        <div style={{ marginTop: '16px' }}>
+          <h4 style={{ margin: '0 0 8px 0', fontSize: '14px' }}>Stated vs computed</h4>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', backgroundColor: 'white' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: '#6b7280' }}>
+                <th style={{ padding: '6px' }}>Day</th>
+                <th style={{ padding: '6px' }}>Stated</th>
+                <th style={{ padding: '6px' }}>Computed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {statedDays.map(d => {
+                const computedKm = dayDistances[d.day] ? dayDistances[d.day] / 1000 : null;
+                const computedHours = dayHours[d.day] ?? null;
+                const mismatch = d.distanceKm && computedKm !== null &&
+                  Math.abs(computedKm - d.distanceKm) / d.distanceKm > DISTANCE_MISMATCH_RATIO;
+                return (
+                  <tr key={d.day} style={{ borderTop: '1px solid #e5e7eb' }}>
+                    <td style={{ padding: '6px' }}>{d.day}</td>
+                    <td style={{ padding: '6px' }}>
+                      {[d.distanceKm && `${d.distanceKm} km`, d.hours && `${d.hours} h`].filter(Boolean).join(' • ')}
+                    </td>
+                    <td
+                      style={{ padding: '6px', color: mismatch ? '#dc2626' : '#374151', fontWeight: mismatch ? '500' : 'normal' }}
+                      title={mismatch ? 'More than 20% off the stated distance - check day assignment or waypoints' : undefined}
+                    >
+                      {computedKm !== null ? `${Math.round(computedKm)} km` : '—'}
+                      {computedHours !== null && ` • ~${formatDuration(computedHours * 3600)}`}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 }
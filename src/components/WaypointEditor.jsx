@@ -10,8 +10,11 @@ import AutocompleteInput from './AutocompleteInput';
  * @param {Function} onGeocodeWaypoint - Optional callback to geocode a single waypoint: (index) => void
  * @param {Function} onEditWaypoint - Optional callback to edit a waypoint: (index) => void
  * @param {boolean} isGeocoding - Whether geocoding is in progress
+ * @param {string|null} selectedWaypointId - Waypoint whose source passage is pinned in the itinerary text
+ * @param {Function} onWaypointHover - Optional callback when hovering a waypoint: (id | null) => void
+ * @param {Function} onWaypointSelect - Optional callback when clicking a waypoint name: (id | null) => void (null unpins)
  */
-export default function WaypointEditor({ waypoints = [], onWaypointsChange, onGeocodeWaypoint = null, onEditWaypoint = null, isGeocoding = false }) {
+export default function WaypointEditor({ waypoints = [], onWaypointsChange, onGeocodeWaypoint = null, onEditWaypoint = null, isGeocoding = false, selectedWaypointId = null, onWaypointHover = null, onWaypointSelect = null }) {
   const [newLocationName, setNewLocationName] = useState('');
   const [selectedCandidate, setSelectedCandidate] = useState(null); // Store selected candidate with coordinates
 
@@ -145,12 +148,14 @@ export default function WaypointEditor({ waypoints = [], onWaypointsChange, onGe
           {waypoints.map((waypoint, index) => (
             <div
               key={index}
+              onMouseEnter={() => onWaypointHover && onWaypointHover(waypoint.id)}
+              onMouseLeave={() => onWaypointHover && onWaypointHover(null)}
               style={{
                 display: 'flex',
                 alignItems: 'center',
                 gap: '8px',
                 padding: '12px',
-                border: '1px solid #e5e7eb',
+                border: waypoint.id && waypoint.id === selectedWaypointId ? '1px solid #6366f1' : '1px solid #e5e7eb',
                 borderRadius: '4px',
                 backgroundColor: 'white'
               }}
@@ -171,7 +176,26 @@ export default function WaypointEditor({ waypoints = [], onWaypointsChange, onGe
               </div>
               
               <div style={{ flex: 1 }}>
-                <div style={{ fontWeight: '500' }}>{waypoint.name}</div>
+                <div
+                  onClick={() => onWaypointSelect && onWaypointSelect(waypoint.id === selectedWaypointId ? null : waypoint.id)}
+                  style={{ fontWeight: '500', cursor: waypoint.source && onWaypointSelect ? 'pointer' : 'default' }}
+                  title={waypoint.source ? `From the itinerary: "${waypoint.source.quote}" (click to pin)` : undefined}
+                >
+                  {waypoint.name}
+                  {Number.isInteger(waypoint.day) && (
+                    <span style={{ marginLeft: '6px', fontSize: '11px', fontWeight: 'normal', color: '#6b7280' }}>
+                      Day {waypoint.day}
+                    </span>
+                  )}
+                  {waypoint.overnight && (
+                    <span
+                      style={{ marginLeft: '6px', fontSize: '11px', fontWeight: 'normal', color: '#7c3aed' }}
+                      title="Overnight stop (from itinerary)"
+                    >
+                      overnight
+                    </span>
+                  )}
+                </div>
                 {waypoint.lat !== 0 && waypoint.lng !== 0 ? (
                   <>
                     <div style={{ fontSize: '12px', color: '#6b7280' }}>
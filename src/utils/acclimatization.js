@@ -0,0 +1,125 @@
+/**
+ * Acclimatization checker: sleeping altitude per trip day against altitude-sickness rules of thumb
+ * Each day's sleeping altitude is the elevation where its last segment ends (the overnight waypoint);
+ * days without segments are rest days at the previous night's place. Day 1 starts from the first
+ * waypoint's altitude. The rules are an app setting; 0 switches a rule off.
+ */
+
+import { getSetting, saveSetting } from './settings';
+import { hasElevation } from './elevationService';
+import { getMaxDay, waypointName } from './calendarHelpers';
+
+const ACCLIMATIZATION_KEY = 'acclimatization';
+
+export const DEFAULT_ACCLIMATIZATION_RULES = {
+  thresholdM: 3000, // rules apply to nights above this altitude
+  maxDailyGainM: 500, // max sleeping-altitude gain from one night to the next
+  restAfterDays: 3 // nights in a row above the threshold before a rest day is needed
+};
+
+/**
+ * Fill in defaults and drop invalid values (saved settings, form input)
+ * @param {Object|null|undefined} rules
+ * @returns {Object} Complete rules
+ */
+export function normalizeAcclimatizationRules(rules) {
+  const source = rules && typeof rules === 'object' ? rules : {};
+  return Object.fromEntries(Object.entries(DEFAULT_ACCLIMATIZATION_RULES).map(([field, fallback]) =>
+    [field, typeof source[field] === 'number' && source[field] >= 0 ? source[field] : fallback]
+  ));
+}
+
+/**
+ * Get the saved acclimatization rules (defaults for missing fields)
+ * @returns {Promise<Object>}
+ */
+export async function getAcclimatizationRules() {
+  return normalizeAcclimatizationRules(await getSetting(ACCLIMATIZATION_KEY, {}));
+}
+
+/**
+ * Save the acclimatization rules
+ * @param {Object} rules
+ * @returns {Promise<void>}
+ */
+export async function saveAcclimatizationRules(rules) {
+  await saveSetting(ACCLIMATIZATION_KEY, normalizeAcclimatizationRules(rules));
+}
+
+/**
+ * Check the day plan against the acclimatization rules
+ * Only a day without segments is a rest day: riding a little lower still counts towards the nights in a row
+ * above the threshold. A big gain after a rest day is still flagged, but no further rest day is suggested for
+ * it: the day itself needs an extra overnight stop.
+ * @param {Array} segments - Route segments {fromWaypointId, toWaypointId, polyline, elevation}
+ * @param {Array} waypoints - For place names
+ * @param {number[]} segmentDays - 1-based day per segment
+ * @param {Object} rules - Acclimatization rules
+ * @returns {{days: Object<number, {place: string, altitude: number|null, gain: number|null, rest: boolean, warnings: string[]}>,
+ *   suggestions: Array<{afterDay: number, place: string, reason: string}>}}
+ *   Per-day sleeping place/altitude and warnings, and rest days to insert (afterDay 0: before Day 1)
+ */
+export function checkAcclimatization(segments, waypoints, segmentDays, rules) {
+  const days = {};
+  const suggestions = [];
+  if (!segments || segments.length === 0) return { days, suggestions };
+
+  const first = segments[0];
+  let previous = {
+    place: waypointName(waypoints, first.fromWaypointId),
+    altitude: hasElevation(first) ? first.elevation[0] : null,
+    rest: false
+  };
+  let streak = 0; // nights in a row above the threshold since the last rest day
+
+  const suggest = (afterDay, place, reason) => {
+    if (!suggestions.some(s => s.afterDay === afterDay)) suggestions.push({ afterDay, place, reason });
+  };
+
+  for (let day = 1; day <= getMaxDay(segmentDays); day++) {
+    const lastIndex = segmentDays.lastIndexOf(day);
+    const last = segments[lastIndex];
+    const night = last
+      ? {
+        place: waypointName(waypoints, last.toWaypointId),
+        altitude: hasElevation(last) ? last.elevation[last.elevation.length - 1] : null
+      }
+      : { place: previous.place, altitude: previous.altitude };
+    const gain = night.altitude != null && previous.altitude != null ? night.altitude - previous.altitude : null;
+    const rest = !last;
+    const warnings = [];
+
+    if (night.altitude != null && night.altitude > rules.thresholdM) {
+      streak = rest ? 0 : streak + 1;
+      if (rules.maxDailyGainM && gain > rules.maxDailyGainM) {
+        if (previous.rest) {
+          warnings.push(`Sleeping ${Math.round(gain)} m higher than the night before (max ${rules.maxDailyGainM} m above ${rules.thresholdM} m) — consider an overnight stop on the way`);
+        } else {
+          warnings.push(`Sleeping ${Math.round(gain)} m higher than the night before (max ${rules.maxDailyGainM} m above ${rules.thresholdM} m)`);
+          suggest(day - 1, previous.place, `acclimatize before gaining ${Math.round(gain)} m on Day ${day}`);
+        }
+      }
+      if (rules.restAfterDays && streak > rules.restAfterDays) {
+        warnings.push(`${streak} nights in a row above ${rules.thresholdM} m without a rest day`);
+        suggest(day - 1, previous.place, `rest after ${rules.restAfterDays} nights above ${rules.thresholdM} m`);
+      }
+    } else {
+      streak = 0;
+    }
+
+    days[day] = { place: night.place, altitude: night.altitude, gain, rest, warnings };
+    previous = { ...night, rest };
+  }
+
+  return { days, suggestions: suggestions.sort((a, b) => a.afterDay - b.afterDay) };
+}
+
+/**
+ * Segment days with a rest day inserted: segments after `afterDay` move one day later
+ * @param {number[]} segmentDays
+ * @param {number} afterDay - 0 inserts the rest day before Day 1
+ * @returns {number[]}
+ */
+export function insertRestDay(segmentDays, afterDay) {
+  return segmentDays.map(day => (day > afterDay ? day + 1 : day));
+}
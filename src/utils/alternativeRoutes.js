@@ -0,0 +1,119 @@
+/**
+ * Alternative routes for a segment: pick one of the roads ORS offers between two waypoints and pin it
+ * A pinned segment carries `alternative: { rank, duration, between }`, where `between` holds the waypoint
+ * coordinates it was calculated for; recalculating the route keeps it as long as those are unchanged.
+ */
+
+import { computeElevationStats } from './elevationService';
+import { findWaypoint } from './calendarHelpers';
+
+// Map and list colors per alternative (index 0: fastest); distinct from the segment palette's first colors
+export const ALTERNATIVE_ROUTE_COLORS = ['#1d4ed8', '#db2777', '#ca8a04'];
+
+/**
+ * Display label for an alternative
+ * @param {number} rank - 1 for the fastest route, 2+ for the alternatives
+ * @returns {string}
+ */
+export function getAlternativeLabel(rank) {
+  return rank === 1 ? 'Fastest' : `Alternative ${rank - 1}`;
+}
+
+/**
+ * Ascent/descent of an alternative route (from ORS, or computed from its elevation)
+ * @param {{ascent: number|null, descent: number|null, elevation: number[]|null}} route
+ * @returns {{ascent: number|null, descent: number|null}}
+ */
+export function getAlternativeClimb(route) {
+  if (route.ascent != null && route.descent != null) {
+    return { ascent: route.ascent, descent: route.descent };
+  }
+  if (!route.elevation) return { ascent: null, descent: null };
+  const { ascent, descent } = computeElevationStats(route.elevation);
+  return { ascent, descent };
+}
+
+/**
+ * Start and end coordinates to route a segment between
+ * Uses the segment's waypoints; falls back to the polyline ends (e.g. waypoint removed since).
+ * @param {Object} segment - { fromWaypointId, toWaypointId, polyline }
+ * @param {Array} waypoints
+ * @returns {{from: {lat: number, lng: number}, to: {lat: number, lng: number}}|null}
+ */
+export function getSegmentEndpoints(segment, waypoints) {
+  const findLocated = (id) => {
+    const waypoint = findWaypoint(waypoints, id);
+    return waypoint && waypoint.lat !== 0 && waypoint.lng !== 0 ? waypoint : undefined;
+  };
+  const polyline = segment?.polyline || [];
+  const fromWp = findLocated(segment?.fromWaypointId);
+  const toWp = findLocated(segment?.toWaypointId);
+  const from = fromWp ? { lat: fromWp.lat, lng: fromWp.lng } : polyline[0] && { lat: polyline[0][0], lng: polyline[0][1] };
+  const to = toWp ? { lat: toWp.lat, lng: toWp.lng } : polyline.length > 0 && { lat: polyline[polyline.length - 1][0], lng: polyline[polyline.length - 1][1] };
+  return from && to ? { from, to } : null;
+}
+
+/**
+ * Check if two sets of segment endpoints are the same coordinates
+ * @param {{from: Object, to: Object}|null} a
+ * @param {{from: Object, to: Object}|null} b
+ * @returns {boolean}
+ */
+export function isSameEndpoints(a, b) {
+  const samePoint = (p, q) => Math.abs(p.lat - q.lat) < 1e-6 && Math.abs(p.lng - q.lng) < 1e-6;
+  return Boolean(a && b) && samePoint(a.from, b.from) && samePoint(a.to, b.to);
+}
+
+/**
+ * Segment with an alternative route as its polyline
+ * Pinning the fastest route (rank 1) clears the pin: the segment follows the default routing again.
+ * Alternatives are calculated without via-points, so pinning one drops them.
+ * @param {Object} segment - Segment being replaced
+ * @param {Object} route - Alternative from calculateAlternativeRoutes
+ * @param {number} rank - 1-based position in the alternatives list
+ * @param {{from: Object, to: Object}} endpoints - Coordinates the alternatives were calculated for
+ * @returns {Object} New segment
+ */
+export function pinAlternative(segment, route, rank, endpoints) {
+  const pinned = {
+    ...segment,
+    polyline: route.polyline,
+    distance: route.distance,
+    duration: route.duration,
+    elevation: route.elevation,
+    roadInfo: route.roadInfo
+  };
+  delete pinned.alternative;
+  delete pinned.viaPoints;
+  if (rank > 1) {
+    pinned.alternative = {
+      rank,
+      duration: route.duration,
+      between: [[endpoints.from.lat, endpoints.from.lng], [endpoints.to.lat, endpoints.to.lng]]
+    };
+  }
+  return pinned;
+}
+
+/**
+ * Carry pinned alternatives over into freshly calculated segments
+ * A pin survives when the new segment joins the same waypoints at the same coordinates.
+ * @param {Array} newSegments - From calculateRouteSegments
+ * @param {Array} previousSegments - Segments before the recalculation
+ * @param {Array} waypoints - Waypoints the new segments were calculated for
+ * @returns {Array} New segments, with previous pinned segments in place of recalculated ones
+ */
+export function keepPinnedAlternatives(newSegments, previousSegments, waypoints) {
+  return newSegments.map(segment => {
+    const previous = previousSegments.find(s =>
+      s.alternative &&
+      s.fromWaypointId === segment.fromWaypointId &&
+      s.toWaypointId === segment.toWaypointId
+    );
+    if (!previous) return segment;
+    const [[fromLat, fromLng], [toLat, toLng]] = previous.alternative.between;
+    const pinnedEndpoints = { from: { lat: fromLat, lng: fromLng }, to: { lat: toLat, lng: toLng } };
+    if (!isSameEndpoints(pinnedEndpoints, getSegmentEndpoints(segment, waypoints))) return segment;
+    return previous;
+  });
+}
@@ -0,0 +1,31 @@
+/**
+ * Where third-party APIs are called: directly from the browser, or through the API proxy (server/)
+ * Set VITE_API_BASE_URL (e.g. "/api") to route Anthropic, OpenRouteService and Nominatim through the
+ * proxy, which holds the API keys server-side; no VITE_* keys are then needed in the bundle.
+ */
+
+const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || '').replace(/\/+$/, '');
+
+// Upstream origins for direct calls (the proxy forwards /<service>/... to the same paths)
+const DIRECT_BASE_URLS = {
+  anthropic: 'https://api.anthropic.com',
+  ors: 'https://api.openrouteservice.org',
+  nominatim: 'https://nominatim.openstreetmap.org'
+};
+
+/**
+ * Check if API calls go through the proxy
+ * @returns {boolean}
+ */
+export function isProxyEnabled() {
+  return API_BASE_URL !== '';
+}
+
+/**
+ * Base URL for a service (no trailing slash)
+ * @param {'anthropic'|'ors'|'nominatim'} service
+ * @returns {string}
+ */
+export function getServiceBaseUrl(service) {
+  return isProxyEnabled() ? `${API_BASE_URL}/${service}` : DIRECT_BASE_URLS[service];
+}
@@ -25,6 +25,26 @@ export function getShortPlaceName(name) {
   return main || name;
 }
 
+/**
+ * Find the waypoint a segment endpoint refers to (segment IDs are waypoint id, or order for older routes)
+ * @param {Array} waypoints
+ * @param {string} waypointId - Segment fromWaypointId / toWaypointId
+ * @returns {Object|undefined}
+ */
+export function findWaypoint(waypoints, waypointId) {
+  return waypoints.find(w => (w.id && w.id === waypointId) || (w.order !== undefined && String(w.order) === waypointId));
+}
+
+/**
+ * Short name of the waypoint a segment endpoint refers to
+ * @param {Array} waypoints
+ * @param {string} waypointId - Segment fromWaypointId / toWaypointId
+ * @returns {string}
+ */
+export function waypointName(waypoints, waypointId) {
+  return getShortPlaceName(findWaypoint(waypoints, waypointId)?.name);
+}
+
 /**
  * @param {Object} segment - { fromWaypointId, toWaypointId, distance }
  * @param {Array} waypoints - waypoints with id/order and name
@@ -32,11 +52,7 @@ export function getShortPlaceName(name) {
  */
 export function getSegmentLabel(segment, waypoints) {
   if (!segment || !waypoints) return '—';
-  const from = waypoints.find(w => (w.id && w.id === segment.fromWaypointId) || (w.order !== undefined && String(w.order) === segment.fromWaypointId));
-  const to = waypoints.find(w => (w.id && w.id === segment.toWaypointId) || (w.order !== undefined && String(w.order) === segment.toWaypointId));
-  const fromName = getShortPlaceName(from?.name);
-  const toName = getShortPlaceName(to?.name);
-  return `${fromName} → ${toName}`;
+  return `${waypointName(waypoints, segment.fromWaypointId)} → ${waypointName(waypoints, segment.toWaypointId)}`;
 }
 
 /**
@@ -61,3 +77,36 @@ export function formatDayLabel(tripStartDate, dayNumber) {
   }
   return `Day ${dayNumber}`;
 }
+
+/**
+ * Segment days from the itinerary days stored on waypoints (waypoint.day, from itinerary extraction)
+ * Each segment belongs to the day its end waypoint is reached; waypoints without a day inherit the previous one.
+ * @param {Array} segments
+ * @param {Array} waypoints
+ * @returns {number[] | null} 1-based day per segment, or null if no waypoint carries a day
+ */
+export function segmentDaysFromWaypoints(segments, waypoints) {
+  if (!segments || segments.length === 0 || !waypoints?.some(w => Number.isInteger(w.day))) return null;
+  let current = 1;
+  return segments.map(segment => {
+    const day = findWaypoint(waypoints, segment.toWaypointId)?.day;
+    if (Number.isInteger(day)) current = Math.max(current, day);
+    return current;
+  });
+}
+
+/**
+ * Computed riding distance per day
+ * @param {Array} segments - { distance } in meters
+ * @param {number[]} segmentDays
+ * @returns {Object<number, number>} { [day]: meters }
+ */
+export function getDayDistances(segments, segmentDays) {
+  const totals = {};
+  (segments || []).forEach((segment, i) => {
+    const day = segmentDays?.[i];
+    if (!day) return;
+    totals[day] = (totals[day] || 0) + (segment.distance || 0);
+  });
+  return totals;
+}
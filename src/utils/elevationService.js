@@ -0,0 +1,178 @@
+/**
+ * Elevation data for route segments: DEM lookups, ascent/descent stats and profile building
+ *
+ * Segments calculated via OpenRouteService carry elevation already (requested with elevation=true).
+ * The DEM sources below fill in elevation for segments that lack it (imported tracks, older routes).
+ */
+
+import { haversineDistance } from './geoUtils';
+
+// Maximum number of points sampled per segment; the rest are interpolated
+const MAX_SAMPLES_PER_SEGMENT = 300;
+
+/**
+ * Pluggable DEM sources. Each takes an array of [lat, lng] (max `batchSize`) and resolves to elevations in meters.
+ */
+export const ELEVATION_SOURCES = {
+  'open-meteo': {
+    label: 'Open-Meteo (Copernicus DEM 90m)',
+    batchSize: 100,
+    async fetch(points) {
+      const latitude = points.map(p => p[0].toFixed(5)).join(',');
+      const longitude = points.map(p => p[1].toFixed(5)).join(',');
+      const response = await fetch(`https://api.open-meteo.com/v1/elevation?latitude=${latitude}&longitude=${longitude}`);
+      if (!response.ok) {
+        throw new Error(`Elevation lookup failed: ${response.statusText}`);
+      }
+      const data = await response.json();
+      return data.elevation || [];
+    }
+  },
+  'open-elevation': {
+    label: 'Open-Elevation (SRTM)',
+    batchSize: 200,
+    async fetch(points) {
+      const response = await fetch('https://api.open-elevation.com/api/v1/lookup', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          locations: points.map(([latitude, longitude]) => ({ latitude, longitude }))
+        })
+      });
+      if (!response.ok) {
+        throw new Error(`Elevation lookup failed: ${response.statusText}`);
+      }
+      const data = await response.json();
+      return (data.results || []).map(r => r.elevation);
+    }
+  }
+};
+
+export const DEFAULT_ELEVATION_SOURCE = 'open-meteo';
+
+/**
+ * Look up elevations for every point of a polyline using a DEM source
+ * Long polylines are sampled and the remaining points linearly interpolated.
+ * @param {Array<[number, number]>} polyline - [lat, lng] pairs
+ * @param {string} sourceId - Key of ELEVATION_SOURCES
+ * @returns {Promise<number[]>} Elevation in meters for each polyline point
+ */
+export async function fetchElevations(polyline, sourceId = DEFAULT_ELEVATION_SOURCE) {
+  const source = ELEVATION_SOURCES[sourceId];
+  if (!source) {
+    throw new Error(`Unknown elevation source: ${sourceId}`);
+  }
+  if (!polyline || polyline.length === 0) return [];
+
+  // Pick evenly spaced sample indices (always including first and last point)
+  const step = Math.max(1, Math.ceil(polyline.length / MAX_SAMPLES_PER_SEGMENT));
+  const sampleIndices = [];
+  for (let i = 0; i < polyline.length; i += step) sampleIndices.push(i);
+  if (sampleIndices[sampleIndices.length - 1] !== polyline.length - 1) {
+    sampleIndices.push(polyline.length - 1);
+  }
+
+  const sampleElevations = [];
+  for (let i = 0; i < sampleIndices.length; i += source.batchSize) {
+    const batch = sampleIndices.slice(i, i + source.batchSize).map(idx => polyline[idx]);
+    const elevations = await source.fetch(batch);
+    if (elevations.length !== batch.length) {
+      throw new Error('Elevation lookup returned an unexpected number of points');
+    }
+    sampleElevations.push(...elevations);
+  }
+
+  // Interpolate between samples by point index
+  const result = new Array(polyline.length);
+  for (let s = 0; s < sampleIndices.length - 1; s++) {
+    const startIdx = sampleIndices[s];
+    const endIdx = sampleIndices[s + 1];
+    for (let i = startIdx; i < endIdx; i++) {
+      const t = (i - startIdx) / (endIdx - startIdx);
+      result[i] = sampleElevations[s] + t * (sampleElevations[s + 1] - sampleElevations[s]);
+    }
+  }
+  result[polyline.length - 1] = sampleElevations[sampleElevations.length - 1];
+  return result;
+}
+
+/**
+ * Check if a segment has per-point elevation data matching its polyline
+ * @param {Object} segment - { polyline, elevation }
+ * @returns {boolean}
+ */
+export function hasElevation(segment) {
+  return Array.isArray(segment?.elevation) &&
+         segment.elevation.length > 0 &&
+         segment.elevation.length === segment.polyline?.length;
+}
+
+/**
+ * Total ascent/descent and min/max altitude of an elevation series
+ * @param {number[]} elevations - Elevation in meters
+ * @returns {{ascent: number, descent: number, maxAltitude: number|null, minAltitude: number|null}}
+ */
+export function computeElevationStats(elevations) {
+  const values = (elevations || []).filter(e => typeof e === 'number' && !isNaN(e));
+  if (values.length === 0) {
+    return { ascent: 0, descent: 0, maxAltitude: null, minAltitude: null };
+  }
+
+  // One pass without spreading: long tracks exceed the engine's argument limit for Math.max(...values)
+  let ascent = 0;
+  let descent = 0;
+  let maxAltitude = values[0];
+  let minAltitude = values[0];
+  for (let i = 1; i < values.length; i++) {
+    const diff = values[i] - values[i - 1];
+    if (diff > 0) ascent += diff;
+    else descent -= diff;
+    if (values[i] > maxAltitude) maxAltitude = values[i];
+    if (values[i] < minAltitude) minAltitude = values[i];
+  }
+
+  return { ascent, descent, maxAltitude, minAltitude };
+}
+
+/**
+ * Build a distance/elevation profile for a set of segments
+ * @param {Array} segments - All route segments
+ * @param {number[]} segmentIndices - Indices of segments to include, in order
+ * @returns {Array<{distance: number, elevation: number, lat: number, lng: number, segmentIndex: number}>}
+ *   Samples with cumulative distance in meters from the start of the first included segment
+ */
+export function buildElevationProfile(segments, segmentIndices) {
+  const samples = [];
+  let cumulative = 0;
+
+  segmentIndices.forEach(segmentIndex => {
+    const segment = segments[segmentIndex];
+    if (!hasElevation(segment)) return;
+
+    segment.polyline.forEach((coord, i) => {
+      if (i > 0) {
+        const prev = segment.polyline[i - 1];
+        cumulative += haversineDistance(prev[0], prev[1], coord[0], coord[1]);
+      }
+      samples.push({
+        distance: cumulative,
+        elevation: segment.elevation[i],
+        lat: coord[0],
+        lng: coord[1],
+        segmentIndex
+      });
+    });
+  });
+
+  return samples;
+}
+
+/**
+ * Format an elevation in meters for display
+ * @param {number|null} meters
+ * @returns {string} e.g. "5,359 m" or "—"
+ */
+export function formatElevation(meters) {
+  if (meters == null || isNaN(meters)) return '—';
+  return `${Math.round(meters).toLocaleString()} m`;
+}
@@ -0,0 +1,179 @@
+/**
+ * Service endpoints: routing (OpenRouteService), geocoding (Nominatim) and map tile servers
+ * Each can be pointed at a self-hosted server or a local mock in Settings; empty means the default
+ * (the API proxy when VITE_API_BASE_URL is set, the public service otherwise).
+ */
+
+import { getSetting, saveSetting } from './settings';
+import { getServiceBaseUrl } from './apiConfig';
+
+const ENDPOINT_SETTINGS_KEY = 'endpoints';
+
+// Short fixed trip used to check a routing endpoint (Leh → Choglamsar, ~8 km)
+const ROUTING_CHECK_COORDINATES = [[77.5771, 34.1526], [77.6106, 34.1114]];
+
+const HEALTH_CHECK_TIMEOUT_MS = 10000;
+
+// Esri place labels drawn over the satellite imagery, whichever imagery server is configured
+export const SATELLITE_LABELS_URL = 'https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}';
+
+export const ENDPOINTS = {
+  ors: {
+    label: 'Routing (OpenRouteService)',
+    hint: 'Base URL without /v2, e.g. http://localhost:8080/ors for a self-hosted ORS',
+    getDefault: () => getServiceBaseUrl('ors')
+  },
+  nominatim: {
+    label: 'Geocoding (Nominatim)',
+    hint: 'Base URL serving /search, e.g. http://localhost:8088',
+    getDefault: () => getServiceBaseUrl('nominatim')
+  },
+  mapTiles: {
+    label: 'Map tiles',
+    hint: 'Tile URL template with {z}, {x}, {y} (and optionally {s})',
+    getDefault: () => 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png'
+  },
+  satelliteTiles: {
+    label: 'Satellite tiles',
+    hint: 'Tile URL template with {z}, {x}, {y}; place labels stay on Esri',
+    getDefault: () => 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}'
+  }
+};
+
+// Loaded once per session; saving updates it
+let cachedSettings = null;
+
+/**
+ * Get the saved endpoint overrides (empty string: default)
+ * @returns {Promise<{ors: string, nominatim: string, mapTiles: string, satelliteTiles: string}>}
+ */
+export async function getEndpointSettings() {
+  if (!cachedSettings) {
+    const saved = await getSetting(ENDPOINT_SETTINGS_KEY, {});
+    cachedSettings = Object.fromEntries(Object.keys(ENDPOINTS).map(name => [name, saved?.[name] || '']));
+  }
+  return cachedSettings;
+}
+
+/**
+ * Save endpoint overrides
+ * @param {Object} settings - { [endpointName]: url or '' }
+ * @returns {Promise<void>}
+ */
+export async function saveEndpointSettings(settings) {
+  const cleaned = Object.fromEntries(Object.keys(ENDPOINTS).map(name => [name, (settings[name] || '').trim()]));
+  await saveSetting(ENDPOINT_SETTINGS_KEY, cleaned);
+  cachedSettings = cleaned;
+}
+
+/**
+ * Effective URL of an endpoint (override or default), without trailing slash
+ * @param {string} name - Key of ENDPOINTS
+ * @param {Object} settings - Endpoint overrides (from getEndpointSettings)
+ * @returns {string}
+ */
+export function resolveEndpoint(name, settings) {
+  return (settings?.[name] || ENDPOINTS[name].getDefault()).replace(/\/+$/, '');
+}
+
+/**
+ * Effective URL of an endpoint from the saved settings
+ * @param {string} name - Key of ENDPOINTS
+ * @returns {Promise<string>}
+ */
+export async function getEndpoint(name) {
+  return resolveEndpoint(name, await getEndpointSettings());
+}
+
+/**
+ * Check if an endpoint is overridden (e.g. a self-hosted ORS needs no API key)
+ * @param {string} name - Key of ENDPOINTS
+ * @returns {Promise<boolean>}
+ */
+export async function isCustomEndpoint(name) {
+  return Boolean((await getEndpointSettings())[name]);
+}
+
+/**
+ * Fill a tile URL template for one tile
+ * @param {string} template
+ * @param {{z: number, x: number, y: number}} tile
+ * @returns {string}
+ */
+export function fillTileUrl(template, { z, x, y }) {
+  return template.replace('{s}', 'a').replace('{z}', z).replace('{x}', x).replace('{y}', y);
+}
+
+/**
+ * fetch with a timeout
+ * @param {string} url
+ * @param {Object} options
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, options = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), HEALTH_CHECK_TIMEOUT_MS);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Check that an endpoint answers like the service it stands for
+ * Routing: a short directions request; geocoding: Nominatim's /status; tiles: the zoom-0 tile.
+ * @param {string} name - Key of ENDPOINTS
+ * @param {string} url - Endpoint URL to check (override or default)
+ * @param {Object} headers - Extra request headers (routing API key)
+ * @returns {Promise<{ok: boolean, message: string, latencyMs: number}>}
+ */
+export async function checkEndpointHealth(name, url, headers = {}) {
+  const started = Date.now();
+  const result = (ok, message) => ({ ok, message, latencyMs: Date.now() - started });
+  const base = url.replace(/\/+$/, '');
+
+  try {
+    if (name === 'ors') {
+      const response = await fetchWithTimeout(`${base}/v2/directions/driving-car`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ coordinates: ROUTING_CHECK_COORDINATES, format: 'geojson' })
+      });
+      if (!response.ok) return result(false, `HTTP ${response.status} ${response.statusText}`.trim());
+      const data = await response.json();
+      const distance = data.features?.[0]?.properties?.summary?.distance ?? data.routes?.[0]?.summary?.distance;
+      return typeof distance === 'number'
+        ? result(true, `Routing works (${(distance / 1000).toFixed(1)} km test route)`)
+        : result(false, 'Answered, but not with a route');
+    }
+
+    if (name === 'nominatim') {
+      const response = await fetchWithTimeout(`${base}/status?format=json`);
+      if (!response.ok) return result(false, `HTTP ${response.status} ${response.statusText}`.trim());
+      const data = await response.json();
+      return data.status === 0
+        ? result(true, `Nominatim ${data.software_version || ''} OK`.replace('  ', ' '))
+        : result(false, data.message || 'Nominatim reports a problem');
+    }
+
+    // Tile servers: most allow cross-origin reads; if not, an opaque answer still proves the server is up
+    const tileUrl = fillTileUrl(base, { z: 0, x: 0, y: 0 });
+    try {
+      const response = await fetchWithTimeout(tileUrl);
+      if (!response.ok) return result(false, `HTTP ${response.status} ${response.statusText}`.trim());
+      const type = response.headers.get('Content-Type') || '';
+      return type.startsWith('image/')
+        ? result(true, 'Tile server OK')
+        : result(false, `Answered with ${type || 'unknown content'} instead of an image`);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      await fetchWithTimeout(tileUrl, { mode: 'no-cors' });
+      return result(true, 'Reachable (response not readable from the browser)');
+    }
+  } catch (error) {
+    return result(false, error.name === 'AbortError'
+      ? `No answer within ${HEALTH_CHECK_TIMEOUT_MS / 1000} seconds`
+      : `Not reachable: ${error.message}`);
+  }
+}
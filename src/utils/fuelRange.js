@@ -0,0 +1,127 @@
+/**
+ * Fuel range planner: stretches of the route longer than the bike's range between fuel stops
+ * Saved fuel stations (fuelStations.js) near the segment polylines become fuel stops at their distance
+ * along the route; the route start counts as a full tank. The range is an app setting (one bike).
+ */
+
+import { getSetting, saveSetting } from './settings';
+import { haversineDistance } from './geoUtils';
+import { waypointName } from './calendarHelpers';
+
+const FUEL_RANGE_KEY = 'fuelRangeKm';
+
+export const DEFAULT_FUEL_RANGE_KM = 250;
+
+// Stations further than this from the route are not on it (a short detour off the road is fine)
+const STATION_MAX_OFFSET_M = 1000;
+
+// Bounding box margin for the quick station pre-filter (~2 km in latitude)
+const BOUNDS_MARGIN_DEG = 0.02;
+
+/**
+ * Get the saved fuel range
+ * @returns {Promise<number>} Kilometers
+ */
+export async function getFuelRangeKm() {
+  const saved = await getSetting(FUEL_RANGE_KEY, DEFAULT_FUEL_RANGE_KM);
+  return typeof saved === 'number' && saved > 0 ? saved : DEFAULT_FUEL_RANGE_KM;
+}
+
+/**
+ * Save the fuel range
+ * @param {number} km
+ * @returns {Promise<void>}
+ */
+export async function saveFuelRangeKm(km) {
+  await saveSetting(FUEL_RANGE_KEY, km);
+}
+
+/**
+ * Find fuel stops along the route and the stretches between them that exceed the range
+ * @param {Array} segments - Route segments in order {fromWaypointId, toWaypointId, polyline}
+ * @param {Array} waypoints - For the start/end names
+ * @param {Array} stations - Saved fuel stations {id, name, lat, lng}
+ * @param {number} rangeKm - Distance the bike covers on a full tank
+ * @returns {{stops: Array<{id: string, name: string, lat: number, lng: number, distance: number}>,
+ *   gaps: Array<{from: string, to: string, startDistance: number, distance: number, polyline: Array<[number, number]>, segmentIndexes: number[]}>}}
+ *   Stations on the route (distance in meters from the start, in route order) and the stretches without fuel longer than the range
+ */
+export function analyzeFuelRange(segments, waypoints, stations, rangeKm) {
+  const points = [];
+  (segments || []).forEach((segment, segmentIndex) => {
+    (segment.polyline || []).forEach(([lat, lng]) => {
+      const previous = points[points.length - 1];
+      const distance = previous ? previous.distance + haversineDistance(previous.lat, previous.lng, lat, lng) : 0;
+      points.push({ lat, lng, distance, segmentIndex });
+    });
+  });
+  if (points.length < 2) return { stops: [], gaps: [] };
+
+  const bounds = points.reduce((box, p) => ({
+    minLat: Math.min(box.minLat, p.lat - BOUNDS_MARGIN_DEG),
+    maxLat: Math.max(box.maxLat, p.lat + BOUNDS_MARGIN_DEG),
+    minLng: Math.min(box.minLng, p.lng - BOUNDS_MARGIN_DEG),
+    maxLng: Math.max(box.maxLng, p.lng + BOUNDS_MARGIN_DEG)
+  }), { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity });
+
+  const stops = [];
+  (stations || [])
+    .filter(s => s.lat >= bounds.minLat && s.lat <= bounds.maxLat && s.lng >= bounds.minLng && s.lng <= bounds.maxLng)
+    .forEach(station => {
+      // Every pass of the route by the station is a stop (out-and-back routes and loops pass it twice):
+      // each run of route points within the offset contributes its nearest point
+      let nearest = null;
+      const addStop = () => {
+        if (!nearest) return;
+        const { distance } = points[nearest.index];
+        stops.push({ id: station.id, name: station.name, lat: station.lat, lng: station.lng, distance, index: nearest.index });
+        nearest = null;
+      };
+      points.forEach((p, i) => {
+        const offset = Math.abs(p.lat - station.lat) > BOUNDS_MARGIN_DEG || Math.abs(p.lng - station.lng) > BOUNDS_MARGIN_DEG
+          ? Infinity
+          : haversineDistance(p.lat, p.lng, station.lat, station.lng);
+        if (offset > STATION_MAX_OFFSET_M) {
+          addStop();
+        } else if (!nearest || offset < nearest.offset) {
+          nearest = { index: i, offset };
+        }
+      });
+      addStop();
+    });
+  stops.sort((a, b) => a.index - b.index);
+
+  const last = points.length - 1;
+  const legs = [
+    { name: waypointName(waypoints, segments[0].fromWaypointId), index: 0 },
+    ...stops,
+    { name: waypointName(waypoints, segments[segments.length - 1].toWaypointId), index: last }
+  ];
+  const gaps = [];
+  for (let i = 1; i < legs.length; i++) {
+    const start = points[legs[i - 1].index];
+    const end = points[legs[i].index];
+    if (end.distance - start.distance <= rangeKm * 1000) continue;
+    const stretch = points.slice(legs[i - 1].index, legs[i].index + 1);
+    gaps.push({
+      from: legs[i - 1].name,
+      to: legs[i].name,
+      startDistance: start.distance,
+      distance: end.distance - start.distance,
+      polyline: stretch.map(p => [p.lat, p.lng]),
+      segmentIndexes: [...new Set(stretch.map(p => p.segmentIndex))]
+    });
+  }
+
+  return { stops: stops.map(({ id, name, lat, lng, distance }) => ({ id, name, lat, lng, distance })), gaps };
+}
+
+/**
+ * Trip days a stretch without fuel falls on
+ * @param {{segmentIndexes: number[]}} gap
+ * @param {number[]} segmentDays
+ * @returns {number[]} Days in order
+ */
+export function getFuelGapDays(gap, segmentDays) {
+  return [...new Set(gap.segmentIndexes.map(i => segmentDays?.[i]).filter(Boolean))].sort((a, b) => a - b);
+}
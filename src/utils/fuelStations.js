@@ -0,0 +1,179 @@
+/**
+ * Fuel stations shared by all routes (IndexedDB), for the fuel range planner
+ * Stations come from an imported OSM extract (amenity=fuel; a new import replaces the previous extract)
+ * or are placed by hand on the map, which survive re-imports.
+ * Shape: `{ id, name, lat, lng, source: 'osm' | 'manual', createdAt }`
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDB, isIndexedDBSupported, FUEL_STATIONS_STORE } from './indexedDB';
+
+export const FUEL_FILE_EXTENSIONS = ['.json', '.geojson', '.osm'];
+
+const DEFAULT_STATION_NAME = 'Fuel station';
+
+/**
+ * Display name from OSM tags (name, else brand/operator)
+ * @param {Object} tags
+ * @returns {string}
+ */
+function stationName(tags) {
+  return tags.name || tags['name:en'] || tags.brand || tags.operator || DEFAULT_STATION_NAME;
+}
+
+/**
+ * Check if OSM tags describe a fuel station
+ * @param {Object|undefined} tags
+ * @returns {boolean}
+ */
+function isFuelTags(tags) {
+  return tags?.amenity === 'fuel';
+}
+
+/**
+ * Overpass API JSON (`[out:json]`): nodes with lat/lon, ways and relations with `out center`
+ * @param {Object} data
+ * @returns {Array<{name: string, lat: number, lng: number}>}
+ */
+function parseOverpassJson(data) {
+  return data.elements
+    .filter(element => isFuelTags(element.tags))
+    .map(element => ({
+      name: stationName(element.tags),
+      lat: element.lat ?? element.center?.lat,
+      lng: element.lon ?? element.center?.lon
+    }));
+}
+
+/**
+ * GeoJSON points; when features carry an `amenity` property, only fuel stations are kept
+ * (e.g. an osmium or QGIS export of several amenities)
+ * @param {Object} data
+ * @returns {Array<{name: string, lat: number, lng: number}>}
+ */
+function parseGeoJson(data) {
+  const features = data.type === 'FeatureCollection' ? data.features || [] : [data];
+  return features
+    .filter(feature => feature.geometry?.type === 'Point')
+    .filter(feature => feature.properties?.amenity === undefined || isFuelTags(feature.properties))
+    .map(feature => ({
+      name: stationName(feature.properties || {}),
+      lat: feature.geometry.coordinates[1],
+      lng: feature.geometry.coordinates[0]
+    }));
+}
+
+/**
+ * OSM XML (.osm): fuel station nodes
+ * @param {string} text
+ * @returns {Array<{name: string, lat: number, lng: number}>}
+ */
+function parseOsmXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('File is not valid XML');
+  }
+  return Array.from(doc.getElementsByTagName('node'))
+    .map(node => ({
+      node,
+      tags: Object.fromEntries(Array.from(node.getElementsByTagName('tag')).map(tag => [tag.getAttribute('k'), tag.getAttribute('v')]))
+    }))
+    .filter(({ tags }) => isFuelTags(tags))
+    .map(({ node, tags }) => ({
+      name: stationName(tags),
+      lat: parseFloat(node.getAttribute('lat')),
+      lng: parseFloat(node.getAttribute('lon'))
+    }));
+}
+
+/**
+ * Parse an OSM extract of fuel stations: Overpass JSON, GeoJSON or OSM XML
+ * @param {string} text - File contents
+ * @param {string} filename - Original filename (used for format detection)
+ * @returns {Array<{name: string, lat: number, lng: number}>} Stations with valid coordinates
+ * @throws {Error} If the format is not recognized
+ */
+export function parseFuelStationFile(text, filename = '') {
+  const trimmed = text.trim();
+  let stations;
+  if (filename.toLowerCase().endsWith('.osm') || trimmed.startsWith('<')) {
+    stations = parseOsmXml(trimmed);
+  } else {
+    const data = JSON.parse(trimmed);
+    if (Array.isArray(data.elements)) {
+      stations = parseOverpassJson(data);
+    } else if (data.type === 'FeatureCollection' || data.type === 'Feature') {
+      stations = parseGeoJson(data);
+    } else {
+      throw new Error('Unsupported file: expected Overpass JSON, GeoJSON or OSM XML');
+    }
+  }
+  return stations.filter(s => typeof s.lat === 'number' && typeof s.lng === 'number' && !isNaN(s.lat) && !isNaN(s.lng));
+}
+
+/**
+ * Get all saved fuel stations
+ * @returns {Promise<Array>}
+ */
+export async function getFuelStations() {
+  if (!isIndexedDBSupported()) return [];
+  const db = await getDB();
+  return db.getAll(FUEL_STATIONS_STORE);
+}
+
+/**
+ * Replace the imported OSM stations (stations placed by hand are kept)
+ * @param {Array<{name: string, lat: number, lng: number}>} stations - From parseFuelStationFile
+ * @returns {Promise<void>}
+ */
+export async function importFuelStations(stations) {
+  if (!isIndexedDBSupported()) {
+    throw new Error('IndexedDB is not supported in this browser');
+  }
+
+  const now = new Date().toISOString();
+  const db = await getDB();
+  const tx = db.transaction(FUEL_STATIONS_STORE, 'readwrite');
+  const previousKeys = await tx.store.index('source').getAllKeys('osm');
+  for (const key of previousKeys) {
+    await tx.store.delete(key);
+  }
+  for (const station of stations) {
+    await tx.store.put({ id: uuidv4(), name: station.name, lat: station.lat, lng: station.lng, source: 'osm', createdAt: now });
+  }
+  await tx.done;
+}
+
+/**
+ * Save a fuel station placed by hand
+ * @param {{name?: string, lat: number, lng: number}} station
+ * @returns {Promise<Object>} Saved station
+ */
+export async function addFuelStation(station) {
+  if (!isIndexedDBSupported()) {
+    throw new Error('IndexedDB is not supported in this browser');
+  }
+
+  const saved = {
+    id: uuidv4(),
+    name: station.name?.trim() || DEFAULT_STATION_NAME,
+    lat: station.lat,
+    lng: station.lng,
+    source: 'manual',
+    createdAt: new Date().toISOString()
+  };
+  const db = await getDB();
+  await db.put(FUEL_STATIONS_STORE, saved);
+  return saved;
+}
+
+/**
+ * Delete a fuel station
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteFuelStation(id) {
+  if (!isIndexedDBSupported()) return;
+  const db = await getDB();
+  await db.delete(FUEL_STATIONS_STORE, id);
+}
@@ -0,0 +1,185 @@
+/**
+ * Places gazetteer: resolved place names shared across all routes (IndexedDB)
+ * Geocoding checks here before calling Nominatim, so a place resolved once (automatically,
+ * by choosing a candidate, or by entering coordinates) is reused without a network request.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDB, isIndexedDBSupported, PLACES_STORE } from './indexedDB';
+import { haversineDistance } from './geoUtils';
+
+// Names resolved to points closer than this are aliases of the same place
+const SAME_PLACE_RADIUS_M = 1000;
+
+// How much a resolution is trusted: a manual entry is never replaced by an automatic result
+const SOURCE_RANK = {
+  geocoded: 1, // single Nominatim result, used automatically
+  selected: 2, // user picked one of several candidates
+  manual: 3    // user entered coordinates
+};
+
+/**
+ * Normalize a place name for lookup (case, accents, punctuation and spacing are ignored)
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizePlaceName(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Convert a gazetteer entry to a geocoding candidate (same shape as Nominatim candidates)
+ * @param {Object} place
+ * @returns {{lat: number, lng: number, display_name: string, importance: number, type: string, class: string, placeId: string}}
+ */
+export function toGazetteerCandidate(place) {
+  return {
+    lat: place.lat,
+    lng: place.lng,
+    display_name: place.display_name || place.name,
+    importance: 1,
+    type: 'saved place',
+    class: place.source,
+    placeId: place.id
+  };
+}
+
+/**
+ * Find the saved place for a name or alias
+ * Lookup failures return null so geocoding falls back to the network.
+ * @param {string} name
+ * @returns {Promise<Object|null>} Place entry or null
+ */
+export async function lookupPlace(name) {
+  const key = normalizePlaceName(name);
+  if (!key || !isIndexedDBSupported()) return null;
+
+  try {
+    const db = await getDB();
+    const matches = await db.getAllFromIndex(PLACES_STORE, 'aliases', key);
+    if (matches.length === 0) return null;
+    return matches.sort((a, b) => SOURCE_RANK[b.source] - SOURCE_RANK[a.source])[0];
+  } catch (error) {
+    console.error('Error reading places gazetteer:', error);
+    return null;
+  }
+}
+
+/**
+ * Find saved places whose name or an alias contains the query (for autocomplete)
+ * @param {string} query
+ * @param {number} limit
+ * @returns {Promise<Array>} Place entries, exact and prefix matches first
+ */
+export async function searchPlaces(query, limit = 5) {
+  const key = normalizePlaceName(query);
+  if (!key || !isIndexedDBSupported()) return [];
+
+  try {
+    const db = await getDB();
+    const places = await db.getAll(PLACES_STORE);
+    const score = (place) => {
+      if (place.aliases.includes(key)) return 3;
+      if (place.aliases.some(alias => alias.startsWith(key))) return 2;
+      if (place.aliases.some(alias => alias.includes(key))) return 1;
+      return 0;
+    };
+    return places
+      .map(place => ({ place, score: score(place) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || SOURCE_RANK[b.place.source] - SOURCE_RANK[a.place.source])
+      .slice(0, limit)
+      .map(({ place }) => place);
+  } catch (error) {
+    console.error('Error searching places gazetteer:', error);
+    return [];
+  }
+}
+
+/**
+ * Remember how a name was resolved
+ * The name becomes an alias of the saved place at (nearly) the same point, or a new place.
+ * If the name pointed somewhere else before, it is moved unless the old resolution is more trusted.
+ * @param {string} name - Name as written in the itinerary/waypoint
+ * @param {{lat: number, lng: number, display_name: string}} candidate - Chosen location
+ * @param {'geocoded'|'selected'|'manual'} source
+ * @returns {Promise<void>}
+ */
+export async function rememberPlace(name, candidate, source = 'geocoded') {
+  const key = normalizePlaceName(name);
+  if (!key || !candidate || !isIndexedDBSupported()) return;
+  if (typeof candidate.lat !== 'number' || typeof candidate.lng !== 'number' || isNaN(candidate.lat) || isNaN(candidate.lng)) return;
+
+  const now = new Date().toISOString();
+  const db = await getDB();
+  const tx = db.transaction(PLACES_STORE, 'readwrite');
+  const places = await tx.store.getAll();
+  const isNear = (place) => haversineDistance(place.lat, place.lng, candidate.lat, candidate.lng) <= SAME_PLACE_RADIUS_M;
+
+  // Detach the name from places at other positions, unless one of those is more trusted
+  const conflicting = places.filter(p => p.aliases.includes(key) && !isNear(p));
+  if (conflicting.some(place => SOURCE_RANK[place.source] > SOURCE_RANK[source])) {
+    await tx.done;
+    return;
+  }
+  for (const place of conflicting) {
+    place.aliases = place.aliases.filter(alias => alias !== key);
+    if (place.aliases.length === 0) {
+      await tx.store.delete(place.id);
+    } else {
+      await tx.store.put({ ...place, updatedAt: now });
+    }
+  }
+
+  const existing = places.find(p => p.aliases.length > 0 && isNear(p));
+  if (existing) {
+    const upgrade = SOURCE_RANK[source] > SOURCE_RANK[existing.source];
+    await tx.store.put({
+      ...existing,
+      aliases: existing.aliases.includes(key) ? existing.aliases : [...existing.aliases, key],
+      ...(upgrade ? { lat: candidate.lat, lng: candidate.lng, source } : {}),
+      updatedAt: now
+    });
+  } else {
+    await tx.store.put({
+      id: uuidv4(),
+      name: name.trim(),
+      aliases: [key],
+      lat: candidate.lat,
+      lng: candidate.lng,
+      display_name: candidate.display_name && !candidate.display_name.startsWith('Manual:') ? candidate.display_name : name.trim(),
+      source,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  await tx.done;
+}
+
+/**
+ * Get all saved places, alphabetically
+ * @returns {Promise<Array>}
+ */
+export async function getAllPlaces() {
+  if (!isIndexedDBSupported()) return [];
+  const db = await getDB();
+  const places = await db.getAll(PLACES_STORE);
+  return places.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Delete a saved place (its names will be geocoded again next time)
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deletePlace(id) {
+  if (!isIndexedDBSupported()) return;
+  const db = await getDB();
+  await db.delete(PLACES_STORE, id);
+}
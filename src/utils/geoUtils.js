@@ -111,3 +111,39 @@ export function formatDistance(meters) {
   return `${Math.round(meters)} m`;
 }
 
+
+/**
+ * Format a duration in seconds to user-friendly string
+ * @param {number} seconds - Duration in seconds
+ * @returns {string|null} Formatted duration (e.g., "7 h 25 min" or "40 min") or null if invalid
+ */
+export function formatDuration(seconds) {
+  if (seconds == null || typeof seconds !== 'number' || isNaN(seconds) || seconds < 0) {
+    return null;
+  }
+
+  const totalMinutes = Math.round(seconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) return `${minutes} min`;
+  return minutes === 0 ? `${hours} h` : `${hours} h ${minutes} min`;
+}
+
+/**
+ * Check if a point lies inside a polygon (ray casting on lat/lng, fine for areas of a few hundred km)
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Array<[number, number]>} ring - Polygon corners [lat, lng] (open or closed)
+ * @returns {boolean}
+ */
+export function isPointInPolygon(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [latI, lngI] = ring[i];
+    const [latJ, lngJ] = ring[j];
+    if ((latI > lat) !== (latJ > lat) && lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
@@ -0,0 +1,183 @@
+/**
+ * GPX 1.1 export for routes (Garmin, OsmAnd and other navigation apps)
+ * One <trk> per trip day (from segmentDays), one <trkseg> per segment, one <wpt> per waypoint.
+ */
+
+import { getShortPlaceName, waypointName } from './calendarHelpers';
+
+/**
+ * Escape text for use inside XML elements/attributes
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Check if a waypoint has usable coordinates
+ * @param {Object} wp - Waypoint {lat, lng}
+ * @returns {boolean}
+ */
+function hasCoordinates(wp) {
+  return wp &&
+         typeof wp.lat === 'number' &&
+         typeof wp.lng === 'number' &&
+         wp.lat !== 0 &&
+         wp.lng !== 0 &&
+         !isNaN(wp.lat) &&
+         !isNaN(wp.lng);
+}
+
+/**
+ * Group segments into trip days. Segments without an assigned day get their own sequential day.
+ * @param {Array<{segment: Object, index: number}>} entries - Segments with their index in route.segments
+ * @param {number[]} segmentDays - Indexed like route.segments
+ * @returns {Array<{day: number, segments: Array}>} Days in ascending order
+ */
+function groupSegmentsByDay(entries, segmentDays) {
+  const byDay = new Map();
+  entries.forEach(({ segment, index }) => {
+    const day = segmentDays?.[index] ?? index + 1;
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(segment);
+  });
+  return Array.from(byDay.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([day, daySegments]) => ({ day, segments: daySegments }));
+}
+
+/**
+ * Build the GPX <desc> for a waypoint: display_name plus the note of the day it is reached
+ * @param {Object} wp - Waypoint
+ * @param {number|null} day - Trip day the waypoint is reached on
+ * @param {Object} dayNotes - { [dayNumber]: string }
+ * @returns {string} Description text (may be empty)
+ */
+function buildWaypointDescription(wp, day, dayNotes) {
+  const parts = [];
+  if (wp.display_name && wp.display_name !== wp.name) parts.push(wp.display_name);
+  if (day != null) {
+    const note = dayNotes?.[String(day)];
+    parts.push(note ? `Day ${day}: ${note}` : `Day ${day}`);
+  }
+  return parts.join('\n');
+}
+
+/**
+ * Convert a route to a GPX 1.1 document
+ * @param {Object} route - Route object {name, waypoints, segments, segmentDays, dayNotes}
+ * @returns {string} GPX XML string
+ */
+export function routeToGpx(route) {
+  const waypoints = (route.waypoints || []).filter(hasCoordinates);
+  // Keep each segment's original index: segmentDays is indexed like route.segments, including segments without a polyline
+  const entries = (route.segments || [])
+    .map((segment, index) => ({ segment, index }))
+    .filter(({ segment }) => segment.polyline && segment.polyline.length > 0);
+  const segments = entries.map(({ segment }) => segment);
+  const segmentDays = route.segmentDays || [];
+  const dayNotes = route.dayNotes || {};
+  const days = groupSegmentsByDay(entries, segmentDays);
+
+  // Day each waypoint is reached on, and which waypoints end a day (overnight stops)
+  const arrivalDay = new Map();
+  const overnightIds = new Set();
+  days.forEach(({ day, segments: daySegments }) => {
+    daySegments.forEach(segment => {
+      if (!arrivalDay.has(segment.toWaypointId)) arrivalDay.set(segment.toWaypointId, day);
+    });
+    overnightIds.add(daySegments[daySegments.length - 1].toWaypointId);
+  });
+  if (segments.length > 0 && !arrivalDay.has(segments[0].fromWaypointId)) {
+    arrivalDay.set(segments[0].fromWaypointId, days[0].day);
+  }
+
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push('<gpx version="1.1" creator="Himalayas Route Visualizer" xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">');
+  lines.push('  <metadata>');
+  lines.push(`    <name>${escapeXml(route.name || 'Route')}</name>`);
+  lines.push(`    <time>${new Date().toISOString()}</time>`);
+  lines.push('  </metadata>');
+
+  waypoints.forEach((wp, index) => {
+    const key = wp.id || (wp.order !== undefined ? String(wp.order) : String(index));
+    const day = arrivalDay.get(key) ?? null;
+    const desc = buildWaypointDescription(wp, day, dayNotes);
+    lines.push(`  <wpt lat="${wp.lat.toFixed(6)}" lon="${wp.lng.toFixed(6)}">`);
+    lines.push(`    <name>${escapeXml(`${index + 1}. ${getShortPlaceName(wp.name)}`)}</name>`);
+    if (desc) lines.push(`    <desc>${escapeXml(desc)}</desc>`);
+    if (overnightIds.has(key)) {
+      lines.push('    <sym>Lodging</sym>');
+      lines.push('    <type>Overnight</type>');
+    } else {
+      lines.push('    <sym>Flag, Blue</sym>');
+      lines.push('    <type>Waypoint</type>');
+    }
+    lines.push('  </wpt>');
+  });
+
+  days.forEach(({ day, segments: daySegments }) => {
+    const first = waypointName(route.waypoints || [], daySegments[0].fromWaypointId);
+    const last = waypointName(route.waypoints || [], daySegments[daySegments.length - 1].toWaypointId);
+    const note = dayNotes[String(day)];
+    lines.push('  <trk>');
+    lines.push(`    <name>${escapeXml(`Day ${day}: ${first} → ${last}`)}</name>`);
+    if (note) lines.push(`    <desc>${escapeXml(note)}</desc>`);
+    lines.push(`    <number>${day}</number>`);
+    daySegments.forEach(segment => {
+      lines.push('    <trkseg>');
+      segment.polyline.forEach((coord, i) => {
+        const ele = segment.elevation?.[i];
+        if (typeof ele === 'number') {
+          lines.push(`      <trkpt lat="${coord[0].toFixed(6)}" lon="${coord[1].toFixed(6)}"><ele>${ele.toFixed(1)}</ele></trkpt>`);
+        } else {
+          lines.push(`      <trkpt lat="${coord[0].toFixed(6)}" lon="${coord[1].toFixed(6)}"/>`);
+        }
+      });
+      lines.push('    </trkseg>');
+    });
+    lines.push('  </trk>');
+  });
+
+  lines.push('</gpx>');
+  return lines.join('\n');
+}
+
+/**
+ * Build a filesystem-safe GPX filename from a route name
+ * @param {string} routeName
+ * @returns {string} e.g. "manali-to-leh.gpx"
+ */
+export function getGpxFilename(routeName) {
+  const slug = (routeName || 'route')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || 'route'}.gpx`;
+}
+
+/**
+ * Export a route as a GPX file download
+ * @param {Object} route - Route object
+ */
+export function downloadGpx(route) {
+  const gpx = routeToGpx(route);
+  const dataBlob = new Blob([gpx], { type: 'application/gpx+xml' });
+
+  const url = URL.createObjectURL(dataBlob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getGpxFilename(route.name);
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
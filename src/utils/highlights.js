@@ -0,0 +1,104 @@
+/**
+ * Route highlights: points of interest mentioned in the itinerary (lakes, monasteries, viewpoints...)
+ * Extracted by the LLM alongside the waypoints, geocoded here and shown as a separate map layer.
+ */
+
+import { geocodeLocation } from './openRouteService';
+import { haversineDistance } from './geoUtils';
+
+// Highlight types with map symbol and color
+export const HIGHLIGHT_TYPES = {
+  lake: { label: 'Lake', symbol: '≈', color: '#0284c7' },
+  monastery: { label: 'Monastery', symbol: '☸', color: '#b45309' },
+  viewpoint: { label: 'Viewpoint', symbol: '◉', color: '#059669' },
+  pass: { label: 'Pass', symbol: '▲', color: '#7c3aed' },
+  landmark: { label: 'Landmark', symbol: '★', color: '#db2777' },
+  other: { label: 'Highlight', symbol: '•', color: '#6b7280' }
+};
+
+// Geocoding candidates farther than this from every waypoint are assumed to be a different place
+const MAX_DISTANCE_FROM_ROUTE_M = 150000;
+
+/**
+ * Type info for a highlight (unknown types fall back to "other")
+ * @param {string} type
+ * @returns {{label: string, symbol: string, color: string}}
+ */
+export function getHighlightType(type) {
+  return HIGHLIGHT_TYPES[type] || HIGHLIGHT_TYPES.other;
+}
+
+/**
+ * Check if a highlight has coordinates
+ * @param {Object} highlight
+ * @returns {boolean}
+ */
+export function isHighlightLocated(highlight) {
+  return typeof highlight.lat === 'number' && typeof highlight.lng === 'number' && highlight.lat !== 0 && highlight.lng !== 0;
+}
+
+/**
+ * Distance from a point to the nearest geocoded waypoint
+ * @param {{lat: number, lng: number}} point
+ * @param {Array} waypoints
+ * @returns {number} Meters (Infinity if no waypoint is geocoded)
+ */
+function distanceToRoute(point, waypoints) {
+  return waypoints
+    .filter(wp => wp.lat !== 0 && wp.lng !== 0)
+    .reduce((min, wp) => Math.min(min, haversineDistance(point.lat, point.lng, wp.lat, wp.lng)), Infinity);
+}
+
+/**
+ * Geocode highlights that have no coordinates yet via Nominatim (through the places gazetteer)
+ * The candidate nearest to the route's waypoints is used; highlights with no candidate near the route stay unlocated.
+ * @param {Array} highlights
+ * @param {Array} waypoints - Route waypoints (to pick the right candidate among namesakes)
+ * @param {Function} onProgress - Optional progress callback: (current, total) => void
+ * @returns {Promise<{highlights: Array, located: number, notFound: string[]}>}
+ */
+export async function locateHighlights(highlights, waypoints, onProgress = null) {
+  const pending = highlights.filter(h => !isHighlightLocated(h));
+  const hasRoute = waypoints.some(wp => wp.lat !== 0 && wp.lng !== 0);
+  const updated = [...highlights];
+  const notFound = [];
+  let located = 0;
+
+  for (let i = 0; i < pending.length; i++) {
+    const highlight = pending[i];
+    if (onProgress) onProgress(i + 1, pending.length);
+
+    let result = null;
+    try {
+      // Highlights are sights, not stops: look them up without adding them to the places gazetteer
+      result = await geocodeLocation(highlight.name, null, 5, 15000, true, false);
+    } catch (error) {
+      console.warn(`Failed to geocode highlight ${highlight.name}:`, error);
+    }
+
+    const best = (result?.candidates || [])
+      .map(candidate => ({ candidate, distance: hasRoute ? distanceToRoute(candidate, waypoints) : 0 }))
+      .filter(({ distance }) => distance <= MAX_DISTANCE_FROM_ROUTE_M)
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    if (best) {
+      const index = updated.findIndex(h => h.id === highlight.id);
+      updated[index] = {
+        ...highlight,
+        lat: best.candidate.lat,
+        lng: best.candidate.lng,
+        display_name: best.candidate.display_name
+      };
+      located++;
+    } else {
+      notFound.push(highlight.name);
+    }
+
+    // Rate limit: 1 request per second (saved places need no request)
+    if (i < pending.length - 1 && !result?.fromGazetteer) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+
+  return { highlights: updated, located, notFound };
+}
@@ -6,8 +6,15 @@
 import { openDB } from 'idb';
 
 const DB_NAME = 'himalayas-routes';
-const DB_VERSION = 1;
+const DB_VERSION = 10;
 const STORE_NAME = 'routes';
+export const REVISIONS_STORE = 'revisions';
+export const PLACES_STORE = 'places';
+export const ROUTE_CACHE_STORE = 'routeCache';
+export const SETTINGS_STORE = 'settings';
+export const FUEL_STATIONS_STORE = 'fuelStations';
+export const PERMIT_AREAS_STORE = 'permitAreas';
+export const PLACE_RECORDS_STORE = 'placeRecords';
 
 /**
  * Initialize and return the database
@@ -15,7 +22,7 @@ const STORE_NAME = 'routes';
  */
 export async function getDB() {
   return openDB(DB_NAME, DB_VERSION, {
-    upgrade(db) {
+    upgrade(db, oldVersion, newVersion, transaction) {
       // Create routes store if it doesn't exist
       if (!db.objectStoreNames.contains(STORE_NAME)) {
         const store = db.createObjectStore(STORE_NAME, {
@@ -27,6 +34,81 @@ export async function getDB() {
         store.createIndex('createdAt', 'createdAt', { unique: false });
         store.createIndex('updatedAt', 'updatedAt', { unique: false });
       }
+
+      // Create revisions store (route snapshots for history/restore) if it doesn't exist
+      if (!db.objectStoreNames.contains(REVISIONS_STORE)) {
+        const revisions = db.createObjectStore(REVISIONS_STORE, {
+          keyPath: 'id'
+        });
+
+        revisions.createIndex('routeId', 'routeId', { unique: false });
+        revisions.createIndex('createdAt', 'createdAt', { unique: false });
+      }
+
+      // Create places store (geocoding gazetteer shared across routes) if it doesn't exist
+      if (!db.objectStoreNames.contains(PLACES_STORE)) {
+        const places = db.createObjectStore(PLACES_STORE, {
+          keyPath: 'id'
+        });
+
+        // Every normalized name/alias of a place, for lookup by any of them
+        places.createIndex('aliases', 'aliases', { unique: false, multiEntry: true });
+      }
+
+      // Create routing cache store (ORS segment results keyed by coordinates and profile) if it doesn't exist
+      if (!db.objectStoreNames.contains(ROUTE_CACHE_STORE)) {
+        const routeCache = db.createObjectStore(ROUTE_CACHE_STORE, {
+          keyPath: 'key'
+        });
+
+        routeCache.createIndex('createdAt', 'createdAt', { unique: false });
+      }
+
+      // Create settings store (app configuration such as the LLM provider, one record per key) if it doesn't exist
+      if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+        db.createObjectStore(SETTINGS_STORE, {
+          keyPath: 'key'
+        });
+      }
+
+      // Create fuel stations store (imported OSM extract and stations placed by hand, shared across routes) if it doesn't exist
+      if (!db.objectStoreNames.contains(FUEL_STATIONS_STORE)) {
+        const fuelStations = db.createObjectStore(FUEL_STATIONS_STORE, {
+          keyPath: 'id'
+        });
+
+        fuelStations.createIndex('source', 'source', { unique: false });
+      }
+
+      // Create permit areas store (restricted-area polygons and their permits, shared across routes) if it doesn't exist
+      if (!db.objectStoreNames.contains(PERMIT_AREAS_STORE)) {
+        db.createObjectStore(PERMIT_AREAS_STORE, {
+          keyPath: 'id'
+        });
+      }
+
+      // Create place records store (stays, mechanics, medical, ATMs... at a location, shared across routes) if it doesn't exist
+      if (!db.objectStoreNames.contains(PLACE_RECORDS_STORE)) {
+        const placeRecords = db.createObjectStore(PLACE_RECORDS_STORE, {
+          keyPath: 'id'
+        });
+
+        placeRecords.createIndex('category', 'category', { unique: false });
+      }
+
+      // Revisions of a route in creation order, to read the latest without loading them all
+      const revisions = transaction.objectStore(REVISIONS_STORE);
+      if (!revisions.indexNames.contains('routeIdCreatedAt')) {
+        revisions.createIndex('routeIdCreatedAt', ['routeId', 'createdAt'], { unique: false });
+      }
+
+      // Routing cache entries by type (noRoute 0/1) and age, to count and prune them without reading the results
+      const routeCache = transaction.objectStore(ROUTE_CACHE_STORE);
+      if (!routeCache.indexNames.contains('noRouteCreatedAt')) {
+        // Older entries store noRoute as a boolean, which is not a valid index key: start the cache over
+        routeCache.clear();
+        routeCache.createIndex('noRouteCreatedAt', ['noRoute', 'createdAt'], { unique: false });
+      }
     }
   });
 }
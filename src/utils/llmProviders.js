@@ -0,0 +1,206 @@
+/**
+ * LLM providers for itinerary extraction
+ * Each provider sends a prompt and returns the model's text reply; the prompt, response validation
+ * and retries are shared in llmService.js. The chosen provider is stored in the app settings.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { getSetting, saveSetting } from './settings';
+import { isProxyEnabled, getServiceBaseUrl } from './apiConfig';
+
+const LLM_SETTINGS_KEY = 'llm';
+
+// Local models on modest hardware can take minutes for a long itinerary
+const REQUEST_TIMEOUT_MS = 180000;
+
+const MAX_TOKENS = 4096;
+
+export const LLM_PROVIDERS = {
+  anthropic: {
+    label: 'Anthropic Claude',
+    defaultModel: 'claude-haiku-4-5-20251001',
+    defaultBaseUrl: '',
+    requiresApiKey: true
+  },
+  openai: {
+    label: 'OpenAI-compatible API',
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    requiresApiKey: false // OpenAI itself needs one; self-hosted gateways often do not
+  },
+  local: {
+    label: 'Local model (Ollama / llama.cpp)',
+    defaultModel: 'llama3.1',
+    defaultBaseUrl: 'http://localhost:11434/v1', // llama.cpp server: http://localhost:8080/v1
+    requiresApiKey: false
+  }
+};
+
+export const DEFAULT_LLM_SETTINGS = {
+  provider: 'anthropic',
+  model: '', // empty: provider default
+  baseUrl: '', // empty: provider default
+  apiKey: '' // empty: API proxy or VITE_ANTHROPIC_API_KEY for Anthropic, none otherwise
+};
+
+/**
+ * Get the saved LLM settings (defaults for missing fields)
+ * @returns {Promise<{provider: string, model: string, baseUrl: string, apiKey: string}>}
+ */
+export async function getLlmSettings() {
+  const saved = await getSetting(LLM_SETTINGS_KEY, {});
+  const settings = { ...DEFAULT_LLM_SETTINGS, ...saved };
+  return LLM_PROVIDERS[settings.provider] ? settings : { ...settings, provider: DEFAULT_LLM_SETTINGS.provider };
+}
+
+/**
+ * Save the LLM settings
+ * @param {{provider: string, model: string, baseUrl: string, apiKey: string}} settings
+ * @returns {Promise<void>}
+ */
+export async function saveLlmSettings(settings) {
+  if (!LLM_PROVIDERS[settings.provider]) {
+    throw new Error(`Unknown LLM provider: ${settings.provider}`);
+  }
+  await saveSetting(LLM_SETTINGS_KEY, {
+    provider: settings.provider,
+    model: (settings.model || '').trim(),
+    baseUrl: (settings.baseUrl || '').trim(),
+    apiKey: (settings.apiKey || '').trim()
+  });
+}
+
+/**
+ * Fill in provider defaults
+ * Anthropic without a custom base URL goes through the API proxy when one is configured (the key is added there).
+ * @param {Object} settings
+ * @returns {{provider: string, label: string, model: string, baseUrl: string, apiKey: string, viaProxy: boolean}}
+ */
+export function resolveLlmConfig(settings) {
+  const provider = LLM_PROVIDERS[settings.provider] ? settings.provider : DEFAULT_LLM_SETTINGS.provider;
+  const info = LLM_PROVIDERS[provider];
+  const viaProxy = provider === 'anthropic' && !settings.baseUrl?.trim() && isProxyEnabled();
+  const envKey = provider === 'anthropic' && !viaProxy ? import.meta.env.VITE_ANTHROPIC_API_KEY : '';
+  return {
+    provider,
+    label: info.label,
+    model: settings.model?.trim() || info.defaultModel,
+    // The SDK needs an absolute URL; the proxy base is usually relative (VITE_API_BASE_URL=/api)
+    baseUrl: viaProxy
+      ? new URL(getServiceBaseUrl('anthropic'), window.location.origin).href
+      : (settings.baseUrl?.trim() || info.defaultBaseUrl).replace(/\/+$/, ''),
+    apiKey: viaProxy ? '' : settings.apiKey?.trim() || envKey || '',
+    viaProxy
+  };
+}
+
+/**
+ * Anthropic Messages API through the SDK
+ * @param {string} prompt
+ * @param {Object} config - Resolved config
+ * @returns {Promise<string>}
+ */
+async function completeWithAnthropic(prompt, config) {
+  if (!config.apiKey && !config.viaProxy) {
+    throw new Error('Anthropic API key is not set. Enter it in Settings, set VITE_ANTHROPIC_API_KEY in .env.local, or set VITE_API_BASE_URL to use the API proxy.');
+  }
+
+  // Note: dangerouslyAllowBrowser is required for client-side usage. Public deployments should use
+  // the API proxy (VITE_API_BASE_URL), which replaces the placeholder key with the server-side one
+  const client = new Anthropic({
+    apiKey: config.viaProxy ? 'set-by-proxy' : config.apiKey,
+    dangerouslyAllowBrowser: true,
+    ...(config.baseUrl ? { baseURL: config.baseUrl } : {})
+  });
+
+  try {
+    const message = await client.messages.create({
+      model: config.model,
+      max_tokens: MAX_TOKENS,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    });
+    return message.content[0].text;
+  } catch (error) {
+    if (error instanceof Anthropic.AuthenticationError) {
+      throw new Error(`Anthropic API error: ${error.message} (check the API key)`);
+    }
+    if (error instanceof Anthropic.APIError) {
+      throw new Error(`Anthropic API error: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * OpenAI chat completions API (OpenAI, OpenRouter, vLLM, Ollama and llama.cpp servers all speak it)
+ * @param {string} prompt
+ * @param {Object} config - Resolved config
+ * @returns {Promise<string>}
+ */
+async function completeWithChatCompletions(prompt, config) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(`${config.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: config.model,
+        max_tokens: MAX_TOKENS,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ]
+      }),
+      signal: controller.signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`${config.label} did not answer within ${REQUEST_TIMEOUT_MS / 1000} seconds`);
+    }
+    // fetch rejects without a status when the server is down or blocks the browser's origin (CORS)
+    throw new Error(`Could not reach ${config.label} at ${config.baseUrl}. Check that the server is running and allows requests from this page.`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    const hint = response.status === 401 || response.status === 403 ? ' (check the API key)' : '';
+    throw new Error(`${config.label} error ${response.status}${hint}: ${detail.slice(0, 200) || response.statusText}`);
+  }
+
+  const data = await response.json();
+  const text = data?.choices?.[0]?.message?.content;
+  if (typeof text !== 'string') {
+    throw new Error(`${config.label} returned no message content`);
+  }
+  return text;
+}
+
+/**
+ * Send a prompt to the configured LLM provider
+ * @param {string} prompt
+ * @param {Object} settings - LLM settings (default: the saved settings)
+ * @returns {Promise<string>} The model's text reply
+ */
+export async function completePrompt(prompt, settings = null) {
+  const config = resolveLlmConfig(settings || await getLlmSettings());
+  return config.provider === 'anthropic'
+    ? completeWithAnthropic(prompt, config)
+    : completeWithChatCompletions(prompt, config);
+}
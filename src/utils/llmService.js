@@ -0,0 +1,201 @@
+/**
+ * LLM service for extracting waypoints from unstructured itinerary text
+ * 
+ * The provider (Anthropic, an OpenAI-compatible API or a local Ollama/llama.cpp server) is chosen
+ * in Settings, see llmProviders.js. The prompt, response validation and retries are the same for all.
+ */
+
+import { completePrompt } from './llmProviders';
+import { findSourceSpans } from './sourceSpans';
+
+/**
+ * Parse an optional positive number from the LLM (null when missing or invalid)
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toOptionalNumber(value) {
+  const num = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof num === 'number' && Number.isFinite(num) && num > 0 ? num : null;
+}
+
+/**
+ * Extract waypoints from unstructured itinerary text using the configured LLM provider
+ * Besides the waypoints, returns the day structure the operator states (day of each waypoint,
+ * overnight stops, km/hours per day) so trip days can be pre-filled, and the highlights
+ * (lakes, monasteries, viewpoints...) mentioned along the way for the map's POI layer.
+ * Each waypoint carries the passage of the itinerary it was extracted from (`source`, see sourceSpans.js).
+ * @param {string} itineraryText - Unstructured itinerary text from tour operator
+ * @param {Object} llmSettings - Optional provider settings (default: the saved settings)
+ * @returns {Promise<{
+ *   waypoints: Array<{name: string, sequence: number, context?: string, day: number|null, overnight: boolean, source: {start: number, end: number, quote: string}|null}>,
+ *   days: Array<{day: number, distanceKm: number|null, hours: number|null, summary: string|null}>,
+ *   highlights: Array<{name: string, type: string, day: number|null, context: string|null}>
+ * }>} Waypoints in sequence order, per-day information in day order, highlights in order of mention
+ */
+export async function extractWaypointsFromText(itineraryText, llmSettings = null) {
+  if (!itineraryText || !itineraryText.trim()) {
+    throw new Error('Itinerary text is required');
+  }
+
+  const prompt = `You are analyzing a motorbike tour itinerary in the Indian Himalayas. Extract the actual route waypoints - places where the route goes through or where the journey stops/stays overnight - the day structure of the trip, and separately the highlights mentioned along the way.
+
+CRITICAL: Distinguish between:
+- WAYPOINTS: Places the route actually passes through or stops at (cities, towns, villages, overnight stops, route destinations)
+- HIGHLIGHTS: Points of interest mentioned along the way (lakes you see, viewpoints, landmarks you pass by, scenic spots) - these go in "highlights", NEVER in "waypoints"
+
+Extract waypoints in the order they appear in the itinerary (sequence order). A place visited twice (e.g. start and end of a loop) appears twice.
+
+Return a JSON object with this exact structure:
+{
+  "waypoints": [
+    {"name": "Location Name", "sequence": 1, "context": "optional description", "day": 1, "overnight": false, "quote": "Day 1: Manali to Keylong"},
+    {"name": "Location Name", "sequence": 2, "context": "optional description", "day": 1, "overnight": true, "quote": "overnight at Keylong"}
+  ],
+  "days": [
+    {"day": 1, "distanceKm": 230, "hours": 7, "summary": "Manali to Keylong via Rohtang Pass"}
+  ],
+  "highlights": [
+    {"name": "Pangong Tso", "type": "lake", "day": 4, "context": "optional description"}
+  ]
+}
+
+Rules for waypoints:
+- Extract ONLY actual route waypoints (places the route goes through/stops at)
+- DO NOT include: lakes you see along the way, viewpoints, scenic spots, landmarks you pass by
+- DO include: cities/towns you visit, overnight stops, route destinations, villages you pass through
+- Look for phrases like "to", "from", "via", "overnight in", "stay in", "reach", "arrive at"
+- Ignore phrases like "witness", "see", "spot", "visit" (these are often highlights, not waypoints)
+- Maintain the sequence order as they appear in the itinerary
+- Use the most common/standard spelling of place names
+- Include context only if it helps identify the location (e.g., "Leh (city)" or "Keylong (town)")
+- "day": the itinerary day number on which the route reaches this waypoint (the trip's starting point belongs to the first day it is mentioned); null if the itinerary has no day numbers
+- "overnight": true if the night is spent at this waypoint ("overnight in", "stay at", "night halt", the last stop of a day)
+- "quote": the shortest passage of the itinerary (a few words, copied EXACTLY character for character) that mentions this waypoint at this point of the route
+
+Rules for days:
+- One entry per itinerary day that is mentioned, in day order (include rest days)
+- "distanceKm" and "hours": only if the itinerary states them for that day (use the midpoint for ranges like "6-7 hrs"); otherwise null
+- "summary": a short phrase describing the day (max ~10 words), or null
+- Return an empty array if the itinerary has no day structure
+
+Rules for highlights:
+- Lakes, monasteries/gompas/temples, viewpoints, mountain passes, landmarks, scenic spots, hot springs, etc. that the itinerary mentions seeing or visiting
+- "type": one of "lake", "monastery", "viewpoint", "pass", "landmark", "other"
+- "day": the itinerary day it is mentioned on, or null
+- Use a name specific enough to find on a map (e.g. "Thiksey Monastery", not "the monastery")
+- Do not repeat a place that is already a waypoint
+
+Return valid JSON only, no markdown formatting.
+
+Itinerary text:
+${itineraryText}`;
+
+  try {
+    const responseText = await completePrompt(prompt, llmSettings);
+    
+    // Parse JSON from response (may be wrapped in markdown code blocks)
+    let jsonText = responseText.trim();
+    
+    // Remove markdown code blocks if present
+    if (jsonText.startsWith('```')) {
+      jsonText = jsonText.replace(/^```(?:json)?\n/, '').replace(/\n```$/, '');
+    }
+    
+    const parsed = JSON.parse(jsonText);
+    
+    // Validate structure (a bare array is accepted as waypoints without day information)
+    const waypoints = Array.isArray(parsed) ? parsed : parsed?.waypoints;
+    if (!Array.isArray(waypoints)) {
+      throw new Error('LLM response has no waypoints array');
+    }
+    
+    // Validate each waypoint has required fields
+    waypoints.forEach((wp, index) => {
+      if (!wp.name || typeof wp.name !== 'string') {
+        throw new Error(`Waypoint ${index} missing valid name`);
+      }
+      if (typeof wp.sequence !== 'number') {
+        throw new Error(`Waypoint ${index} missing valid sequence number`);
+      }
+    });
+    
+    // Sort by sequence to ensure correct order
+    waypoints.sort((a, b) => a.sequence - b.sequence);
+
+    // Day information is optional: invalid values are dropped rather than failing the extraction
+    const sourceSpans = findSourceSpans(itineraryText, waypoints);
+    const normalizedWaypoints = waypoints.map((wp, index) => {
+      const normalized = {
+        ...wp,
+        day: Number.isInteger(wp.day) && wp.day > 0 ? wp.day : null,
+        overnight: wp.overnight === true,
+        source: sourceSpans[index] // the raw quote is replaced by its located span
+      };
+      delete normalized.quote;
+      return normalized;
+    });
+
+    const days = (Array.isArray(parsed?.days) ? parsed.days : [])
+      .filter(d => Number.isInteger(d?.day) && d.day > 0)
+      .map(d => ({
+        day: d.day,
+        distanceKm: toOptionalNumber(d.distanceKm),
+        hours: toOptionalNumber(d.hours),
+        summary: typeof d.summary === 'string' && d.summary.trim() ? d.summary.trim() : null
+      }))
+      .sort((a, b) => a.day - b.day);
+    
+    const highlights = (Array.isArray(parsed?.highlights) ? parsed.highlights : [])
+      .filter(h => h && typeof h.name === 'string' && h.name.trim())
+      .map(h => ({
+        name: h.name.trim(),
+        type: typeof h.type === 'string' ? h.type.toLowerCase() : 'other',
+        day: Number.isInteger(h.day) && h.day > 0 ? h.day : null,
+        context: typeof h.context === 'string' && h.context.trim() ? h.context.trim() : null
+      }));
+    
+    return { waypoints: normalizedWaypoints, days, highlights };
+  } catch (error) {
+    // Handle JSON parsing errors
+    if (error instanceof SyntaxError) {
+      throw new Error(`Failed to parse LLM response as JSON: ${error.message}`);
+    }
+    
+    // Re-throw other errors
+    throw error;
+  }
+}
+
+/**
+ * Retry wrapper for extractWaypointsFromText with exponential backoff
+ * @param {string} itineraryText - Itinerary text to extract from
+ * @param {number} maxRetries - Maximum number of retry attempts (default: 2)
+ * @param {Object} llmSettings - Optional provider settings (default: the saved settings)
+ * @returns {Promise<{waypoints: Array, days: Array, highlights: Array}>} Extracted waypoints, day information and highlights
+ */
+export async function extractWaypointsWithRetry(itineraryText, maxRetries = 2, llmSettings = null) {
+  let lastError;
+  
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await extractWaypointsFromText(itineraryText, llmSettings);
+    } catch (error) {
+      lastError = error;
+      
+      // Don't retry on certain errors (e.g., missing or rejected API key, invalid input)
+      if (error.message.includes('API key') || 
+          error.message.includes('required')) {
+        throw error;
+      }
+      
+      // Wait before retry (exponential backoff)
+      if (attempt < maxRetries) {
+        const delay = Math.pow(2, attempt) * 1000; // 1s, 2s, 4s...
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+  
+  throw lastError;
+}
+
@@ -0,0 +1,105 @@
+/**
+ * Mountain passes: local dataset of high passes on the Himalayan motorcycle routes, with their usual season
+ * Passes are matched against the segment polylines and the crossing day (from segmentDays and tripStartDate)
+ * is checked against the months the pass is usually open. Seasons vary with snowfall every year: the
+ * months are a planning guide, not road status.
+ */
+
+import { haversineDistance } from './geoUtils';
+import { dateForDay } from './calendarHelpers';
+import { formatElevation } from './elevationService';
+
+// A pass within this distance of a segment polyline is crossed by it
+const PASS_MATCH_RADIUS_M = 3000;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const ALL_YEAR = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+// openMonths: months (1-12) the pass is usually open for traffic
+export const MOUNTAIN_PASSES = [
+  { id: 'rohtang', name: 'Rohtang Pass', altitude: 3978, lat: 32.3716, lng: 77.2466, openMonths: [5, 6, 7, 8, 9, 10, 11], note: 'Usually opens mid-May and closes mid-November; permit needed from Manali' },
+  { id: 'jalori', name: 'Jalori Pass', altitude: 3120, lat: 31.5335, lng: 77.3762, openMonths: [4, 5, 6, 7, 8, 9, 10, 11], note: 'Closed after heavy snowfall in winter' },
+  { id: 'kunzum', name: 'Kunzum Pass', altitude: 4551, lat: 32.3950, lng: 77.6367, openMonths: [6, 7, 8, 9, 10], note: 'Usually opens in June and closes in October-November' },
+  { id: 'shinku-la', name: 'Shinku La', altitude: 5091, lat: 32.8260, lng: 77.1240, openMonths: [6, 7, 8, 9, 10], note: 'Usually open June to October' },
+  { id: 'baralacha-la', name: 'Baralacha La', altitude: 4890, lat: 32.7590, lng: 77.4230, openMonths: [6, 7, 8, 9, 10], note: 'Manali-Leh highway: usually open June to mid-October; snow closures possible any month' },
+  { id: 'tanglang-la', name: 'Tanglang La', altitude: 5328, lat: 33.5075, lng: 77.7697, openMonths: [6, 7, 8, 9, 10], note: 'Manali-Leh highway: usually open June to mid-October' },
+  { id: 'khardung-la', name: 'Khardung La', altitude: 5359, lat: 34.2783, lng: 77.6044, openMonths: ALL_YEAR, note: 'Kept open all year; frequent closures for hours or days after snowfall' },
+  { id: 'chang-la', name: 'Chang La', altitude: 5360, lat: 34.0478, lng: 77.9314, openMonths: ALL_YEAR, note: 'Kept open all year; frequent closures after snowfall' },
+  { id: 'fotu-la', name: 'Fotu La', altitude: 4108, lat: 34.2236, lng: 76.5714, openMonths: ALL_YEAR, note: 'Srinagar-Leh highway; reached over Zoji La from Srinagar' },
+  { id: 'zoji-la', name: 'Zoji La', altitude: 3528, lat: 34.2770, lng: 75.4710, openMonths: [5, 6, 7, 8, 9, 10, 11], note: 'Usually opens in April-May and closes in December; frequent closures in spring and autumn' },
+  { id: 'pensi-la', name: 'Pensi La', altitude: 4400, lat: 33.8700, lng: 76.3500, openMonths: [6, 7, 8, 9, 10], note: 'Suru valley to Zanskar; usually open June to October' },
+  { id: 'umling-la', name: 'Umling La', altitude: 5799, lat: 32.6960, lng: 79.2940, openMonths: [6, 7, 8, 9, 10], note: 'Highest motorable pass; permits needed, usually open June to October' }
+];
+
+/**
+ * Usual season as text, e.g. "Jun–Oct" or "All year"
+ * @param {number[]} openMonths
+ * @returns {string}
+ */
+export function formatOpenMonths(openMonths) {
+  if (openMonths.length === 12) return 'All year';
+  return `${MONTH_NAMES[openMonths[0] - 1]}–${MONTH_NAMES[openMonths[openMonths.length - 1] - 1]}`;
+}
+
+/**
+ * Passes crossed by the route, in route order
+ * @param {Array} segments - Route segments {polyline}
+ * @param {Array} passes - Pass dataset (default: MOUNTAIN_PASSES)
+ * @returns {Array<{pass: Object, segmentIndex: number}>}
+ */
+export function findRoutePasses(segments, passes = MOUNTAIN_PASSES) {
+  const crossings = [];
+  (segments || []).forEach((segment, segmentIndex) => {
+    const polyline = segment.polyline || [];
+    passes.forEach(pass => {
+      // Nearest polyline point; each pass is listed once per segment
+      let nearest = -1;
+      let nearestDistance = Infinity;
+      polyline.forEach(([lat, lng], i) => {
+        if (Math.abs(lat - pass.lat) > 0.1 || Math.abs(lng - pass.lng) > 0.1) return;
+        const distance = haversineDistance(lat, lng, pass.lat, pass.lng);
+        if (distance < nearestDistance) {
+          nearest = i;
+          nearestDistance = distance;
+        }
+      });
+      if (nearestDistance <= PASS_MATCH_RADIUS_M) crossings.push({ pass, segmentIndex, pointIndex: nearest });
+    });
+  });
+  return crossings
+    .sort((a, b) => a.segmentIndex - b.segmentIndex || a.pointIndex - b.pointIndex)
+    .map(({ pass, segmentIndex }) => ({ pass, segmentIndex }));
+}
+
+/**
+ * Crossing day and season check for each pass on the route
+ * @param {Array<{pass: Object, segmentIndex: number}>} routePasses - From findRoutePasses
+ * @param {number[]} segmentDays
+ * @param {string|null} tripStartDate - ISO date of Day 1
+ * @returns {Array<{pass: Object, segmentIndex: number, day: number|null, date: Date|null, inSeason: boolean|null}>}
+ *   inSeason is null without a trip start date
+ */
+export function checkPassSeasons(routePasses, segmentDays, tripStartDate) {
+  return routePasses.map(crossing => {
+    const day = segmentDays?.[crossing.segmentIndex] ?? null;
+    const date = day ? dateForDay(tripStartDate, day) : null;
+    return {
+      ...crossing,
+      day,
+      date,
+      inSeason: date ? crossing.pass.openMonths.includes(date.getMonth() + 1) : null
+    };
+  });
+}
+
+/**
+ * Warning text for a pass crossed outside its usual season
+ * @param {{pass: Object, day: number|null, date: Date|null, inSeason: boolean|null}} crossing - From checkPassSeasons
+ * @returns {string|null} Null when the crossing is in season or has no date
+ */
+export function getPassSeasonWarning(crossing) {
+  if (crossing.inSeason !== false) return null;
+  const date = crossing.date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+  return `${crossing.pass.name} (${formatElevation(crossing.pass.altitude)}) crossed on Day ${crossing.day} (${date}), outside its usual season (${formatOpenMonths(crossing.pass.openMonths)})`;
+}
@@ -0,0 +1,262 @@
+/**
+ * Offline map tiles: pre-fetch tiles along a route into Cache Storage
+ * The service worker (public/sw.js) serves tiles from the same cache when the network is unavailable.
+ */
+
+import { resolveEndpoint, fillTileUrl, SATELLITE_LABELS_URL } from './endpoints';
+
+// Must match TILE_CACHE in public/sw.js
+export const TILE_CACHE_NAME = 'map-tiles-v1';
+
+// Downloads larger than this many tile requests are refused (tile servers' bulk download policies)
+export const MAX_OFFLINE_TILES = 20000;
+
+// Tile servers whose usage policy forbids bulk downloading (OpenStreetMap's: no offline prefetching)
+const NO_BULK_DOWNLOAD_HOST = /(^|\.)tile\.openstreetmap\.org$/;
+
+// Tiles around the route line to include on each side, so the map isn't cut off right at the road
+const BUFFER_TILES = 1;
+
+// Tile layers offered for offline download (same sources as MapView, including endpoints set in
+// Settings); sizes are rough averages for estimates
+export const OFFLINE_TILE_LAYERS = {
+  map: {
+    label: 'Map',
+    source: 'OpenStreetMap',
+    endpoint: 'mapTiles',
+    extraUrls: [],
+    avgTileBytes: 20000
+  },
+  satellite: {
+    label: 'Satellite',
+    source: 'Esri',
+    endpoint: 'satelliteTiles',
+    extraUrls: [SATELLITE_LABELS_URL],
+    avgTileBytes: 40000
+  }
+};
+
+/**
+ * Check if Cache Storage is available (secure context, modern browser)
+ * @returns {boolean}
+ */
+export function isOfflineCacheSupported() {
+  return typeof window !== 'undefined' && 'caches' in window;
+}
+
+/**
+ * Cache key for a tile URL: OSM subdomains (a/b/c.tile.openstreetmap.org) all map to one key
+ * Must match normalizeTileUrl in public/sw.js
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeTileUrl(url) {
+  return url.replace(/^https:\/\/[abc]\.tile\.openstreetmap\.org\//, 'https://tile.openstreetmap.org/');
+}
+
+/**
+ * Slippy-map tile coordinates containing a point
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} zoom
+ * @returns {{x: number, y: number}}
+ */
+export function latLngToTile(lat, lng, zoom) {
+  const n = Math.pow(2, zoom);
+  const latRad = lat * Math.PI / 180;
+  const x = Math.floor((lng + 180) / 360 * n);
+  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+  return {
+    x: Math.min(Math.max(x, 0), n - 1),
+    y: Math.min(Math.max(y, 0), n - 1)
+  };
+}
+
+/**
+ * All tiles covering the route's segment polylines for a zoom range
+ * @param {Array} segments - Route segments with polyline [lat, lng][]
+ * @param {number} minZoom
+ * @param {number} maxZoom
+ * @returns {Array<{z: number, x: number, y: number}>}
+ */
+export function getTilesForRoute(segments, minZoom, maxZoom) {
+  const tiles = new Map();
+
+  const addTile = (z, x, y) => {
+    const n = Math.pow(2, z);
+    for (let dx = -BUFFER_TILES; dx <= BUFFER_TILES; dx++) {
+      for (let dy = -BUFFER_TILES; dy <= BUFFER_TILES; dy++) {
+        const tx = x + dx;
+        const ty = y + dy;
+        if (tx < 0 || ty < 0 || tx >= n || ty >= n) continue;
+        tiles.set(`${z}/${tx}/${ty}`, { z, x: tx, y: ty });
+      }
+    }
+  };
+
+  for (let z = minZoom; z <= maxZoom; z++) {
+    (segments || []).forEach(segment => {
+      const polyline = segment.polyline || [];
+      for (let i = 0; i < polyline.length; i++) {
+        const [lat, lng] = polyline[i];
+        const tile = latLngToTile(lat, lng, z);
+        addTile(z, tile.x, tile.y);
+        if (i === 0) continue;
+
+        // Fill gaps when consecutive points are several tiles apart (straight lines, low-detail tracks)
+        const [prevLat, prevLng] = polyline[i - 1];
+        const prev = latLngToTile(prevLat, prevLng, z);
+        const steps = Math.max(Math.abs(tile.x - prev.x), Math.abs(tile.y - prev.y));
+        for (let s = 1; s < steps; s++) {
+          const t = s / steps;
+          const mid = latLngToTile(prevLat + (lat - prevLat) * t, prevLng + (lng - prevLng) * t, z);
+          addTile(z, mid.x, mid.y);
+        }
+      }
+    });
+  }
+
+  return Array.from(tiles.values());
+}
+
+/**
+ * URL templates fetched for each tile of a layer
+ * @param {string} layerId - Key of OFFLINE_TILE_LAYERS
+ * @param {Object} endpointSettings - Endpoint overrides (from getEndpointSettings)
+ * @returns {string[]}
+ */
+export function getLayerTemplates(layerId, endpointSettings) {
+  const layer = OFFLINE_TILE_LAYERS[layerId];
+  if (!layer) throw new Error(`Unknown tile layer: ${layerId}`);
+  return [resolveEndpoint(layer.endpoint, endpointSettings), ...layer.extraUrls];
+}
+
+/**
+ * Check if a tile server allows bulk downloads
+ * @param {string} urlOrTemplate - Tile URL or URL template
+ * @returns {boolean}
+ */
+export function allowsBulkDownload(urlOrTemplate) {
+  try {
+    return !NO_BULK_DOWNLOAD_HOST.test(new URL(urlOrTemplate.replace('{s}', 'a')).hostname);
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Why a layer cannot be downloaded for offline use with the current endpoints
+ * @param {string} layerId - Key of OFFLINE_TILE_LAYERS
+ * @param {Object} endpointSettings - Endpoint overrides (from getEndpointSettings)
+ * @returns {string|null} Reason, or null when the download is allowed
+ */
+export function getOfflineDownloadBlock(layerId, endpointSettings) {
+  if (getLayerTemplates(layerId, endpointSettings).every(allowsBulkDownload)) return null;
+  return 'The OpenStreetMap tile servers do not allow bulk downloads for offline use. Set a tile server that permits it (self-hosted or a commercial provider) in Settings → Endpoints → Map tiles.';
+}
+
+/**
+ * Tile URLs to fetch for a set of tiles and a layer
+ * @param {Array<{z: number, x: number, y: number}>} tiles
+ * @param {string} layerId - Key of OFFLINE_TILE_LAYERS
+ * @param {Object} endpointSettings - Endpoint overrides (from getEndpointSettings)
+ * @returns {string[]}
+ */
+export function getTileUrls(tiles, layerId, endpointSettings) {
+  const templates = getLayerTemplates(layerId, endpointSettings);
+  return tiles.flatMap(tile => templates.map(template => fillTileUrl(template, tile)));
+}
+
+/**
+ * Rough download size for a set of tiles
+ * @param {number} tileCount
+ * @param {string} layerId
+ * @returns {number} Bytes
+ */
+export function estimateDownloadBytes(tileCount, layerId) {
+  const layer = OFFLINE_TILE_LAYERS[layerId];
+  return layer ? tileCount * layer.avgTileBytes : 0;
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+/**
+ * Download tiles into Cache Storage (already cached tiles are skipped)
+ * @param {string[]} urls - Tile URLs (from getTileUrls)
+ * @param {Object} options
+ * @param {Function} options.onProgress - ({done, total, downloaded, skipped, failed, bytes}) => void
+ * @param {AbortSignal} options.signal - Abort to stop the download
+ * @param {number} options.concurrency - Parallel requests (keep low; tile servers rate-limit bulk downloads)
+ * @returns {Promise<{done: number, total: number, downloaded: number, skipped: number, failed: number, bytes: number, aborted: boolean}>}
+ */
+export async function downloadTiles(urls, { onProgress = null, signal = null, concurrency = 4 } = {}) {
+  if (!isOfflineCacheSupported()) {
+    throw new Error('Offline storage is not available in this browser');
+  }
+  if (!urls.every(allowsBulkDownload)) {
+    throw new Error('This tile server does not allow bulk downloads for offline use');
+  }
+  if (urls.length > MAX_OFFLINE_TILES) {
+    throw new Error(`Too many tiles (${urls.length}). Reduce the zoom range (limit ${MAX_OFFLINE_TILES}).`);
+  }
+
+  const cache = await caches.open(TILE_CACHE_NAME);
+  const progress = { done: 0, total: urls.length, downloaded: 0, skipped: 0, failed: 0, bytes: 0 };
+  let next = 0;
+
+  const worker = async () => {
+    while (next < urls.length && !signal?.aborted) {
+      const url = normalizeTileUrl(urls[next++]);
+      try {
+        if (await cache.match(url)) {
+          progress.skipped++;
+        } else {
+          const response = await fetch(url, { mode: 'cors', signal });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const blob = await response.clone().blob();
+          await cache.put(url, response);
+          progress.downloaded++;
+          progress.bytes += blob.size;
+        }
+      } catch (error) {
+        if (signal?.aborted) break;
+        console.warn(`Failed to cache tile ${url}:`, error);
+        progress.failed++;
+      }
+      progress.done++;
+      if (onProgress) onProgress({ ...progress });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+  return { ...progress, aborted: Boolean(signal?.aborted) };
+}
+
+/**
+ * Number of tiles currently stored for offline use
+ * @returns {Promise<number>}
+ */
+export async function getCachedTileCount() {
+  if (!isOfflineCacheSupported()) return 0;
+  const cache = await caches.open(TILE_CACHE_NAME);
+  const keys = await cache.keys();
+  return keys.length;
+}
+
+/**
+ * Remove all offline tiles
+ * @returns {Promise<void>}
+ */
+export async function clearOfflineTiles() {
+  if (!isOfflineCacheSupported()) return;
+  await caches.delete(TILE_CACHE_NAME);
+}
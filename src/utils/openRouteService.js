@@ -3,22 +3,28 @@
  */
 
 import { haversineDistance, calculatePointOnLine } from './geoUtils';
-
-const ORS_API_BASE = 'https://api.openrouteservice.org/v2';
+import { lookupPlace, searchPlaces, rememberPlace, toGazetteerCandidate, normalizePlaceName } from './gazetteer';
+import { getCachedRoute, cacheRoute } from './routeCache';
+import { isProxyEnabled } from './apiConfig';
+import { getEndpoint, isCustomEndpoint } from './endpoints';
+import { toOrsParameters } from './routingOptions';
 
 /**
  * Decode an encoded polyline string to coordinates
  * @param {string} encoded - Encoded polyline string
- * @returns {Array<[number, number]>} Array of [lng, lat] coordinates
+ * @param {boolean} includeElevation - Whether the polyline encodes elevation as a third dimension (ORS elevation=true)
+ * @returns {Array<[number, number]|[number, number, number]>} Array of [lng, lat] or [lng, lat, elevation] coordinates
  */
-function decodePolyline(encoded) {
+function decodePolyline(encoded, includeElevation = false) {
   const coordinates = [];
   let index = 0;
   const len = encoded.length;
   let lat = 0;
   let lng = 0;
+  let ele = 0;
 
-  while (index < len) {
+  // Decode a single zigzag-encoded value starting at the current index
+  const decodeValue = () => {
     let b;
     let shift = 0;
     let result = 0;
@@ -27,30 +33,40 @@ function decodePolyline(encoded) {
       result |= (b & 0x1f) << shift;
       shift += 5;
     } while (b >= 0x20);
-    const dlat = ((result & 1) !== 0) ? ~(result >> 1) : (result >> 1);
-    lat += dlat;
+    return ((result & 1) !== 0) ? ~(result >> 1) : (result >> 1);
+  };
 
-    shift = 0;
-    result = 0;
-    do {
-      b = encoded.charCodeAt(index++) - 63;
-      result |= (b & 0x1f) << shift;
-      shift += 5;
-    } while (b >= 0x20);
-    const dlng = ((result & 1) !== 0) ? ~(result >> 1) : (result >> 1);
-    lng += dlng;
+  while (index < len) {
+    lat += decodeValue();
+    lng += decodeValue();
 
-    coordinates.push([lng / 1e5, lat / 1e5]);
+    if (includeElevation) {
+      ele += decodeValue();
+      coordinates.push([lng / 1e5, lat / 1e5, ele / 100]);
+    } else {
+      coordinates.push([lng / 1e5, lat / 1e5]);
+    }
   }
 
   return coordinates;
 }
 
+// ORS error codes meaning there is no route: 2009 route not found, 2010 point not routable
+const ORS_NO_ROUTE_CODES = [2009, 2010];
+
 // Default routing profile for Himalayan routes
 // Valid profiles: 'driving-car', 'driving-hgv', 'cycling-regular', 'cycling-road', 
 // 'cycling-mountain', 'cycling-electric', 'foot-walking', 'foot-hiking', 'wheelchair'
 export const DEFAULT_ROUTING_PROFILE = 'driving-car';
 
+// ORS snaps coordinates to a road within this many meters (its default for waypoints); via-points are dropped
+// by hand on the map, so they may snap from further away
+const WAYPOINT_SNAP_RADIUS_M = 350;
+const VIA_POINT_SNAP_RADIUS_M = 2000;
+
+// Per-stretch road type and surface, used by the ride time speed model (rideTime.js)
+const ROAD_INFO_EXTRAS = ['waytype', 'surface'];
+
 /**
  * Check if a waypoint is geocoded (has valid coordinates)
  * @param {Object} waypoint - Waypoint object with lat and lng properties
@@ -67,19 +83,22 @@ function isWaypointGeocoded(waypoint) {
 }
 
 /**
- * Get OpenRouteService API key from environment variable
+ * Authorization headers for OpenRouteService
+ * Through the API proxy the key is added server-side; direct calls use VITE_ORS_API_KEY, which a
+ * self-hosted ORS (custom routing endpoint in Settings) does not need.
  * Get your free API key from: https://openrouteservice.org/dev/#/signup
+ * @param {boolean} customEndpoint - Whether the routing endpoint is overridden in Settings
+ * @returns {Object} Headers to add to the request
  */
-function getORSAPIKey() {
+export function getORSAuthHeaders(customEndpoint = false) {
   const apiKey = import.meta.env.VITE_ORS_API_KEY;
-  
+  if (customEndpoint) return apiKey ? { 'Authorization': apiKey } : {};
+  if (isProxyEnabled()) return {};
+
   if (!apiKey) {
-    // Fallback to demo key (may have rate limits)
-    console.warn('VITE_ORS_API_KEY not set. Using demo key (may have rate limits). Get your free key at https://openrouteservice.org/dev/#/signup');
-    return '5b3ce3597851110001cf6248e77b1b7896f64ec9baa4675982c65e35';
+    throw new Error('VITE_ORS_API_KEY is not set. Add your OpenRouteService key to .env.local, or set VITE_API_BASE_URL to use the API proxy.');
   }
-  
-  return apiKey;
+  return { 'Authorization': apiKey };
 }
 
 /**
@@ -156,6 +175,7 @@ function buildSearchQuery(locationName, countryCode) {
 /**
  * Search for locations using Nominatim (OpenStreetMap) - optimized for autocomplete
  * Returns suggestions as user types, sorted by priority (cities/towns first)
+ * Saved places from the gazetteer come first; an exact saved match skips the network request.
  * @param {string} query - Partial search query (what user is typing)
  * @param {string|null} countryCode - Optional country code (e.g., 'IN' for India, null for global search)
  * @param {number} limit - Maximum number of suggestions to return (default: 5)
@@ -167,9 +187,16 @@ export async function searchLocations(query, countryCode = null, limit = 5, time
     return { candidates: [] };
   }
 
+  const savedPlaces = await searchPlaces(query, limit);
+  const savedCandidates = savedPlaces.map(toGazetteerCandidate);
+  const queryKey = normalizePlaceName(query);
+  if (savedPlaces.some(place => place.aliases.includes(queryKey))) {
+    return { candidates: savedCandidates };
+  }
+
   try {
     const searchQuery = buildSearchQuery(query, countryCode);
-    const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(searchQuery)}&limit=${limit * 2}&dedupe=1`;
+    const url = `${await getEndpoint('nominatim')}/search?format=json&q=${encodeURIComponent(searchQuery)}&limit=${limit * 2}&dedupe=1`;
     
     // Create abort controller for timeout
     const controller = new AbortController();
@@ -192,7 +219,7 @@ export async function searchLocations(query, countryCode = null, limit = 5, time
       const data = await response.json();
       
       if (!data || data.length === 0) {
-        return { candidates: [] };
+        return { candidates: savedCandidates };
       }
 
       // Map and prioritize candidates
@@ -218,7 +245,11 @@ export async function searchLocations(query, countryCode = null, limit = 5, time
         // Remove priority from final result
         .map(({ priority, ...rest }) => rest);
 
-      return { candidates };
+      // Saved places first, without network results for the same place
+      const networkCandidates = candidates.filter(candidate =>
+        !savedCandidates.some(saved => haversineDistance(saved.lat, saved.lng, candidate.lat, candidate.lng) < 1000)
+      );
+      return { candidates: [...savedCandidates, ...networkCandidates].slice(0, limit) };
     } catch (fetchError) {
       clearTimeout(timeoutId);
       if (fetchError.name === 'AbortError') {
@@ -227,6 +258,11 @@ export async function searchLocations(query, countryCode = null, limit = 5, time
       throw fetchError;
     }
   } catch (error) {
+    // Offline or Nominatim unavailable: saved places are still useful
+    if (savedCandidates.length > 0) {
+      console.warn('Location search failed, showing saved places only:', error);
+      return { candidates: savedCandidates };
+    }
     console.error('Location search error:', error);
     throw error;
   }
@@ -235,16 +271,28 @@ export async function searchLocations(query, countryCode = null, limit = 5, time
 /**
  * Geocode a location name to coordinates using Nominatim (OpenStreetMap)
  * Returns all candidates for ambiguity resolution, prioritized (cities/towns first)
+ * A name already in the places gazetteer is returned as a single candidate without a network request;
+ * a single network result is added to the gazetteer (unless rememberResult is false).
  * @param {string} locationName - Name of the location
  * @param {string|null} countryCode - Optional country code (e.g., 'IN' for India, null for global search)
  * @param {number} limit - Maximum number of candidates to return (default: 5)
  * @param {number} timeoutMs - Request timeout in milliseconds (default: 15000)
- * @returns {Promise<{candidates: Array<{lat: number, lng: number, display_name: string, importance: number, type: string, class: string}>}>}
+ * @param {boolean} useGazetteer - Check saved places first (default: true; false for an explicit new search)
+ * @param {boolean} rememberResult - Save a single result to the gazetteer (default: true; false for lookups that are
+ *   not waypoints, e.g. highlights)
+ * @returns {Promise<{candidates: Array<{lat: number, lng: number, display_name: string, importance: number, type: string, class: string}>, fromGazetteer?: boolean}>}
  */
-export async function geocodeLocation(locationName, countryCode = null, limit = 5, timeoutMs = 15000) {
+export async function geocodeLocation(locationName, countryCode = null, limit = 5, timeoutMs = 15000, useGazetteer = true, rememberResult = true) {
+  if (useGazetteer) {
+    const savedPlace = await lookupPlace(locationName);
+    if (savedPlace) {
+      return { candidates: [toGazetteerCandidate(savedPlace)], fromGazetteer: true };
+    }
+  }
+
   try {
     const searchQuery = buildSearchQuery(locationName, countryCode);
-    const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(searchQuery)}&limit=${limit * 2}`;
+    const url = `${await getEndpoint('nominatim')}/search?format=json&q=${encodeURIComponent(searchQuery)}&limit=${limit * 2}`;
     
     // Create abort controller for timeout
     const controller = new AbortController();
@@ -293,6 +341,12 @@ export async function geocodeLocation(locationName, countryCode = null, limit =
         // Remove priority from final result
         .map(({ priority, ...rest }) => rest);
 
+      if (rememberResult && candidates.length === 1) {
+        rememberPlace(locationName, candidates[0], 'geocoded').catch(error => {
+          console.error('Error saving place to gazetteer:', error);
+        });
+      }
+
       return { candidates };
     } catch (fetchError) {
       clearTimeout(timeoutId);
@@ -327,6 +381,35 @@ function isNoRouteError(error) {
   return indicators.some(indicator => errorMessage.includes(indicator));
 }
 
+/**
+ * Whether an ORS error response is a definite "no route" answer worth caching
+ * 2009: no route between the points; 2010: no routable point near a coordinate. Other 400s (invalid
+ * parameters, too many avoid polygons, distance limits) depend on the request or the server and are not cached.
+ * @param {string} errorText - Response body
+ * @returns {boolean}
+ */
+function isDefiniteNoRoute(errorText) {
+  try {
+    return ORS_NO_ROUTE_CODES.includes(JSON.parse(errorText)?.error?.code);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Road info from the ORS extras of a route
+ * @param {Object|undefined} extras - ORS `extras` ({ waytypes: { values }, surface: { values } })
+ * @returns {{waytype: Array<[number, number, number]>, surface: Array<[number, number, number]>}|null}
+ *   [fromIndex, toIndex, code] ranges over the polyline points, null when ORS returned none
+ */
+function parseRoadInfo(extras) {
+  if (!extras?.waytypes && !extras?.surface) return null;
+  return {
+    waytype: extras.waytypes?.values || [],
+    surface: extras.surface?.values || []
+  };
+}
+
 /**
  * Calculate route between two waypoints using OpenRouteService
  * @param {Object} from - Starting waypoint {lat, lng}
@@ -334,29 +417,55 @@ function isNoRouteError(error) {
  * @param {string} profile - Route profile (default: 'driving-car')
  *   Valid profiles: 'driving-car', 'driving-hgv', 'cycling-regular', 'cycling-road', 
  *   'cycling-mountain', 'cycling-electric', 'foot-walking', 'foot-hiking', 'wheelchair'
- * @returns {Promise<{polyline: Array<[number, number]>, distance: number}>} Segment data
+ * @param {boolean} useCache - Return a cached result when available (default: true); fresh results are always cached
+ * @param {Array<{lat: number, lng: number}>} via - Shaping points the route must pass through, in order (not stops)
+ * @param {Object|null} routingOptions - Preference and things to avoid (routingOptions.js)
+ * @returns {Promise<{polyline: Array<[number, number]>, distance: number, duration: number|null, elevation: number[]|null, roadInfo: Object|null, fromCache?: boolean}>}
+ *   Segment data (duration in seconds for a car, elevation in meters per polyline point and road type/surface ranges
+ *   when ORS returns them; routes cached before durations were stored have none)
  * @throws {Error} If routing fails, error will have isNoRouteError flag
  */
-export async function calculateRoute(from, to, profile = DEFAULT_ROUTING_PROFILE) {
+export async function calculateRoute(from, to, profile = DEFAULT_ROUTING_PROFILE, useCache = true, via = [], routingOptions = null) {
   if (!from || !to) {
     throw new Error('Both from and to waypoints are required');
   }
 
+  const orsParameters = toOrsParameters(routingOptions);
+
+  if (useCache) {
+    const cached = await getCachedRoute(from, to, profile, via, orsParameters);
+    if (cached?.noRoute) {
+      const error = new Error(cached.message);
+      error.isNoRouteError = true;
+      error.fromCache = true;
+      throw error;
+    }
+    if (cached) {
+      return { ...cached, fromCache: true };
+    }
+  }
+
   try {
-    // Convert waypoints to ORS format (coordinates as [lng, lat])
-    const coordinates = [[from.lng, from.lat], [to.lng, to.lat]];
+    // Convert waypoints to ORS format (coordinates as [lng, lat]); via-points become intermediate coordinates
+    const coordinates = [from, ...via, to].map(point => [point.lng, point.lat]);
 
-    const url = `${ORS_API_BASE}/directions/${profile}`;
+    const url = `${await getEndpoint('ors')}/v2/directions/${profile}`;
     
     const response = await fetch(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': getORSAPIKey()
+        ...getORSAuthHeaders(await isCustomEndpoint('ors'))
       },
       body: JSON.stringify({
         coordinates,
-        format: 'geojson'
+        format: 'geojson',
+        elevation: true,
+        extra_info: ROAD_INFO_EXTRAS,
+        ...orsParameters,
+        ...(via.length > 0 ? {
+          radiuses: [WAYPOINT_SNAP_RADIUS_M, ...via.map(() => VIA_POINT_SNAP_RADIUS_M), WAYPOINT_SNAP_RADIUS_M]
+        } : {})
       })
     });
 
@@ -365,6 +474,10 @@ export async function calculateRoute(from, to, profile = DEFAULT_ROUTING_PROFILE
       console.error('OpenRouteService API error:', response.status, errorText);
       const error = new Error(`Routing failed (${response.status}): ${errorText.substring(0, 200)}`);
       error.isNoRouteError = isNoRouteError(error);
+      // Remember definite "no route" answers; other request, auth, quota and server errors are not cached
+      if (isDefiniteNoRoute(errorText)) {
+        await cacheRoute(from, to, profile, { noRoute: true, message: error.message }, via, orsParameters);
+      }
       throw error;
     }
 
@@ -372,21 +485,27 @@ export async function calculateRoute(from, to, profile = DEFAULT_ROUTING_PROFILE
     
     let coordinatesArray;
     let distance = 0;
+    let duration = null;
+    let roadInfo = null;
     
     // Handle both GeoJSON and JSON response formats
     if (data.features && data.features.length > 0) {
       // GeoJSON format
       coordinatesArray = data.features[0].geometry.coordinates;
       const properties = data.features[0].properties || {};
-      distance = properties.segments?.[0]?.distance || 0;
+      // One ORS segment per leg: several when via-points were given
+      distance = properties.summary?.distance ||
+        (properties.segments || []).reduce((sum, leg) => sum + (leg.distance || 0), 0);
+      duration = properties.summary?.duration ?? null;
+      roadInfo = parseRoadInfo(properties.extras);
     } else if (data.routes && data.routes.length > 0) {
       // JSON format with encoded polyline
       const route = data.routes[0];
       const geometry = route.geometry;
       
       if (typeof geometry === 'string') {
-        // Decode encoded polyline
-        coordinatesArray = decodePolyline(geometry);
+        // Decode encoded polyline (3D when elevation was requested)
+        coordinatesArray = decodePolyline(geometry, route.summary?.ascent !== undefined || route.summary?.descent !== undefined);
       } else if (Array.isArray(geometry)) {
         // Already decoded coordinates
         coordinatesArray = geometry;
@@ -398,23 +517,36 @@ export async function calculateRoute(from, to, profile = DEFAULT_ROUTING_PROFILE
       // Extract distance from route summary or segments
       if (route.summary) {
         distance = route.summary.distance || 0;
+        duration = route.summary.duration ?? null;
       } else if (route.segments && route.segments.length > 0) {
         distance = route.segments[0].distance || 0;
       }
+      roadInfo = parseRoadInfo(route.extras);
     } else {
       // No route data - this indicates no route found
       const error = new Error('No route found between these waypoints');
       error.isNoRouteError = true;
+      await cacheRoute(from, to, profile, { noRoute: true, message: error.message }, via, orsParameters);
       throw error;
     }
     
     // Convert from [lng, lat] to [lat, lng] for Leaflet
     const polyline = coordinatesArray.map(coord => [coord[1], coord[0]]);
+
+    // Elevation is the optional third coordinate
+    const elevation = coordinatesArray.length > 0 && coordinatesArray.every(coord => typeof coord[2] === 'number')
+      ? coordinatesArray.map(coord => coord[2])
+      : null;
     
-    return {
+    const result = {
       polyline,
-      distance
+      distance,
+      duration,
+      elevation,
+      roadInfo
     };
+    await cacheRoute(from, to, profile, result, via, orsParameters);
+    return result;
   } catch (error) {
     // Mark error if it indicates no route found
     if (!error.isNoRouteError) {
@@ -425,6 +557,92 @@ export async function calculateRoute(from, to, profile = DEFAULT_ROUTING_PROFILE
   }
 }
 
+// Alternative routes may be up to this factor longer (in routing weight) than the fastest one, and share at most
+// this fraction of it. ORS allows weight_factor up to 2; Himalayan detours (e.g. via Spiti instead of over the
+// Baralacha La) are long, so the upper end is used
+const ALTERNATIVE_WEIGHT_FACTOR = 2;
+const ALTERNATIVE_SHARE_FACTOR = 0.6;
+
+/**
+ * Calculate alternative routes between two waypoints using OpenRouteService (alternative_routes)
+ * Not cached: alternatives are requested on demand for one segment at a time. The public ORS API only
+ * computes alternatives for routes up to 100 km; a self-hosted ORS (see Settings) can allow longer ones.
+ * @param {Object} from - Starting waypoint {lat, lng}
+ * @param {Object} to - Ending waypoint {lat, lng}
+ * @param {string} profile - Route profile (default: 'driving-car')
+ * @param {number} targetCount - Number of routes to ask for, including the fastest (ORS allows up to 3)
+ * @param {Object|null} routingOptions - Preference and things to avoid (routingOptions.js)
+ * @returns {Promise<Array<{polyline: Array<[number, number]>, distance: number, duration: number, elevation: number[]|null, roadInfo: Object|null, ascent: number|null, descent: number|null}>>}
+ *   Routes as returned by ORS, fastest first
+ */
+export async function calculateAlternativeRoutes(from, to, profile = DEFAULT_ROUTING_PROFILE, targetCount = 3, routingOptions = null) {
+  if (!from || !to) {
+    throw new Error('Both from and to waypoints are required');
+  }
+
+  const url = `${await getEndpoint('ors')}/v2/directions/${profile}`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getORSAuthHeaders(await isCustomEndpoint('ors'))
+    },
+    body: JSON.stringify({
+      coordinates: [[from.lng, from.lat], [to.lng, to.lat]],
+      format: 'geojson',
+      elevation: true,
+      extra_info: ROAD_INFO_EXTRAS,
+      ...toOrsParameters(routingOptions),
+      alternative_routes: {
+        target_count: targetCount,
+        weight_factor: ALTERNATIVE_WEIGHT_FACTOR,
+        share_factor: ALTERNATIVE_SHARE_FACTOR
+      }
+    })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('OpenRouteService API error:', response.status, errorText);
+    throw new Error(`Alternative routes failed (${response.status}): ${errorText.substring(0, 200)}`);
+  }
+
+  const data = await response.json();
+  // The JSON endpoint answers with `routes` (encoded 3D polylines, elevation was requested); GeoJSON with `features`
+  const routes = data.features
+    ? data.features.map(feature => ({
+      coordinates: feature.geometry?.coordinates || [],
+      properties: feature.properties || {},
+      ascent: feature.properties?.ascent,
+      descent: feature.properties?.descent
+    }))
+    : (data.routes || []).map(route => ({
+      coordinates: typeof route.geometry === 'string' ? decodePolyline(route.geometry, true) : (route.geometry || []),
+      properties: route,
+      ascent: route.summary?.ascent,
+      descent: route.summary?.descent
+    }));
+  const found = routes.filter(route => route.coordinates.length > 0);
+  if (found.length === 0) {
+    throw new Error('No route found between these waypoints');
+  }
+
+  return found.map(({ coordinates: coordinatesArray, properties, ascent, descent }) => {
+    const elevation = coordinatesArray.every(coord => typeof coord[2] === 'number')
+      ? coordinatesArray.map(coord => coord[2])
+      : null;
+    return {
+      polyline: coordinatesArray.map(coord => [coord[1], coord[0]]),
+      distance: properties.summary?.distance || 0,
+      duration: properties.summary?.duration || 0,
+      elevation,
+      roadInfo: parseRoadInfo(properties.extras),
+      ascent: ascent ?? null,
+      descent: descent ?? null
+    };
+  });
+}
+
 /**
  * Find the closest routable coordinate on the straight line between two waypoints
  * @param {Object} from - Starting waypoint {lat, lng}
@@ -432,9 +650,10 @@ export async function calculateRoute(from, to, profile = DEFAULT_ROUTING_PROFILE
  * @param {string} profile - Route profile (default: 'driving-car')
  * @param {number} stepSize - Distance step size in meters (default: 100)
  * @param {Function} onProgress - Optional progress callback: (attempt, distance) => void
+ * @param {boolean} useCache - Use cached probe results (default: true)
  * @returns {Promise<{success: boolean, adjustedCoordinate: {lat, lng} | null, attempts: number}>}
  */
-export async function findRoutableCoordinate(from, to, profile = DEFAULT_ROUTING_PROFILE, stepSize = 100, onProgress = null) {
+export async function findRoutableCoordinate(from, to, profile = DEFAULT_ROUTING_PROFILE, stepSize = 100, onProgress = null, useCache = true) {
   // Calculate straight-line distance between waypoints
   const totalDistance = haversineDistance(from.lat, from.lng, to.lat, to.lng);
   
@@ -457,7 +676,7 @@ export async function findRoutableCoordinate(from, to, profile = DEFAULT_ROUTING
     
     try {
       // Attempt to route from 'from' to test coordinate
-      await calculateRoute(from, testCoordinate, profile);
+      await calculateRoute(from, testCoordinate, profile, useCache);
       
       // Routing succeeded - return this coordinate
       return {
@@ -494,9 +713,13 @@ export async function findRoutableCoordinate(from, to, profile = DEFAULT_ROUTING
  * @param {Array<{id: string, lat: number, lng: number, name?: string, order?: number}>} waypoints - Array of waypoints with IDs
  * @param {string} profile - Route profile (default: 'driving-motorcycle')
  * @param {Function} onProgress - Optional progress callback: (current, total, message?) => void
- * @returns {Promise<{segments: Array, adjustedWaypoints: Array}>} Segments and any adjusted waypoints
+ * @param {boolean} useCache - Reuse cached segment results (default: true); false refreshes them from the API
+ * @param {Function} getSegmentRouting - Optional: (fromWaypointId, toWaypointId) => { viaPoints, segmentOptions, options }:
+ *   via-points shaping that segment, its own routing options override (kept on the segment) and the options to route with
+ * @returns {Promise<{segments: Array, adjustedWaypoints: Array, cachedCount: number}>} Segments, any adjusted waypoints
+ *   and how many segments came from the routing cache
  */
-export async function calculateRouteSegments(waypoints, profile = DEFAULT_ROUTING_PROFILE, onProgress = null) {
+export async function calculateRouteSegments(waypoints, profile = DEFAULT_ROUTING_PROFILE, onProgress = null, useCache = true, getSegmentRouting = null) {
   if (!waypoints || waypoints.length < 2) {
     throw new Error('At least 2 waypoints are required');
   }
@@ -511,6 +734,7 @@ export async function calculateRouteSegments(waypoints, profile = DEFAULT_ROUTIN
   const segments = [];
   const errors = [];
   const adjustedWaypoints = [];
+  let cachedCount = 0;
   const totalSegments = geocodedWaypoints.length - 1;
   // Create a mutable copy of waypoints to allow adjustments
   const workingWaypoints = geocodedWaypoints.map(wp => ({ ...wp }));
@@ -524,8 +748,19 @@ export async function calculateRouteSegments(waypoints, profile = DEFAULT_ROUTIN
       onProgress(i + 1, totalSegments, `Calculating route ${i + 1} → ${i + 2}`);
     }
     
+    // Via-points and option overrides belong to the pair of waypoints, whatever their coordinates
+    const { viaPoints: via = [], segmentOptions = null, options = null } = getSegmentRouting?.(
+      from.id || (from.order !== undefined ? from.order.toString() : i.toString()),
+      to.id || (to.order !== undefined ? to.order.toString() : (i + 1).toString())
+    ) || {};
+    const shaping = {
+      ...(via.length > 0 ? { viaPoints: via } : {}),
+      ...(segmentOptions ? { routingOptions: segmentOptions } : {})
+    };
+
     try {
-      const segmentData = await calculateRoute(from, to, profile);
+      const segmentData = await calculateRoute(from, to, profile, useCache, via, options);
+      if (segmentData.fromCache) cachedCount++;
       // Use waypoint ID if available, otherwise use order (which should be stable)
       const fromId = from.id || (from.order !== undefined ? from.order.toString() : i.toString());
       const toId = to.id || (to.order !== undefined ? to.order.toString() : (i + 1).toString());
@@ -533,7 +768,11 @@ export async function calculateRouteSegments(waypoints, profile = DEFAULT_ROUTIN
         fromWaypointId: fromId,
         toWaypointId: toId,
         polyline: segmentData.polyline,
-        distance: segmentData.distance
+        distance: segmentData.distance,
+        duration: segmentData.duration ?? null,
+        elevation: segmentData.elevation,
+        roadInfo: segmentData.roadInfo ?? null,
+        ...shaping
       });
     } catch (error) {
       // Check if this is a "no route" error that might benefit from fallback
@@ -553,7 +792,8 @@ export async function calculateRouteSegments(waypoints, profile = DEFAULT_ROUTIN
               if (onProgress) {
                 onProgress(i + 1, totalSegments, `Trying alternative at ${Math.round(distance)}m...`);
               }
-            }
+            },
+            useCache
           );
           
           if (fallbackResult.success && fallbackResult.adjustedCoordinate) {
@@ -583,12 +823,17 @@ export async function calculateRouteSegments(waypoints, profile = DEFAULT_ROUTIN
             
             // Try routing again with adjusted coordinate
             try {
-              const segmentData = await calculateRoute(from, to, profile);
+              const segmentData = await calculateRoute(from, to, profile, useCache, via, options);
+              if (segmentData.fromCache) cachedCount++;
               segments.push({
                 fromWaypointId: fromId,
                 toWaypointId: toId,
                 polyline: segmentData.polyline,
-                distance: segmentData.distance
+                distance: segmentData.distance,
+                duration: segmentData.duration ?? null,
+                elevation: segmentData.elevation,
+                roadInfo: segmentData.roadInfo ?? null,
+                ...shaping
               });
               
               if (onProgress) {
@@ -644,7 +889,8 @@ export async function calculateRouteSegments(waypoints, profile = DEFAULT_ROUTIN
 
   return {
     segments,
-    adjustedWaypoints
+    adjustedWaypoints,
+    cachedCount
   };
 }
 
@@ -664,8 +910,10 @@ export async function geocodeMultipleLocations(locationNames) {
         name,
         candidates: geocoded.candidates || []
       });
-      // Add delay to respect Nominatim rate limits (1 request/second)
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      // Add delay to respect Nominatim rate limits (1 request/second); saved places made no request
+      if (!geocoded.fromGazetteer) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
     } catch (error) {
       console.warn(`Failed to geocode ${name}:`, error);
       // Continue with other locations even if one fails
@@ -0,0 +1,132 @@
+/**
+ * Restricted areas shared by all routes (IndexedDB), for the permit checker
+ * Each area is a polygon with the permit everyone needs there, the extra permit for foreign nationals and
+ * where to get them. A few areas of Ladakh and Spiti are added on first use; all of them can be edited,
+ * redrawn or deleted. The default outlines are approximate: check the current rules before the trip.
+ * Shape: `{ id, name, polygon: [[lat, lng]], permit, foreignerPermit, obtainAt, createdAt, updatedAt }`
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDB, isIndexedDBSupported, PERMIT_AREAS_STORE } from './indexedDB';
+import { getSetting, saveSetting } from './settings';
+
+// Set once the default areas have been added, so deleting them all does not bring them back
+const DEFAULTS_ADDED_KEY = 'permitAreasDefaultsAdded';
+
+const LADAKH_OBTAIN_AT = 'Online on the Leh permit portal or at the DC office in Leh; carry several printed copies for the checkposts';
+
+export const DEFAULT_PERMIT_AREAS = [
+  {
+    id: 'default-nubra',
+    name: 'Nubra Valley',
+    polygon: [[34.30, 77.50], [34.32, 77.80], [34.55, 78.00], [35.05, 77.90], [35.05, 76.70], [34.70, 76.70], [34.45, 77.20]],
+    permit: 'Inner Line Permit (ILP)',
+    foreignerPermit: 'Protected Area Permit (PAP), through a registered travel agency',
+    obtainAt: LADAKH_OBTAIN_AT
+  },
+  {
+    id: 'default-pangong',
+    name: 'Pangong Tso',
+    polygon: [[34.15, 78.05], [34.15, 78.60], [33.70, 79.00], [33.55, 78.90], [33.80, 78.05]],
+    permit: 'Inner Line Permit (ILP)',
+    foreignerPermit: 'Protected Area Permit (PAP), through a registered travel agency',
+    obtainAt: LADAKH_OBTAIN_AT
+  },
+  {
+    id: 'default-tso-moriri',
+    name: 'Tso Moriri and Hanle (Changthang)',
+    polygon: [[33.35, 78.05], [33.35, 78.60], [32.60, 79.60], [32.35, 79.40], [32.55, 78.20], [32.85, 78.05]],
+    permit: 'Inner Line Permit (ILP)',
+    foreignerPermit: 'Protected Area Permit (PAP), through a registered travel agency',
+    obtainAt: LADAKH_OBTAIN_AT
+  },
+  {
+    id: 'default-kinnaur-spiti',
+    name: 'Kinnaur-Spiti border (Jangi to Sumdo)',
+    polygon: [[31.58, 78.35], [31.58, 78.80], [32.10, 78.80], [32.10, 78.50], [31.80, 78.35]],
+    permit: '',
+    foreignerPermit: 'Inner Line Permit for foreign nationals',
+    obtainAt: 'SDM office in Reckong Peo or Kaza (passport copies and photos)'
+  }
+];
+
+/**
+ * Fill in missing fields (saved or edited areas)
+ * @param {Object} area
+ * @returns {Object}
+ */
+function normalizePermitArea(area) {
+  return {
+    ...area,
+    name: area.name?.trim() || 'Restricted area',
+    polygon: Array.isArray(area.polygon) ? area.polygon : [],
+    permit: area.permit?.trim() || '',
+    foreignerPermit: area.foreignerPermit?.trim() || '',
+    obtainAt: area.obtainAt?.trim() || ''
+  };
+}
+
+/**
+ * Save the default areas (existing ones with the same IDs are replaced)
+ * @returns {Promise<void>}
+ */
+export async function restoreDefaultPermitAreas() {
+  if (!isIndexedDBSupported()) {
+    throw new Error('IndexedDB is not supported in this browser');
+  }
+
+  const now = new Date().toISOString();
+  const db = await getDB();
+  const tx = db.transaction(PERMIT_AREAS_STORE, 'readwrite');
+  for (const area of DEFAULT_PERMIT_AREAS) {
+    await tx.store.put({ ...area, createdAt: now, updatedAt: now });
+  }
+  await tx.done;
+}
+
+/**
+ * Get all restricted areas; the default areas are added the first time
+ * @returns {Promise<Array>}
+ */
+export async function getPermitAreas() {
+  if (!isIndexedDBSupported()) return [];
+  if (!(await getSetting(DEFAULTS_ADDED_KEY, false))) {
+    await restoreDefaultPermitAreas();
+    await saveSetting(DEFAULTS_ADDED_KEY, true);
+  }
+  const db = await getDB();
+  return (await db.getAll(PERMIT_AREAS_STORE)).map(normalizePermitArea);
+}
+
+/**
+ * Add or update a restricted area
+ * @param {Object} area - Without id for a new area
+ * @returns {Promise<Object>} Saved area
+ */
+export async function savePermitArea(area) {
+  if (!isIndexedDBSupported()) {
+    throw new Error('IndexedDB is not supported in this browser');
+  }
+
+  const now = new Date().toISOString();
+  const saved = normalizePermitArea({
+    ...area,
+    id: area.id || uuidv4(),
+    createdAt: area.createdAt || now,
+    updatedAt: now
+  });
+  const db = await getDB();
+  await db.put(PERMIT_AREAS_STORE, saved);
+  return saved;
+}
+
+/**
+ * Delete a restricted area
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deletePermitArea(id) {
+  if (!isIndexedDBSupported()) return;
+  const db = await getDB();
+  await db.delete(PERMIT_AREAS_STORE, id);
+}
@@ -0,0 +1,60 @@
+/**
+ * Permit checker: restricted areas (permitAreas.js) the route enters, with the days it is inside them
+ * A segment enters an area when a point of its polyline lies inside the area's polygon (ORS polylines are
+ * dense enough for valley-sized areas). Which permits were already obtained is stored with the route
+ * (`permitsObtained`: area IDs).
+ */
+
+import { isPointInPolygon } from './geoUtils';
+
+/**
+ * Bounding box of a polygon, for a quick pre-filter
+ * @param {Array<[number, number]>} ring
+ * @returns {{minLat: number, maxLat: number, minLng: number, maxLng: number}}
+ */
+function getBounds(ring) {
+  return ring.reduce((box, [lat, lng]) => ({
+    minLat: Math.min(box.minLat, lat),
+    maxLat: Math.max(box.maxLat, lat),
+    minLng: Math.min(box.minLng, lng),
+    maxLng: Math.max(box.maxLng, lng)
+  }), { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity });
+}
+
+/**
+ * Restricted areas the route enters, in route order
+ * @param {Array} segments - Route segments {polyline}
+ * @param {Array} areas - Restricted areas {id, polygon, ...}
+ * @param {number[]} segmentDays - 1-based day per segment
+ * @returns {Array<{area: Object, segmentIndexes: number[], days: number[]}>}
+ */
+export function getPermitChecklist(segments, areas, segmentDays) {
+  const checklist = [];
+  (areas || []).filter(area => area.polygon.length >= 3).forEach(area => {
+    const bounds = getBounds(area.polygon);
+    const segmentIndexes = [];
+    (segments || []).forEach((segment, segmentIndex) => {
+      const enters = (segment.polyline || []).some(([lat, lng]) =>
+        lat >= bounds.minLat && lat <= bounds.maxLat && lng >= bounds.minLng && lng <= bounds.maxLng &&
+        isPointInPolygon(lat, lng, area.polygon)
+      );
+      if (enters) segmentIndexes.push(segmentIndex);
+    });
+    if (segmentIndexes.length === 0) return;
+    const days = [...new Set(segmentIndexes.map(i => segmentDays?.[i]).filter(Boolean))].sort((a, b) => a - b);
+    checklist.push({ area, segmentIndexes, days });
+  });
+  return checklist.sort((a, b) => a.segmentIndexes[0] - b.segmentIndexes[0]);
+}
+
+/**
+ * Day numbers as short text, e.g. "Day 3", "Days 3–5" or "Days 3, 7"
+ * @param {number[]} days - Sorted day numbers
+ * @returns {string}
+ */
+export function formatPermitDays(days) {
+  if (days.length === 0) return '';
+  if (days.length === 1) return `Day ${days[0]}`;
+  const consecutive = days.every((day, i) => i === 0 || day === days[i - 1] + 1);
+  return consecutive ? `Days ${days[0]}–${days[days.length - 1]}` : `Days ${days.join(', ')}`;
+}
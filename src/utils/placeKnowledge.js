@@ -0,0 +1,155 @@
+/**
+ * Place knowledge: structured records about stays and support along the way (homestays, hotels, mechanics,
+ * medical, ATMs, phone coverage), shared by all routes (IndexedDB)
+ * A record sits at a location (a waypoint's or any map point's coordinates), so it shows up for every route
+ * passing near it; `placeName` keeps the waypoint or village name for search.
+ * Shape: `{ id, category, name, lat, lng, placeName, contacts, price, source, rating (1-5 or null), notes, createdAt, updatedAt }`
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDB, isIndexedDBSupported, PLACE_RECORDS_STORE } from './indexedDB';
+import { haversineDistance } from './geoUtils';
+
+// Record categories with map symbol and color
+export const PLACE_CATEGORIES = {
+  homestay: { label: 'Homestay', symbol: '⌂', color: '#b45309' },
+  hotel: { label: 'Hotel', symbol: 'H', color: '#2563eb' },
+  mechanic: { label: 'Mechanic', symbol: '⚙', color: '#4b5563' },
+  medical: { label: 'Medical', symbol: '+', color: '#dc2626' },
+  atm: { label: 'ATM', symbol: '₹', color: '#059669' },
+  coverage: { label: 'Phone coverage', symbol: '☎', color: '#7c3aed' }
+};
+
+// Records within this distance of a waypoint belong to it
+export const PLACE_RECORD_RADIUS_M = 5000;
+
+// Text fields matched by the search
+const SEARCH_FIELDS = ['name', 'placeName', 'contacts', 'price', 'source', 'notes'];
+
+/**
+ * Category info for a record (unknown categories get a neutral look)
+ * @param {string} category
+ * @returns {{label: string, symbol: string, color: string}}
+ */
+export function getPlaceCategory(category) {
+  return PLACE_CATEGORIES[category] || { label: 'Place', symbol: '•', color: '#6b7280' };
+}
+
+/**
+ * Fill in missing fields (saved or edited records)
+ * @param {Object} record
+ * @returns {Object}
+ */
+function normalizePlaceRecord(record) {
+  const rating = Number(record.rating);
+  return {
+    ...record,
+    category: PLACE_CATEGORIES[record.category] ? record.category : 'homestay',
+    name: record.name?.trim() || '',
+    placeName: record.placeName?.trim() || '',
+    contacts: record.contacts?.trim() || '',
+    price: record.price?.trim() || '',
+    source: record.source?.trim() || '',
+    rating: rating >= 1 && rating <= 5 ? Math.round(rating) : null,
+    notes: record.notes?.trim() || ''
+  };
+}
+
+/**
+ * Get all place records
+ * @returns {Promise<Array>}
+ */
+export async function getPlaceRecords() {
+  if (!isIndexedDBSupported()) return [];
+  const db = await getDB();
+  return db.getAll(PLACE_RECORDS_STORE);
+}
+
+/**
+ * Add or update a place record
+ * @param {Object} record - Without id for a new record; needs lat/lng
+ * @returns {Promise<Object>} Saved record
+ */
+export async function savePlaceRecord(record) {
+  if (!isIndexedDBSupported()) {
+    throw new Error('IndexedDB is not supported in this browser');
+  }
+
+  const now = new Date().toISOString();
+  const saved = normalizePlaceRecord({
+    ...record,
+    id: record.id || uuidv4(),
+    createdAt: record.createdAt || now,
+    updatedAt: now
+  });
+  const db = await getDB();
+  await db.put(PLACE_RECORDS_STORE, saved);
+  return saved;
+}
+
+/**
+ * Delete a place record
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deletePlaceRecord(id) {
+  if (!isIndexedDBSupported()) return;
+  const db = await getDB();
+  await db.delete(PLACE_RECORDS_STORE, id);
+}
+
+/**
+ * Records near a point, nearest first
+ * @param {Array} records
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} radiusM
+ * @returns {Array}
+ */
+export function getPlaceRecordsNear(records, lat, lng, radiusM = PLACE_RECORD_RADIUS_M) {
+  return records
+    .map(record => ({ record, distance: haversineDistance(lat, lng, record.lat, record.lng) }))
+    .filter(({ distance }) => distance <= radiusM)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ record }) => record);
+}
+
+/**
+ * Routes with a waypoint near a record
+ * @param {Object} record
+ * @param {Array} routes - Saved routes {id, name, waypoints}
+ * @returns {Array<{id: string, name: string, waypointName: string}>}
+ */
+export function getRoutesNearPlaceRecord(record, routes) {
+  return routes.flatMap(route => {
+    const waypoint = (route.waypoints || []).find(w =>
+      w.lat !== 0 && w.lng !== 0 && haversineDistance(record.lat, record.lng, w.lat, w.lng) <= PLACE_RECORD_RADIUS_M
+    );
+    return waypoint ? [{ id: route.id, name: route.name, waypointName: waypoint.name }] : [];
+  });
+}
+
+/**
+ * Filter records by category and search text (every word must appear in a text field or a nearby route's name)
+ * @param {Array} records
+ * @param {string} query
+ * @param {string} category - Category key, or '' for all
+ * @param {Array} routes - Saved routes, so a record can be found by a route or waypoint name near it
+ * @returns {Array} Matching records, sorted by place and name
+ */
+export function searchPlaceRecords(records, query, category = '', routes = []) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return records
+    .filter(record => !category || record.category === category)
+    .filter(record => {
+      if (words.length === 0) return true;
+      const nearRoutes = getRoutesNearPlaceRecord(record, routes);
+      const text = [
+        ...SEARCH_FIELDS.map(field => record[field] || ''),
+        getPlaceCategory(record.category).label,
+        ...nearRoutes.flatMap(route => [route.name, route.waypointName])
+      ].join(' ').toLowerCase();
+      return words.every(word => text.includes(word));
+    })
+    .sort((a, b) => a.placeName.localeCompare(b.placeName) || a.name.localeCompare(b.name));
+}
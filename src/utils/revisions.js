@@ -0,0 +1,146 @@
+/**
+ * Route revision history in IndexedDB
+ * Every saveRoute that changes the route's content snapshots it; rapid successive saves (auto-save) are
+ * coalesced into one revision, except across destructive changes and restores.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDB, isIndexedDBSupported, REVISIONS_STORE } from './indexedDB';
+import { diffRoutes } from './routeDiff';
+
+// Saves within this window of a revision's first snapshot update that revision instead of adding a new one
+const COALESCE_WINDOW_MS = 2 * 60 * 1000;
+
+// Oldest revisions beyond this count are pruned per route
+const MAX_REVISIONS_PER_ROUTE = 200;
+
+/**
+ * Route content stored in a revision (timestamps are kept on the revision itself)
+ * @param {Object} route
+ * @returns {Object}
+ */
+function snapshotOf(route) {
+  const content = JSON.parse(JSON.stringify(route));
+  delete content.createdAt;
+  delete content.updatedAt;
+  return content;
+}
+
+/**
+ * Get all revisions of a route, newest first
+ * @param {string} routeId
+ * @returns {Promise<Array<{id: string, routeId: string, createdAt: string, updatedAt: string, route: Object}>>}
+ */
+export async function getRevisions(routeId) {
+  if (!isIndexedDBSupported()) return [];
+
+  try {
+    const db = await getDB();
+    const revisions = await db.getAllFromIndex(REVISIONS_STORE, 'routeId', routeId);
+    return revisions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  } catch (error) {
+    console.error('Error loading revisions:', error);
+    return [];
+  }
+}
+
+/**
+ * JSON with object keys sorted, so two snapshots compare equal whatever their key order
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, v) => (v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+    : v));
+}
+
+/**
+ * Key range of a route's revisions on the `routeIdCreatedAt` index
+ * @param {string} routeId
+ * @returns {IDBKeyRange}
+ */
+function routeRevisionsRange(routeId) {
+  return IDBKeyRange.bound([routeId, ''], [routeId, '\uffff']);
+}
+
+/**
+ * Whether a change loses content: waypoints removed (deleted or replaced by a re-parse) or segments dropped
+ * @param {Object} older - Revision content
+ * @param {Object} newer - Revision content
+ * @returns {boolean}
+ */
+function isDestructiveChange(older, newer) {
+  return diffRoutes(older, newer).removed.length > 0 ||
+    (newer.waypoints || []).length < (older.waypoints || []).length ||
+    (newer.segments || []).length < (older.segments || []).length;
+}
+
+/**
+ * Record a revision for a saved route
+ * The latest revision is updated in place when it is recent and the change removes nothing, so a destructive
+ * edit (waypoints deleted, route re-parsed, segments reset) always keeps the prior state as its own revision.
+ * The route's first revision is never updated, and the oldest revisions beyond the limit are pruned.
+ * @param {Object} route - Saved route (with id and updatedAt)
+ * @param {Object} options
+ * @param {boolean} options.coalesce - Allow updating the latest revision (false: always add one, e.g. after a restore)
+ * @returns {Promise<void>}
+ */
+export async function recordRevision(route, { coalesce = true } = {}) {
+  if (!isIndexedDBSupported() || !route?.id) return;
+
+  const now = new Date().toISOString();
+  const snapshot = snapshotOf(route);
+  const db = await getDB();
+  const index = db.transaction(REVISIONS_STORE).store.index('routeIdCreatedAt');
+  const cursor = await index.openCursor(routeRevisionsRange(route.id), 'prev');
+  const latest = cursor?.value;
+  const hasPrevious = Boolean(latest && await cursor.continue());
+
+  if (latest && canonicalJson(latest.route) === canonicalJson(snapshot)) {
+    return; // Nothing changed since the last revision
+  }
+
+  const withinWindow = latest && Date.now() - new Date(latest.createdAt).getTime() < COALESCE_WINDOW_MS;
+  if (coalesce && hasPrevious && withinWindow && !isDestructiveChange(latest.route, snapshot)) {
+    await db.put(REVISIONS_STORE, { ...latest, updatedAt: now, route: snapshot });
+    return;
+  }
+
+  await db.put(REVISIONS_STORE, {
+    id: uuidv4(),
+    routeId: route.id,
+    createdAt: now,
+    updatedAt: now,
+    route: snapshot
+  });
+
+  // Prune oldest revisions beyond the limit
+  const tx = db.transaction(REVISIONS_STORE, 'readwrite');
+  const revisions = tx.store.index('routeIdCreatedAt');
+  let overflow = (await revisions.count(routeRevisionsRange(route.id))) - MAX_REVISIONS_PER_ROUTE;
+  let oldest = overflow > 0 ? await revisions.openCursor(routeRevisionsRange(route.id)) : null;
+  while (oldest && overflow > 0) {
+    await oldest.delete();
+    overflow--;
+    oldest = await oldest.continue();
+  }
+  await tx.done;
+}
+
+/**
+ * Delete all revisions of a route
+ * @param {string} routeId
+ * @returns {Promise<void>}
+ */
+export async function deleteRevisions(routeId) {
+  if (!isIndexedDBSupported()) return;
+
+  const db = await getDB();
+  const tx = db.transaction(REVISIONS_STORE, 'readwrite');
+  const keys = await tx.store.index('routeId').getAllKeys(routeId);
+  for (const key of keys) {
+    await tx.store.delete(key);
+  }
+  await tx.done;
+}
@@ -0,0 +1,171 @@
+/**
+ * Ride time estimates: riding hours per segment and per day from an adjustable speed model
+ * ORS durations assume a car on free-flowing roads and come out far too short on Himalayan roads, so
+ * hours are estimated from the segment itself: a base speed per road type (ORS `waytype` extra), slowed
+ * down on unpaved surfaces (ORS `surface` extra), at high altitude and on steep gradients (segment elevation).
+ * The model is an app setting, shared by all routes.
+ */
+
+import { getSetting, saveSetting } from './settings';
+import { haversineDistance } from './geoUtils';
+
+const SPEED_MODEL_KEY = 'speedModel';
+
+// Gradients are measured over at least this distance, so elevation noise on short polyline steps is ignored
+const GRADE_WINDOW_M = 200;
+
+export const ROAD_TYPES = {
+  highway: 'Highway / state road',
+  road: 'Road',
+  street: 'Street',
+  track: 'Track / path',
+  unknown: 'Unknown'
+};
+
+// ORS waytype codes: 1 State Road, 2 Road, 3 Street, 4 Path, 5 Track, 6 Cycleway, 7 Footway, 8 Steps, 10 Construction
+// (0 Unknown and 9 Ferry use the unknown speed)
+const WAYTYPE_ROAD_TYPES = { 1: 'highway', 2: 'road', 3: 'street', 4: 'track', 5: 'track', 6: 'street', 7: 'track', 8: 'track', 10: 'track' };
+
+// ORS surface codes for unpaved surfaces: Unpaved, Compacted/Fine Gravel, Gravel, Dirt, Ground, Ice, Sand, Woodchips, Grass, Grass Paver
+const UNPAVED_SURFACES = new Set([2, 8, 9, 10, 11, 12, 13, 15, 16, 17, 18]);
+
+export const DEFAULT_SPEED_MODEL = {
+  speeds: { highway: 45, road: 35, street: 25, track: 15, unknown: 30 }, // km/h per road type
+  unpavedSpeedPercent: 60,
+  highAltitudeM: 4000,
+  highAltitudeSpeedPercent: 85, // above highAltitudeM
+  steepGradePercent: 6,
+  steepSpeedPercent: 75, // up or down gradients steeper than steepGradePercent
+  maxDailyHours: 7 // days with more riding are flagged
+};
+
+/**
+ * Fill in defaults and drop invalid values (saved settings, form input)
+ * @param {Object|null|undefined} model
+ * @returns {Object} Complete speed model
+ */
+export function normalizeSpeedModel(model) {
+  const source = model && typeof model === 'object' ? model : {};
+  const positive = (value, fallback) => (typeof value === 'number' && value > 0 ? value : fallback);
+  const percent = (value, fallback) => Math.min(positive(value, fallback), 100);
+  return {
+    speeds: Object.fromEntries(Object.keys(ROAD_TYPES).map(type =>
+      [type, positive(source.speeds?.[type], DEFAULT_SPEED_MODEL.speeds[type])]
+    )),
+    unpavedSpeedPercent: percent(source.unpavedSpeedPercent, DEFAULT_SPEED_MODEL.unpavedSpeedPercent),
+    highAltitudeM: positive(source.highAltitudeM, DEFAULT_SPEED_MODEL.highAltitudeM),
+    highAltitudeSpeedPercent: percent(source.highAltitudeSpeedPercent, DEFAULT_SPEED_MODEL.highAltitudeSpeedPercent),
+    steepGradePercent: positive(source.steepGradePercent, DEFAULT_SPEED_MODEL.steepGradePercent),
+    steepSpeedPercent: percent(source.steepSpeedPercent, DEFAULT_SPEED_MODEL.steepSpeedPercent),
+    maxDailyHours: positive(source.maxDailyHours, DEFAULT_SPEED_MODEL.maxDailyHours)
+  };
+}
+
+/**
+ * Get the saved speed model (defaults for missing fields)
+ * @returns {Promise<Object>}
+ */
+export async function getSpeedModel() {
+  return normalizeSpeedModel(await getSetting(SPEED_MODEL_KEY, {}));
+}
+
+/**
+ * Save the speed model
+ * @param {Object} model
+ * @returns {Promise<void>}
+ */
+export async function saveSpeedModel(model) {
+  await saveSetting(SPEED_MODEL_KEY, normalizeSpeedModel(model));
+}
+
+/**
+ * Value of an ORS extra ([[fromIndex, toIndex, value]], ascending) for each polyline step
+ * @param {Array|undefined} ranges
+ * @param {number} stepCount
+ * @returns {Array<number|null>} Value for step i (from point i to i + 1), null where ORS gave none
+ */
+function valuesPerStep(ranges, stepCount) {
+  const values = new Array(stepCount).fill(null);
+  (ranges || []).forEach(([from, to, value]) => {
+    for (let i = Math.max(0, from); i < Math.min(to, stepCount); i++) values[i] = value;
+  });
+  return values;
+}
+
+/**
+ * Estimated riding time of a segment
+ * Segments calculated before road info was stored ride at the unknown road speed.
+ * @param {Object} segment - { polyline, elevation?, roadInfo?: { waytype, surface } }
+ * @param {Object} model - Speed model
+ * @returns {number|null} Hours, null without a polyline
+ */
+export function estimateSegmentHours(segment, model = DEFAULT_SPEED_MODEL) {
+  const polyline = segment?.polyline || [];
+  if (polyline.length < 2) return null;
+  const stepCount = polyline.length - 1;
+  const elevation = segment.elevation?.length === polyline.length ? segment.elevation : null;
+  const waytypes = valuesPerStep(segment.roadInfo?.waytype, stepCount);
+  const surfaces = valuesPerStep(segment.roadInfo?.surface, stepCount);
+
+  const cumulative = [0];
+  for (let i = 0; i < stepCount; i++) {
+    const [lat1, lng1] = polyline[i];
+    const [lat2, lng2] = polyline[i + 1];
+    cumulative.push(cumulative[i] + haversineDistance(lat1, lng1, lat2, lng2));
+  }
+
+  let hours = 0;
+  let windowEnd = 1;
+  for (let i = 0; i < stepCount; i++) {
+    const stepMeters = cumulative[i + 1] - cumulative[i];
+    if (stepMeters <= 0) continue;
+
+    let speed = model.speeds[WAYTYPE_ROAD_TYPES[waytypes[i]] || 'unknown'];
+    if (UNPAVED_SURFACES.has(surfaces[i])) speed *= model.unpavedSpeedPercent / 100;
+    if (elevation) {
+      if (Math.max(elevation[i], elevation[i + 1]) > model.highAltitudeM) {
+        speed *= model.highAltitudeSpeedPercent / 100;
+      }
+      windowEnd = Math.max(windowEnd, i + 1);
+      while (windowEnd < stepCount && cumulative[windowEnd] - cumulative[i] < GRADE_WINDOW_M) windowEnd++;
+      const gradePercent = Math.abs(elevation[windowEnd] - elevation[i]) / (cumulative[windowEnd] - cumulative[i]) * 100;
+      if (gradePercent > model.steepGradePercent) speed *= model.steepSpeedPercent / 100;
+    }
+    hours += stepMeters / 1000 / speed;
+  }
+  return hours;
+}
+
+/**
+ * Distance on unpaved surfaces (ORS `surface` extra)
+ * ORS driving profiles cannot avoid unpaved roads, so this is how routes and alternatives are compared on it.
+ * @param {Object} segment - { polyline, roadInfo?: { surface } }
+ * @returns {number|null} Meters, null without a polyline or surface info
+ */
+export function getUnpavedDistance(segment) {
+  const polyline = segment?.polyline || [];
+  if (polyline.length < 2 || !segment.roadInfo?.surface) return null;
+  const surfaces = valuesPerStep(segment.roadInfo.surface, polyline.length - 1);
+  return surfaces.reduce((meters, surface, i) => {
+    if (!UNPAVED_SURFACES.has(surface)) return meters;
+    const [lat1, lng1] = polyline[i];
+    const [lat2, lng2] = polyline[i + 1];
+    return meters + haversineDistance(lat1, lng1, lat2, lng2);
+  }, 0);
+}
+
+/**
+ * Estimated riding time per day
+ * @param {Array<number|null>} segmentHours - Hours per segment (estimateSegmentHours)
+ * @param {number[]} segmentDays
+ * @returns {Object<number, number>} { [day]: hours }
+ */
+export function getDayRideHours(segmentHours, segmentDays) {
+  const totals = {};
+  (segmentHours || []).forEach((hours, i) => {
+    const day = segmentDays?.[i];
+    if (!day || hours == null) return;
+    totals[day] = (totals[day] || 0) + hours;
+  });
+  return totals;
+}
@@ -0,0 +1,175 @@
+/**
+ * Routing result cache in IndexedDB
+ * Segment results from OpenRouteService are stored by rounded from/to (and via-point) coordinates, profile and
+ * routing options,
+ * so recalculating a route (or another route sharing a leg) does not call the API again.
+ * "No route" answers are cached too, which makes the findRoutableCoordinate probe loop cheap on repeat.
+ */
+
+import { getDB, isIndexedDBSupported, ROUTE_CACHE_STORE } from './indexedDB';
+
+// Part of every key: bump when the cached result changes shape, so older results are fetched again
+// (2: results carry roadInfo). Entries under older versions are never read and age out like stale ones.
+const ROUTE_CACHE_VERSION = 2;
+
+// 4 decimals ≈ 11 m: waypoints nudged by less than this reuse the cached segment
+const COORD_PRECISION = 4;
+
+// Cached results older than this are stale and fetched again (roads get built, passes open)
+const ROUTE_MAX_AGE_MS = 60 * 24 * 60 * 60 * 1000;
+const NO_ROUTE_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * Key range of the noRouteCreatedAt index: entries of one type, optionally only those created before a time
+ * @param {boolean} noRoute
+ * @param {number|null} before - Timestamp in ms (null: any age)
+ * @returns {IDBKeyRange}
+ */
+function cacheEntriesRange(noRoute, before = null) {
+  const type = noRoute ? 1 : 0;
+  return before === null
+    ? IDBKeyRange.bound([type, ''], [type, '\uffff'])
+    : IDBKeyRange.bound([type, ''], [type, new Date(before).toISOString()], false, true);
+}
+
+/**
+ * Key ranges of the entries past their maximum age
+ * @param {number} now - Timestamp in ms
+ * @returns {IDBKeyRange[]}
+ */
+function staleEntriesRanges(now = Date.now()) {
+  return [
+    cacheEntriesRange(false, now - ROUTE_MAX_AGE_MS),
+    cacheEntriesRange(true, now - NO_ROUTE_MAX_AGE_MS)
+  ];
+}
+
+/**
+ * Cache key for a segment
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @param {string} profile
+ * @param {Array<{lat: number, lng: number}>} via - Shaping points between from and to
+ * @param {Object} parameters - Extra ORS request parameters (preference, avoid options)
+ * @returns {string}
+ */
+export function getRouteCacheKey(from, to, profile, via = [], parameters = {}) {
+  const point = (p) => `${p.lat.toFixed(COORD_PRECISION)},${p.lng.toFixed(COORD_PRECISION)}`;
+  let key = `v${ROUTE_CACHE_VERSION}|${profile}|${point(from)}|${point(to)}`;
+  if (via.length > 0) key += `|via:${via.map(point).join(';')}`;
+  if (Object.keys(parameters).length > 0) key += `|${JSON.stringify(parameters)}`;
+  return key;
+}
+
+/**
+ * Check if a cache entry is too old to use
+ * @param {Object} entry
+ * @param {number} now - Timestamp in ms
+ * @returns {boolean}
+ */
+function isStale(entry, now = Date.now()) {
+  const maxAge = entry.noRoute ? NO_ROUTE_MAX_AGE_MS : ROUTE_MAX_AGE_MS;
+  return now - new Date(entry.createdAt).getTime() > maxAge;
+}
+
+/**
+ * Get a cached segment result
+ * Lookup failures return null so routing falls back to the API.
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @param {string} profile
+ * @param {Array<{lat: number, lng: number}>} via - Shaping points between from and to
+ * @param {Object} parameters - Extra ORS request parameters (preference, avoid options)
+ * @returns {Promise<{polyline: Array, distance: number, duration: number|null, elevation: number[]|null, roadInfo: Object|null}|{noRoute: true, message: string}|null>}
+ */
+export async function getCachedRoute(from, to, profile, via = [], parameters = {}) {
+  if (!isIndexedDBSupported()) return null;
+
+  try {
+    const db = await getDB();
+    const entry = await db.get(ROUTE_CACHE_STORE, getRouteCacheKey(from, to, profile, via, parameters));
+    if (!entry || isStale(entry)) return null;
+    return entry.result;
+  } catch (error) {
+    console.error('Error reading routing cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a segment result (or a "no route" answer)
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @param {string} profile
+ * @param {{polyline: Array, distance: number, duration: number|null, elevation: number[]|null, roadInfo: Object|null}|{noRoute: true, message: string}} result
+ * @param {Array<{lat: number, lng: number}>} via - Shaping points between from and to
+ * @param {Object} parameters - Extra ORS request parameters (preference, avoid options)
+ * @returns {Promise<void>}
+ */
+export async function cacheRoute(from, to, profile, result, via = [], parameters = {}) {
+  if (!isIndexedDBSupported()) return;
+
+  try {
+    const db = await getDB();
+    await db.put(ROUTE_CACHE_STORE, {
+      key: getRouteCacheKey(from, to, profile, via, parameters),
+      profile,
+      // A number so the entry can be indexed (booleans are not valid IndexedDB keys)
+      noRoute: result.noRoute ? 1 : 0,
+      result,
+      createdAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error writing routing cache:', error);
+  }
+}
+
+/**
+ * Count cached entries
+ * @returns {Promise<{total: number, stale: number, noRoute: number}>}
+ */
+export async function getRouteCacheStats() {
+  if (!isIndexedDBSupported()) return { total: 0, stale: 0, noRoute: 0 };
+
+  const db = await getDB();
+  const tx = db.transaction(ROUTE_CACHE_STORE);
+  const index = tx.store.index('noRouteCreatedAt');
+  const [total, noRoute, ...staleCounts] = await Promise.all([
+    tx.store.count(),
+    index.count(cacheEntriesRange(true)),
+    ...staleEntriesRanges().map(range => index.count(range))
+  ]);
+  await tx.done;
+  return { total, stale: staleCounts.reduce((sum, count) => sum + count, 0), noRoute };
+}
+
+/**
+ * Remove cached entries
+ * @param {Object} options
+ * @param {boolean} options.staleOnly - Only remove entries past their maximum age (default: remove all)
+ * @returns {Promise<number>} Number of removed entries
+ */
+export async function clearRouteCache({ staleOnly = false } = {}) {
+  if (!isIndexedDBSupported()) return 0;
+
+  const db = await getDB();
+  if (!staleOnly) {
+    const count = await db.count(ROUTE_CACHE_STORE);
+    await db.clear(ROUTE_CACHE_STORE);
+    return count;
+  }
+
+  const tx = db.transaction(ROUTE_CACHE_STORE, 'readwrite');
+  const index = tx.store.index('noRouteCreatedAt');
+  let removed = 0;
+  for (const range of staleEntriesRanges()) {
+    let cursor = await index.openKeyCursor(range);
+    while (cursor) {
+      await tx.store.delete(cursor.primaryKey);
+      removed++;
+      cursor = await cursor.continue();
+    }
+  }
+  await tx.done;
+  return removed;
+}
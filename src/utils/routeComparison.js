@@ -0,0 +1,74 @@
+/**
+ * Helpers for comparing several saved routes: totals and shared/unique waypoints
+ */
+
+import { haversineDistance } from './geoUtils';
+import { getMaxDay, getShortPlaceName } from './calendarHelpers';
+
+// Waypoints of different routes closer than this are considered the same place
+const SAME_PLACE_RADIUS_M = 3000;
+
+/**
+ * Check if a waypoint has usable coordinates
+ * @param {Object} wp
+ * @returns {boolean}
+ */
+function isGeocoded(wp) {
+  return wp && typeof wp.lat === 'number' && typeof wp.lng === 'number' && wp.lat !== 0 && wp.lng !== 0;
+}
+
+/**
+ * Check if two waypoints refer to the same place (same short name or within SAME_PLACE_RADIUS_M)
+ * @param {Object} a - Waypoint
+ * @param {Object} b - Waypoint
+ * @returns {boolean}
+ */
+export function isSamePlace(a, b) {
+  const nameA = getShortPlaceName(a.name).toLowerCase();
+  const nameB = getShortPlaceName(b.name).toLowerCase();
+  if (nameA !== '?' && nameA === nameB) return true;
+  if (isGeocoded(a) && isGeocoded(b)) {
+    return haversineDistance(a.lat, a.lng, b.lat, b.lng) <= SAME_PLACE_RADIUS_M;
+  }
+  return false;
+}
+
+/**
+ * Total distance of a route in meters (sum of segment distances)
+ * @param {Object} route
+ * @returns {number}
+ */
+export function getRouteDistance(route) {
+  return (route.segments || []).reduce((sum, segment) => sum + (segment.distance || 0), 0);
+}
+
+/**
+ * Build comparison rows for a set of routes
+ * A waypoint is "shared" when it matches a waypoint of at least one other compared route.
+ * @param {Array} routes - Route objects
+ * @returns {Array<{routeId: string, name: string, distance: number, days: number, waypointCount: number, shared: string[], unique: string[]}>}
+ */
+export function compareRoutes(routes) {
+  return routes.map(route => {
+    const waypoints = route.waypoints || [];
+    const others = routes.filter(r => r.id !== route.id).flatMap(r => r.waypoints || []);
+    const shared = [];
+    const unique = [];
+
+    waypoints.forEach(wp => {
+      const label = getShortPlaceName(wp.name);
+      const target = others.some(other => isSamePlace(wp, other)) ? shared : unique;
+      if (!target.includes(label)) target.push(label);
+    });
+
+    return {
+      routeId: route.id,
+      name: route.name,
+      distance: getRouteDistance(route),
+      days: getMaxDay(route.segmentDays),
+      waypointCount: waypoints.length,
+      shared,
+      unique
+    };
+  });
+}
@@ -0,0 +1,143 @@
+/**
+ * Compare two versions of a route and describe what changed
+ * Used by the revision history panel.
+ */
+
+import { haversineDistance } from './geoUtils';
+import { getShortPlaceName } from './calendarHelpers';
+
+// Coordinate changes smaller than this are not reported as a move
+const MOVE_THRESHOLD_M = 100;
+
+/**
+ * Stable key for matching a waypoint across versions (id, falling back to name)
+ * @param {Object} wp
+ * @returns {string}
+ */
+function waypointKey(wp) {
+  return wp.id || `name:${wp.name}`;
+}
+
+/**
+ * Check if two versions of the same waypoint are at different positions
+ * @param {Object} a - Older waypoint
+ * @param {Object} b - Newer waypoint
+ * @returns {boolean}
+ */
+function hasMoved(a, b) {
+  const aGeocoded = a.lat !== 0 || a.lng !== 0;
+  const bGeocoded = b.lat !== 0 || b.lng !== 0;
+  if (aGeocoded !== bGeocoded) return true;
+  if (!aGeocoded) return false;
+  return haversineDistance(a.lat, a.lng, b.lat, b.lng) > MOVE_THRESHOLD_M;
+}
+
+/**
+ * Compute the differences between two route versions
+ * @param {Object|null} older - Older route (null for the first revision)
+ * @param {Object} newer - Newer route
+ * @returns {{
+ *   nameChanged: boolean,
+ *   itineraryChanged: boolean,
+ *   tripStartDateChanged: boolean,
+ *   added: string[],
+ *   removed: string[],
+ *   moved: string[],
+ *   renamed: Array<{from: string, to: string}>,
+ *   reordered: boolean,
+ *   segmentsChanged: boolean,
+ *   daysChanged: Array<{segmentIndex: number, from: number|null, to: number|null}>,
+ *   notesChanged: Array<{day: string, from: string|null, to: string|null}>
+ * }}
+ */
+export function diffRoutes(older, newer) {
+  const before = older || {};
+  const oldWaypoints = before.waypoints || [];
+  const newWaypoints = newer.waypoints || [];
+  const oldByKey = new Map(oldWaypoints.map(wp => [waypointKey(wp), wp]));
+  const newByKey = new Map(newWaypoints.map(wp => [waypointKey(wp), wp]));
+
+  const added = newWaypoints.filter(wp => !oldByKey.has(waypointKey(wp))).map(wp => getShortPlaceName(wp.name));
+  const removed = oldWaypoints.filter(wp => !newByKey.has(waypointKey(wp))).map(wp => getShortPlaceName(wp.name));
+
+  const moved = [];
+  const renamed = [];
+  newWaypoints.forEach(wp => {
+    const prev = oldByKey.get(waypointKey(wp));
+    if (!prev) return;
+    if (hasMoved(prev, wp)) moved.push(getShortPlaceName(wp.name));
+    if (prev.name !== wp.name) {
+      renamed.push({ from: getShortPlaceName(prev.name), to: getShortPlaceName(wp.name) });
+    }
+  });
+
+  // Reordered: waypoints present in both versions appear in a different sequence
+  const commonOld = oldWaypoints.map(waypointKey).filter(key => newByKey.has(key));
+  const commonNew = newWaypoints.map(waypointKey).filter(key => oldByKey.has(key));
+  const reordered = commonOld.some((key, i) => key !== commonNew[i]);
+
+  const oldSegments = before.segments || [];
+  const newSegments = newer.segments || [];
+  const segmentsChanged = oldSegments.length !== newSegments.length ||
+    oldSegments.some((seg, i) =>
+      seg.fromWaypointId !== newSegments[i].fromWaypointId ||
+      seg.toWaypointId !== newSegments[i].toWaypointId ||
+      Math.round(seg.distance || 0) !== Math.round(newSegments[i].distance || 0)
+    );
+
+  const oldDays = before.segmentDays || [];
+  const newDays = newer.segmentDays || [];
+  const daysChanged = [];
+  for (let i = 0; i < Math.max(oldDays.length, newDays.length); i++) {
+    if (oldDays[i] !== newDays[i]) {
+      daysChanged.push({ segmentIndex: i, from: oldDays[i] ?? null, to: newDays[i] ?? null });
+    }
+  }
+
+  const oldNotes = before.dayNotes || {};
+  const newNotes = newer.dayNotes || {};
+  const noteKeys = [...new Set([...Object.keys(oldNotes), ...Object.keys(newNotes)])]
+    .sort((a, b) => Number(a) - Number(b));
+  const notesChanged = noteKeys
+    .filter(day => (oldNotes[day] ?? null) !== (newNotes[day] ?? null))
+    .map(day => ({ day, from: oldNotes[day] ?? null, to: newNotes[day] ?? null }));
+
+  return {
+    nameChanged: (before.name || '') !== (newer.name || ''),
+    itineraryChanged: (before.itineraryText || '') !== (newer.itineraryText || ''),
+    tripStartDateChanged: (before.tripStartDate ?? null) !== (newer.tripStartDate ?? null),
+    added,
+    removed,
+    moved,
+    renamed,
+    reordered,
+    segmentsChanged,
+    daysChanged,
+    notesChanged
+  };
+}
+
+/**
+ * Human-readable one-line descriptions of a diff
+ * @param {ReturnType<typeof diffRoutes>} diff
+ * @returns {string[]} Empty if nothing changed
+ */
+export function summarizeDiff(diff) {
+  const lines = [];
+  if (diff.nameChanged) lines.push('Route renamed');
+  if (diff.itineraryChanged) lines.push('Itinerary text edited');
+  if (diff.added.length > 0) lines.push(`Added: ${diff.added.join(', ')}`);
+  if (diff.removed.length > 0) lines.push(`Removed: ${diff.removed.join(', ')}`);
+  if (diff.moved.length > 0) lines.push(`Moved: ${diff.moved.join(', ')}`);
+  if (diff.renamed.length > 0) lines.push(`Renamed: ${diff.renamed.map(r => `${r.from} → ${r.to}`).join(', ')}`);
+  if (diff.reordered) lines.push('Waypoints reordered');
+  if (diff.segmentsChanged) lines.push('Route segments recalculated');
+  if (diff.daysChanged.length > 0) {
+    lines.push(`Days changed for ${diff.daysChanged.length} segment${diff.daysChanged.length !== 1 ? 's' : ''}`);
+  }
+  if (diff.tripStartDateChanged) lines.push('Trip start date changed');
+  if (diff.notesChanged.length > 0) {
+    lines.push(`Notes edited: ${diff.notesChanged.map(n => `Day ${n.day}`).join(', ')}`);
+  }
+  return lines;
+}
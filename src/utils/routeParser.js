@@ -1,7 +1,13 @@
 /**
- * Simple text parser to extract location names from itinerary text
+ * Rule-based itinerary parsing (no network, no API key)
+ * parseItinerary understands day headers, "A to B" / "A – B" chains, "via" lists, distances, times
+ * and overnight markers, and returns the same structure as the LLM extraction (llmService.js),
+ * so it can stand in for it when the LLM is unavailable.
  */
 
+import { findSourceSpans } from './sourceSpans';
+import { normalizePlaceName } from './gazetteer';
+
 /**
  * Extract potential location names from text
  * Looks for capitalized words, common location patterns, and place names
@@ -70,3 +76,300 @@ function isCommonWord(word) {
 }
 
 
+
+// "Day 3:", "Day 03 -", "D3)" at the start of a line
+const DAY_HEADER_PATTERN = /^[ \t]*(?:day|d)[ \t]*(\d{1,3})\b[ \t]*[:.)\-–—]?/gim;
+
+// "230 km", "200-250 kms", "6 to 7 hrs" (ranges become their midpoint)
+const DISTANCE_PATTERN = /(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(?:km|kms|kilomet(?:er|re)s?)\b/i;
+const HOURS_PATTERN = /(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(?:h|hr|hrs|hours?)\b/i;
+
+// Separators between consecutive places in a day title
+const CHAIN_SEPARATOR_PATTERN = /\s*(?:->|→|–|—|>)\s*|\s+-\s+|(?<=\p{L})-(?=\p{Lu})|\s+to\s+/iu;
+
+// "overnight at X", "Overnight: X", "night halt in X", "stay at X", "camp at X"
+const OVERNIGHT_PATTERN = /\b(?:overnight|night halt|night stay|stay|camp)\b\s*(?:[:\-–]\s*)?(?:at|in)?\s*([^.;,\n]+)/gi;
+
+// Capitalized words that start or describe a day rather than name a place
+const NON_PLACE_WORDS = new Set([
+  'day', 'days', 'night', 'nights', 'stop', 'route', 'tour', 'trip', 'journey', 'distance', 'km', 'kms',
+  'hotel', 'lodge', 'camp', 'camps', 'tent', 'tents', 'breakfast', 'lunch', 'dinner', 'morning', 'afternoon', 'evening',
+  'today', 'tomorrow', 'the', 'this', 'that', 'and', 'or', 'but', 'a', 'an', 'from', 'to', 'via', 'in', 'at',
+  'start', 'end', 'begin', 'finish', 'continue', 'visit', 'explore', 'rest', 'free', 'arrive', 'arrival',
+  'depart', 'departure', 'drive', 'ride', 'leave', 'transfer', 'return', 'local', 'sightseeing', 'overnight',
+  'stay', 'acclimatization', 'acclimatisation', 'approx', 'approximately', 'about', 'optional'
+]);
+
+// Suffixes that make a "via" place a highlight rather than a waypoint (same split as the LLM prompt)
+const HIGHLIGHT_SUFFIXES = [
+  { pattern: /\b(?:pass|la|top)$/i, type: 'pass' },
+  { pattern: /\b(?:lake|tso|tal)$/i, type: 'lake' },
+  { pattern: /\b(?:monastery|gompa)$/i, type: 'monastery' },
+  { pattern: /\b(?:viewpoint|view point)$/i, type: 'viewpoint' }
+];
+
+/**
+ * Parse a number or range ("6-7") match into a number (midpoint for ranges)
+ * @param {RegExpMatchArray|null} match
+ * @returns {number|null}
+ */
+function matchToNumber(match) {
+  if (!match) return null;
+  const low = parseFloat(match[1]);
+  const high = match[2] ? parseFloat(match[2]) : low;
+  const value = (low + high) / 2;
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Title-case a name written all in lowercase ("tso moriri" → "Tso Moriri")
+ * @param {string} name
+ * @returns {string}
+ */
+function capitalizeName(name) {
+  return name === name.toLowerCase()
+    ? name.replace(/(^|[\s-])(\p{L})/gu, (_, sep, letter) => sep + letter.toUpperCase())
+    : name;
+}
+
+/**
+ * Build matchers for known place names (gazetteer names and aliases), longest first
+ * @param {string[]} knownPlaceNames
+ * @returns {RegExp[]}
+ */
+function buildKnownPlaceMatchers(knownPlaceNames) {
+  const names = [...new Set(knownPlaceNames.map(normalizePlaceName))]
+    .filter(name => name.length > 2 && name.split(' ').length <= 4)
+    .sort((a, b) => b.length - a.length);
+  // Normalized names contain only letters, digits and single spaces, so they need no escaping
+  return names.map(name => new RegExp(`(?<![\\p{L}\\p{N}])${name.split(' ').join('[\\s\\-]+')}(?![\\p{L}\\p{N}])`, 'giu'));
+}
+
+/**
+ * Find known place names in text, in order of appearance (overlapping matches keep the longest)
+ * @param {string} text
+ * @param {RegExp[]} matchers
+ * @returns {string[]} Names as written in the text
+ */
+function findKnownPlaces(text, matchers) {
+  const found = [];
+  matchers.forEach(matcher => {
+    for (const match of text.matchAll(matcher)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!found.some(f => start < f.end && end > f.start)) {
+        found.push({ name: capitalizeName(match[0]), start, end });
+      }
+    }
+  });
+  return found.sort((a, b) => a.start - b.start).map(f => f.name);
+}
+
+/**
+ * Pull a place name out of a fragment such as "from Manali", "Sarchu, overnight in tents" or "scenic Leh town"
+ * The first run of capitalized words that are not day vocabulary is the name; otherwise a known place is used.
+ * @param {string} fragment
+ * @param {RegExp[]} knownMatchers
+ * @returns {string|null}
+ */
+function cleanPlaceName(fragment, knownMatchers) {
+  const tokens = fragment.trim().split(/\s+/);
+  const words = [];
+  for (const token of tokens) {
+    const word = token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}'’]+$/gu, '');
+    const isPlaceWord = /^\p{Lu}/u.test(word) && !NON_PLACE_WORDS.has(word.toLowerCase());
+    if (isPlaceWord) {
+      words.push(word);
+    } else if (words.length > 0) {
+      break;
+    }
+    // A comma or other punctuation after a name word ends the name ("Sarchu, overnight...")
+    if (words.length > 0 && word !== token.replace(/^[^\p{L}\p{N}]+/u, '')) break;
+  }
+  if (words.length > 0) return words.join(' ');
+  return findKnownPlaces(fragment, knownMatchers)[0] || null;
+}
+
+/**
+ * Highlight type for a "via" place that is a pass, lake, monastery or viewpoint (null for an ordinary place)
+ * @param {string} name
+ * @returns {string|null}
+ */
+function getViaHighlightType(name) {
+  return HIGHLIGHT_SUFFIXES.find(({ pattern }) => pattern.test(name))?.type || null;
+}
+
+/**
+ * Split itinerary text into blocks: one per day header, or one per line if there are no day headers
+ * @param {string} text
+ * @returns {Array<{day: number|null, title: string, body: string}>}
+ */
+function splitIntoBlocks(text) {
+  const headers = [...text.matchAll(DAY_HEADER_PATTERN)];
+  if (headers.length === 0) {
+    return text.split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => ({ day: null, title: line, body: '' }));
+  }
+
+  // Text before the first day header is an introduction and is ignored
+  return headers.map((header, index) => {
+    const start = header.index + header[0].length;
+    const end = index + 1 < headers.length ? headers[index + 1].index : text.length;
+    const lines = text.slice(start, end).split('\n').map(line => line.trim());
+    const titleIndex = lines.findIndex(Boolean);
+    return {
+      day: parseInt(header[1], 10),
+      title: titleIndex === -1 ? '' : lines[titleIndex],
+      body: titleIndex === -1 ? '' : lines.slice(titleIndex + 1).join('\n')
+    };
+  });
+}
+
+/**
+ * First sentence of a day title without parentheticals (distances, altitudes, notes)
+ * @param {string} title
+ * @returns {string}
+ */
+function getTitleClause(title) {
+  return title
+    .replace(/\([^)]*\)/g, ' ')
+    .split(/[.;!?](?:\s|$)/)[0];
+}
+
+/**
+ * Parse one block into its places, in route order
+ * @param {{day: number|null, title: string, body: string}} block
+ * @param {RegExp[]} knownMatchers
+ * @returns {{places: string[], vias: Array<{name: string, type: string}>, overnightPlace: string|null}}
+ */
+function parseBlock(block, knownMatchers) {
+  const title = getTitleClause(block.title);
+
+  const [main, ...viaParts] = title.split(/\bvia\b/i);
+  const chainParts = main.split(CHAIN_SEPARATOR_PATTERN);
+  let places = chainParts.map(part => cleanPlaceName(part, knownMatchers)).filter(Boolean);
+
+  // "via X, Y and Z" goes between the last two places; passes, lakes... become highlights
+  const bodyVias = [...block.body.matchAll(/\bvia\s+([^.;\n]+)/gi)].map(m => m[1]);
+  const vias = [...viaParts, ...bodyVias]
+    .flatMap(part => part.split(/,|\band\b|&/))
+    .map(part => cleanPlaceName(part, knownMatchers))
+    .filter(Boolean)
+    .map(name => ({ name, type: getViaHighlightType(name) }));
+  const viaWaypoints = vias.filter(via => !via.type).map(via => via.name);
+  if (viaWaypoints.length > 0) {
+    places = places.length > 1
+      ? [...places.slice(0, -1), ...viaWaypoints, places[places.length - 1]]
+      : [...places, ...viaWaypoints];
+  }
+
+  const overnightMatch = [...`${block.title}\n${block.body}`.matchAll(OVERNIGHT_PATTERN)]
+    .map(m => cleanPlaceName(m[1], knownMatchers))
+    .find(Boolean);
+
+  // Nothing recognizable in the title: fall back to known place names anywhere in the block
+  if (places.length === 0 && !overnightMatch) {
+    places = findKnownPlaces(`${block.title}\n${block.body}`, knownMatchers);
+  }
+
+  return {
+    places,
+    vias: vias.filter(via => via.type),
+    overnightPlace: overnightMatch || null
+  };
+}
+
+/**
+ * Parse an itinerary without an LLM
+ * Understands "Day N: A to B", "A – B (230 km)", "via X", overnight markers ("overnight in", "stay at",
+ * "camp at", the last place of a day) and place names already known from the gazetteer.
+ * @param {string} itineraryText
+ * @param {Object} options
+ * @param {string[]} options.knownPlaceNames - Gazetteer names and aliases, recognized anywhere in the text
+ * @returns {{
+ *   waypoints: Array<{name: string, sequence: number, context: null, day: number|null, overnight: boolean, source: Object|null}>,
+ *   days: Array<{day: number, distanceKm: number|null, hours: number|null, summary: string|null}>,
+ *   highlights: Array<{name: string, type: string, day: number|null, context: null}>
+ * }} Same structure as extractWaypointsFromText
+ */
+export function parseItinerary(itineraryText, { knownPlaceNames = [] } = {}) {
+  if (!itineraryText || !itineraryText.trim()) {
+    throw new Error('Itinerary text is required');
+  }
+
+  const knownMatchers = buildKnownPlaceMatchers(knownPlaceNames);
+  const blocks = splitIntoBlocks(itineraryText);
+  const waypoints = [];
+  const highlights = [];
+  const days = [];
+
+  blocks.forEach(block => {
+    const blockText = `${block.title}\n${block.body}`;
+    const { places, vias, overnightPlace } = parseBlock(block, knownMatchers);
+
+    const blockWaypoints = places.map(name => ({ name, day: block.day, overnight: false }));
+    if (overnightPlace) {
+      const key = normalizePlaceName(overnightPlace);
+      const existing = blockWaypoints.find(wp => normalizePlaceName(wp.name) === key);
+      if (existing) {
+        existing.overnight = true;
+      } else {
+        blockWaypoints.push({ name: overnightPlace, day: block.day, overnight: true });
+      }
+    } else if (block.day !== null && blockWaypoints.length > 0) {
+      // The last place of an itinerary day is where the night is spent
+      blockWaypoints[blockWaypoints.length - 1].overnight = true;
+    }
+
+    // A day usually starts where the previous one ended: keep a single waypoint
+    blockWaypoints.forEach(wp => {
+      const previous = waypoints[waypoints.length - 1];
+      if (previous && normalizePlaceName(previous.name) === normalizePlaceName(wp.name)) {
+        previous.overnight = previous.overnight || wp.overnight;
+      } else {
+        waypoints.push(wp);
+      }
+    });
+
+    vias.forEach(via => {
+      if (!highlights.some(h => normalizePlaceName(h.name) === normalizePlaceName(via.name))) {
+        highlights.push({ name: via.name, type: via.type, day: block.day, context: null });
+      }
+    });
+
+    if (block.day !== null && !days.some(d => d.day === block.day)) {
+      const summary = getTitleClause(block.title)
+        .replace(new RegExp(DISTANCE_PATTERN.source, 'gi'), ' ')
+        .replace(new RegExp(HOURS_PATTERN.source, 'gi'), ' ')
+        .replace(/\s+/g, ' ')
+        .replace(/(?:\s*,)+/g, ',')
+        .replace(/[\s,;:–—-]+$/, '')
+        .trim()
+        .split(' ')
+        .slice(0, 10)
+        .join(' ');
+      days.push({
+        day: block.day,
+        distanceKm: matchToNumber(blockText.match(DISTANCE_PATTERN)),
+        hours: matchToNumber(blockText.match(HOURS_PATTERN)),
+        summary: summary || null
+      });
+    }
+  });
+
+  const sourceSpans = findSourceSpans(itineraryText, waypoints);
+  return {
+    waypoints: waypoints.map((wp, index) => ({
+      name: wp.name,
+      sequence: index + 1,
+      context: null,
+      day: wp.day,
+      overnight: wp.overnight,
+      source: sourceSpans[index]
+    })),
+    days: days.sort((a, b) => a.day - b.day),
+    highlights
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Routing options: road preference and things to avoid, sent to OpenRouteService with every segment
+ * Stored per route (`routingOptions`) and optionally overridden per segment (`segment.routingOptions`, which
+ * replaces the route's preference, avoid features and borders; avoided areas always come from the route).
+ * Shape: `{ preference, avoidFeatures: string[], avoidBorders, avoidCountries: string[], avoidPolygons: Array<Array<[lat, lng]>> }`
+ */
+
+export const ROUTING_PREFERENCES = {
+  recommended: 'Recommended',
+  fastest: 'Fastest',
+  shortest: 'Shortest'
+};
+
+// ORS avoid_features available for the driving profiles (there is none for unpaved roads: alternatives show
+// their unpaved distance instead, see getUnpavedDistance in rideTime.js)
+export const AVOID_FEATURES = {
+  highways: 'Highways',
+  tollways: 'Tollways',
+  ferries: 'Ferries'
+};
+
+export const AVOID_BORDERS = {
+  none: 'Border crossings allowed',
+  controlled: 'No controlled border crossings',
+  all: 'No border crossings'
+};
+
+export const DEFAULT_ROUTING_OPTIONS = {
+  preference: 'recommended',
+  avoidFeatures: [],
+  avoidBorders: 'none',
+  avoidCountries: [], // ISO 3166-1 codes, e.g. ['CN', 'PK']
+  avoidPolygons: [] // rings of [lat, lng], not closed
+};
+
+/**
+ * Fill in defaults and drop unknown values (stored routes, imported files)
+ * @param {Object|null|undefined} options
+ * @returns {Object} Complete routing options
+ */
+export function normalizeRoutingOptions(options) {
+  const source = options && typeof options === 'object' ? options : {};
+  return {
+    preference: ROUTING_PREFERENCES[source.preference] ? source.preference : DEFAULT_ROUTING_OPTIONS.preference,
+    avoidFeatures: (Array.isArray(source.avoidFeatures) ? source.avoidFeatures : []).filter(f => AVOID_FEATURES[f]),
+    avoidBorders: AVOID_BORDERS[source.avoidBorders] ? source.avoidBorders : DEFAULT_ROUTING_OPTIONS.avoidBorders,
+    avoidCountries: (Array.isArray(source.avoidCountries) ? source.avoidCountries : [])
+      .map(code => String(code).trim().toUpperCase())
+      .filter(code => /^[A-Z]{2,3}$/.test(code)),
+    avoidPolygons: (Array.isArray(source.avoidPolygons) ? source.avoidPolygons : [])
+      .filter(ring => Array.isArray(ring) && ring.length >= 3)
+  };
+}
+
+/**
+ * Options for one segment: the segment's override (if any) on top of the route's options
+ * @param {Object} routeOptions - Route routing options
+ * @param {Object|null} segmentOptions - Segment override {preference, avoidFeatures, avoidBorders, avoidCountries}
+ * @returns {Object} Complete routing options
+ */
+export function resolveSegmentRoutingOptions(routeOptions, segmentOptions) {
+  const route = normalizeRoutingOptions(routeOptions);
+  if (!segmentOptions) return route;
+  const segment = normalizeRoutingOptions(segmentOptions);
+  return {
+    preference: segment.preference,
+    avoidFeatures: segment.avoidFeatures,
+    avoidBorders: segment.avoidBorders,
+    avoidCountries: segment.avoidCountries,
+    avoidPolygons: route.avoidPolygons
+  };
+}
+
+/**
+ * ORS request parameters for routing options
+ * Defaults are left out, so plain routes send the same request (and use the same cache entries) as before.
+ * @param {Object|null} options - Routing options
+ * @returns {{preference?: string, options?: Object}} Properties to merge into the directions request body
+ */
+export function toOrsParameters(options) {
+  if (!options) return {};
+  const { preference, avoidFeatures, avoidBorders, avoidCountries, avoidPolygons } = normalizeRoutingOptions(options);
+  const orsOptions = {};
+  if (avoidFeatures.length > 0) orsOptions.avoid_features = [...avoidFeatures].sort();
+  if (avoidBorders !== 'none') orsOptions.avoid_borders = avoidBorders;
+  if (avoidCountries.length > 0) orsOptions.avoid_countries = avoidCountries;
+  if (avoidPolygons.length > 0) {
+    // GeoJSON rings are [lng, lat] and closed
+    orsOptions.avoid_polygons = {
+      type: 'MultiPolygon',
+      coordinates: avoidPolygons.map(ring => [[...ring, ring[0]].map(([lat, lng]) => [lng, lat])])
+    };
+  }
+  return {
+    ...(preference !== DEFAULT_ROUTING_OPTIONS.preference ? { preference } : {}),
+    ...(Object.keys(orsOptions).length > 0 ? { options: orsOptions } : {})
+  };
+}
+
+/**
+ * Short description of routing options, e.g. "Shortest • avoid tollways, ferries • 2 avoided areas"
+ * @param {Object} options
+ * @returns {string} Empty for the defaults
+ */
+export function describeRoutingOptions(options) {
+  const { preference, avoidFeatures, avoidBorders, avoidCountries, avoidPolygons } = normalizeRoutingOptions(options);
+  const avoided = [
+    ...avoidFeatures.map(f => AVOID_FEATURES[f].toLowerCase()),
+    ...(avoidBorders !== 'none' ? [avoidBorders === 'all' ? 'borders' : 'controlled borders'] : []),
+    ...avoidCountries
+  ];
+  return [
+    preference !== DEFAULT_ROUTING_OPTIONS.preference ? ROUTING_PREFERENCES[preference] : null,
+    avoided.length > 0 ? `avoid ${avoided.join(', ')}` : null,
+    avoidPolygons.length > 0 ? `${avoidPolygons.length} avoided area${avoidPolygons.length !== 1 ? 's' : ''}` : null
+  ].filter(Boolean).join(' • ');
+}
+
+/**
+ * Routing inputs per segment, by its waypoints, for recalculating the route (calculateRouteSegments)
+ * Via-points and option overrides are kept on the segments, so they carry over to the recalculated ones.
+ * @param {Array} segments - Current segments
+ * @param {Object} routeOptions - Route routing options
+ * @returns {Function} (fromWaypointId, toWaypointId) => { viaPoints, segmentOptions, options }
+ */
+export function getSegmentRoutingLookup(segments, routeOptions) {
+  return (fromWaypointId, toWaypointId) => {
+    const segment = segments.find(s => s.fromWaypointId === fromWaypointId && s.toWaypointId === toWaypointId);
+    return {
+      viaPoints: segment?.viaPoints || [],
+      segmentOptions: segment?.routingOptions || null,
+      options: resolveSegmentRoutingOptions(routeOptions, segment?.routingOptions)
+    };
+  };
+}
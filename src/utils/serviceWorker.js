@@ -0,0 +1,17 @@
+/**
+ * Service worker registration (app shell and offline map tiles, see public/sw.js)
+ */
+
+/**
+ * Register the service worker in production builds
+ * In development it would cache Vite's module requests, so it is skipped.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+}
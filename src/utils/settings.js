@@ -0,0 +1,40 @@
+/**
+ * App settings in IndexedDB (one record per key, shared by all routes)
+ */
+
+import { getDB, isIndexedDBSupported, SETTINGS_STORE } from './indexedDB';
+
+/**
+ * Read a setting
+ * Read failures return the default so the app keeps working with built-in configuration.
+ * @param {string} key
+ * @param {*} defaultValue - Returned when the setting was never saved
+ * @returns {Promise<*>}
+ */
+export async function getSetting(key, defaultValue = null) {
+  if (!isIndexedDBSupported()) return defaultValue;
+
+  try {
+    const db = await getDB();
+    const record = await db.get(SETTINGS_STORE, key);
+    return record ? record.value : defaultValue;
+  } catch (error) {
+    console.error(`Error reading setting ${key}:`, error);
+    return defaultValue;
+  }
+}
+
+/**
+ * Save a setting
+ * @param {string} key
+ * @param {*} value - Any structured-cloneable value
+ * @returns {Promise<void>}
+ */
+export async function saveSetting(key, value) {
+  if (!isIndexedDBSupported()) {
+    throw new Error('IndexedDB is not supported in this browser');
+  }
+
+  const db = await getDB();
+  await db.put(SETTINGS_STORE, { key, value, updatedAt: new Date().toISOString() });
+}
@@ -0,0 +1,65 @@
+/**
+ * Provenance of extracted waypoints: where in the itinerary text each one comes from
+ * The LLM quotes the passage verbatim (it cannot count characters reliably); offsets are computed here.
+ * A span is `{ start, end, quote }` with `start`/`end` as character offsets into the itinerary text.
+ */
+
+/**
+ * Find a quote in text, tolerating differences in case and whitespace
+ * @param {string} text
+ * @param {string} quote
+ * @param {number} fromIndex - Prefer a match at or after this offset (e.g. after the previous waypoint's passage)
+ * @returns {{start: number, end: number}|null}
+ */
+function locateQuote(text, quote, fromIndex = 0) {
+  const trimmed = (quote || '').trim();
+  if (!trimmed) return null;
+
+  const exact = text.indexOf(trimmed, fromIndex);
+  if (exact !== -1) return { start: exact, end: exact + trimmed.length };
+
+  const pattern = new RegExp(
+    trimmed.split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'),
+    'gi'
+  );
+  pattern.lastIndex = fromIndex;
+  const match = pattern.exec(text);
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
+
+/**
+ * Attach source spans to extracted waypoints
+ * Each waypoint's quote (or, failing that, its name) is searched from the previous waypoint's passage
+ * onwards, so a place mentioned several times is linked to the mention that matches its position in the route.
+ * @param {string} text - Itinerary text the waypoints were extracted from
+ * @param {Array<{name: string, quote?: string}>} waypoints - In sequence order
+ * @returns {Array<{start: number, end: number, quote: string}|null>} One span (or null if not found) per waypoint
+ */
+export function findSourceSpans(text, waypoints) {
+  let cursor = 0;
+  return waypoints.map(wp => {
+    const span = [wp.quote, wp.name].reduce(
+      (found, candidate) => found || locateQuote(text, candidate, cursor) || locateQuote(text, candidate, 0),
+      null
+    );
+    if (!span) return null;
+    cursor = span.start;
+    return { ...span, quote: text.slice(span.start, span.end) };
+  });
+}
+
+/**
+ * Offsets of a stored span in the current itinerary text
+ * The text may have been edited (or trimmed on save) since extraction: if the offsets no longer
+ * point at the quoted passage, the quote is searched again.
+ * @param {string} text - Current itinerary text
+ * @param {{start: number, end: number, quote: string}|null|undefined} source
+ * @returns {{start: number, end: number}|null}
+ */
+export function resolveSourceSpan(text, source) {
+  if (!text || !source?.quote) return null;
+  if (text.slice(source.start, source.end) === source.quote) {
+    return { start: source.start, end: source.end };
+  }
+  return locateQuote(text, source.quote);
+}
@@ -4,6 +4,7 @@
  */
 
 import { getDB, isIndexedDBSupported } from './indexedDB';
+import { recordRevision, deleteRevisions } from './revisions';
 
 const STORAGE_KEY = 'himalayas_routes';
 let migrationDone = false;
@@ -101,9 +102,11 @@ export async function getRoute(id) {
 /**
  * Save a new route or update an existing one
  * @param {Object} route - Route object to save
+ * @param {Object} options
+ * @param {boolean} options.coalesceRevision - Let the revision merge into a recent one (false after a restore)
  * @returns {Promise<Object>} Saved route with updated timestamp
  */
-export async function saveRoute(route) {
+export async function saveRoute(route, { coalesceRevision = true } = {}) {
   // Migrate from localStorage on first call
   await migrateFromLocalStorage();
   
@@ -122,11 +125,19 @@ export async function saveRoute(route) {
   try {
     const db = await getDB();
     await db.put('routes', routeToSave);
-    return routeToSave;
   } catch (error) {
     console.error('Error saving route:', error);
     throw error;
   }
+
+  // Snapshot for revision history; a history failure must not fail the save itself
+  try {
+    await recordRevision(routeToSave, { coalesce: coalesceRevision });
+  } catch (error) {
+    console.error('Error recording route revision:', error);
+  }
+
+  return routeToSave;
 }
 
 /**
@@ -151,6 +162,7 @@ export async function deleteRoute(id) {
     }
     
     await db.delete('routes', id);
+    await deleteRevisions(id);
     return true;
   } catch (error) {
     console.error('Error deleting route:', error);
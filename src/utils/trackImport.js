@@ -0,0 +1,370 @@
+/**
+ * Import GPX, KML and GeoJSON files as routes
+ * Named points become waypoints; the track geometry is kept as segment polylines (no routing needed).
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { haversineDistance } from './geoUtils';
+
+// Named points farther than this from the track start/end get an extra "Track start"/"Track end" waypoint
+const TRACK_END_TOLERANCE_M = 1000;
+
+export const TRACK_FILE_EXTENSIONS = ['.gpx', '.kml', '.geojson', '.json'];
+
+/**
+ * Detect file format from filename and content
+ * @param {string} text - File contents
+ * @param {string} filename - Original filename
+ * @returns {'gpx'|'kml'|'geojson'|null}
+ */
+function detectFormat(text, filename = '') {
+  const lower = filename.toLowerCase();
+  if (lower.endsWith('.gpx')) return 'gpx';
+  if (lower.endsWith('.kml')) return 'kml';
+  if (lower.endsWith('.geojson') || lower.endsWith('.json')) return 'geojson';
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) return 'geojson';
+  if (trimmed.includes('<gpx')) return 'gpx';
+  if (trimmed.includes('<kml')) return 'kml';
+  return null;
+}
+
+/**
+ * Parse XML text, throwing a readable error on malformed input
+ * @param {string} text
+ * @returns {Document}
+ */
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('File is not valid XML');
+  }
+  return doc;
+}
+
+/**
+ * Text content of the first direct child element with the given tag name
+ * @param {Element} element
+ * @param {string} tagName
+ * @returns {string|null}
+ */
+function childText(element, tagName) {
+  for (const child of element.children) {
+    if (child.localName === tagName) {
+      const value = child.textContent.trim();
+      return value || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Remove the "1. " sequence prefix our own GPX export adds to waypoint names
+ * @param {string} name
+ * @returns {string}
+ */
+function cleanPointName(name) {
+  return name.replace(/^\d+\.\s+/, '').trim();
+}
+
+/**
+ * [lat, lng, elevation?] of a GPX <trkpt>/<rtept>
+ * @param {Element} pt
+ * @returns {Array<number>}
+ */
+function gpxPointCoords(pt) {
+  const coords = [parseFloat(pt.getAttribute('lat')), parseFloat(pt.getAttribute('lon'))];
+  const ele = childText(pt, 'ele');
+  if (ele !== null) coords.push(parseFloat(ele));
+  return coords;
+}
+
+/**
+ * @param {string} text - GPX XML
+ * @returns {{name: string|null, points: Array, tracks: Array<Array<Array<number>>>}}
+ */
+function parseGpx(text) {
+  const doc = parseXml(text);
+  const metadata = doc.getElementsByTagName('metadata')[0];
+  const name = metadata ? childText(metadata, 'name') : null;
+
+  const points = Array.from(doc.getElementsByTagName('wpt'))
+    .map(wpt => ({
+      name: childText(wpt, 'name'),
+      description: childText(wpt, 'desc'),
+      lat: parseFloat(wpt.getAttribute('lat')),
+      lng: parseFloat(wpt.getAttribute('lon'))
+    }));
+
+  const tracks = [];
+  Array.from(doc.getElementsByTagName('trkseg')).forEach(seg => {
+    const coords = Array.from(seg.getElementsByTagName('trkpt')).map(gpxPointCoords);
+    if (coords.length > 1) tracks.push(coords);
+  });
+
+  // Routes (<rte>) count as tracks; their named points are used when there are no <wpt>s
+  Array.from(doc.getElementsByTagName('rte')).forEach(rte => {
+    const rtepts = Array.from(rte.getElementsByTagName('rtept'));
+    const coords = rtepts.map(gpxPointCoords);
+    if (coords.length > 1) tracks.push(coords);
+    if (points.length === 0) {
+      rtepts.forEach(pt => {
+        const ptName = childText(pt, 'name');
+        if (ptName) {
+          points.push({
+            name: ptName,
+            description: childText(pt, 'desc'),
+            lat: parseFloat(pt.getAttribute('lat')),
+            lng: parseFloat(pt.getAttribute('lon'))
+          });
+        }
+      });
+    }
+  });
+
+  const firstTrack = doc.getElementsByTagName('trk')[0] || doc.getElementsByTagName('rte')[0];
+  return {
+    name: name || (firstTrack ? childText(firstTrack, 'name') : null),
+    points,
+    tracks
+  };
+}
+
+/**
+ * Parse a KML <coordinates> string ("lng,lat[,alt] lng,lat[,alt] ...")
+ * @param {string} text
+ * @returns {Array<Array<number>>} [lat, lng, altitude?] tuples
+ */
+function parseKmlCoordinates(text) {
+  return text.trim().split(/\s+/)
+    .map(tuple => tuple.split(',').map(Number))
+    .filter(parts => parts.length >= 2)
+    .map(([lng, lat, alt]) => alt !== undefined ? [lat, lng, alt] : [lat, lng]);
+}
+
+/**
+ * @param {string} text - KML XML
+ * @returns {{name: string|null, points: Array, tracks: Array<Array<Array<number>>>}}
+ */
+function parseKml(text) {
+  const doc = parseXml(text);
+  const documentEl = doc.getElementsByTagName('Document')[0];
+  const name = documentEl ? childText(documentEl, 'name') : null;
+  const points = [];
+  const tracks = [];
+
+  Array.from(doc.getElementsByTagName('Placemark')).forEach(placemark => {
+    const placemarkName = childText(placemark, 'name');
+
+    Array.from(placemark.getElementsByTagName('Point')).forEach(point => {
+      const coordsEl = point.getElementsByTagName('coordinates')[0];
+      const coords = coordsEl ? parseKmlCoordinates(coordsEl.textContent) : [];
+      if (coords.length > 0) {
+        points.push({
+          name: placemarkName,
+          description: childText(placemark, 'description'),
+          lat: coords[0][0],
+          lng: coords[0][1]
+        });
+      }
+    });
+
+    Array.from(placemark.getElementsByTagName('LineString')).forEach(line => {
+      const coordsEl = line.getElementsByTagName('coordinates')[0];
+      const coords = coordsEl ? parseKmlCoordinates(coordsEl.textContent) : [];
+      if (coords.length > 1) tracks.push(coords);
+    });
+
+    // gx:Track uses one <gx:coord>lng lat alt</gx:coord> per point
+    const gxCoords = Array.from(placemark.getElementsByTagName('gx:coord'));
+    if (gxCoords.length > 1) {
+      tracks.push(gxCoords
+        .map(el => el.textContent.trim().split(/\s+/).map(Number))
+        .map(([lng, lat, alt]) => alt !== undefined ? [lat, lng, alt] : [lat, lng]));
+    }
+  });
+
+  return { name, points, tracks };
+}
+
+/**
+ * @param {string} text - GeoJSON
+ * @returns {{name: string|null, points: Array, tracks: Array<Array<Array<number>>>}}
+ */
+function parseGeoJson(text) {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection'
+    ? data.features || []
+    : data.type === 'Feature'
+    ? [data]
+    : [{ type: 'Feature', geometry: data, properties: {} }];
+
+  const points = [];
+  const tracks = [];
+  const toLatLng = ([lng, lat, alt]) => alt !== undefined ? [lat, lng, alt] : [lat, lng];
+
+  features.forEach(feature => {
+    const geometry = feature.geometry;
+    const props = feature.properties || {};
+    if (!geometry) return;
+
+    if (geometry.type === 'Point') {
+      points.push({
+        name: props.name || props.title || null,
+        description: props.description || props.desc || null,
+        lat: geometry.coordinates[1],
+        lng: geometry.coordinates[0]
+      });
+    } else if (geometry.type === 'LineString') {
+      tracks.push(geometry.coordinates.map(toLatLng));
+    } else if (geometry.type === 'MultiLineString') {
+      geometry.coordinates.forEach(line => tracks.push(line.map(toLatLng)));
+    }
+  });
+
+  return {
+    name: data.name || data.properties?.name || null,
+    points,
+    tracks: tracks.filter(track => track.length > 1)
+  };
+}
+
+/**
+ * Parse a GPX, KML or GeoJSON file into named points and track polylines
+ * @param {string} text - File contents
+ * @param {string} filename - Original filename (used for format detection)
+ * @returns {{format: string, name: string|null, points: Array<{name: string|null, description: string|null, lat: number, lng: number}>, tracks: Array<Array<Array<number>>>}}
+ *   Track points are [lat, lng] or [lat, lng, elevation]
+ */
+export function parseTrackFile(text, filename = '') {
+  const format = detectFormat(text, filename);
+  if (!format) {
+    throw new Error('Unsupported file format. Use GPX, KML or GeoJSON.');
+  }
+
+  let parsed;
+  if (format === 'gpx') parsed = parseGpx(text);
+  else if (format === 'kml') parsed = parseKml(text);
+  else parsed = parseGeoJson(text);
+
+  const isValid = ([lat, lng]) => typeof lat === 'number' && typeof lng === 'number' && !isNaN(lat) && !isNaN(lng);
+  const points = parsed.points.filter(p => isValid([p.lat, p.lng]));
+  const tracks = parsed.tracks.map(track => track.filter(isValid)).filter(track => track.length > 1);
+
+  if (points.length === 0 && tracks.length === 0) {
+    throw new Error('No points or tracks found in file');
+  }
+
+  return { format, name: parsed.name, points, tracks };
+}
+
+/**
+ * Length of a polyline in meters
+ * @param {Array<[number, number]>} polyline - [lat, lng] pairs
+ * @returns {number}
+ */
+function polylineLength(polyline) {
+  let total = 0;
+  for (let i = 1; i < polyline.length; i++) {
+    total += haversineDistance(polyline[i - 1][0], polyline[i - 1][1], polyline[i][0], polyline[i][1]);
+  }
+  return total;
+}
+
+/**
+ * Index of the polyline vertex closest to a point
+ * @param {Array<[number, number]>} polyline
+ * @param {{lat: number, lng: number}} point
+ * @returns {{index: number, distance: number}}
+ */
+function nearestVertex(polyline, point) {
+  let best = { index: 0, distance: Infinity };
+  polyline.forEach(([lat, lng], index) => {
+    const distance = haversineDistance(lat, lng, point.lat, point.lng);
+    if (distance < best.distance) best = { index, distance };
+  });
+  return best;
+}
+
+/**
+ * Build a route object from parsed track data
+ * Named points are ordered by their position along the track and the track is split between them.
+ * @param {{name: string|null, points: Array, tracks: Array}} parsed - Output of parseTrackFile
+ * @param {string} fallbackName - Route name to use if the file has none
+ * @returns {Object} Route ready for saveRoute
+ */
+export function buildRouteFromTrack(parsed, fallbackName = 'Imported route') {
+  const trackPoints = parsed.tracks.flat();
+  const polyline = trackPoints.map(([lat, lng]) => [lat, lng]);
+  // Keep elevation only when every track point has it
+  const elevation = trackPoints.length > 0 && trackPoints.every(p => typeof p[2] === 'number' && !isNaN(p[2]))
+    ? trackPoints.map(p => p[2])
+    : null;
+  let stops = parsed.points.map((p, i) => ({
+    name: p.name ? cleanPointName(p.name) : `Point ${i + 1}`,
+    context: p.description || null,
+    lat: p.lat,
+    lng: p.lng,
+    trackIndex: null
+  }));
+
+  if (polyline.length > 1) {
+    stops.forEach(stop => {
+      stop.trackIndex = nearestVertex(polyline, stop).index;
+    });
+    stops.sort((a, b) => a.trackIndex - b.trackIndex);
+
+    const first = polyline[0];
+    const last = polyline[polyline.length - 1];
+    const startGap = stops.length > 0 ? haversineDistance(first[0], first[1], stops[0].lat, stops[0].lng) : Infinity;
+    const endGap = stops.length > 0 ? haversineDistance(last[0], last[1], stops[stops.length - 1].lat, stops[stops.length - 1].lng) : Infinity;
+    if (startGap > TRACK_END_TOLERANCE_M) {
+      stops.unshift({ name: 'Track start', context: null, lat: first[0], lng: first[1], trackIndex: 0 });
+    }
+    if (endGap > TRACK_END_TOLERANCE_M) {
+      stops.push({ name: 'Track end', context: null, lat: last[0], lng: last[1], trackIndex: polyline.length - 1 });
+    }
+  }
+
+  const waypoints = stops.map((stop, order) => ({
+    id: uuidv4(),
+    name: stop.name,
+    lat: stop.lat,
+    lng: stop.lng,
+    order,
+    context: stop.context,
+    display_name: null
+  }));
+
+  const segments = [];
+  if (polyline.length > 1) {
+    for (let i = 0; i < stops.length - 1; i++) {
+      const start = stops[i].trackIndex;
+      const end = stops[i + 1].trackIndex + 1;
+      // Stops at the same track point still get a (zero-length) segment, so every waypoint pair has one
+      const indexes = end - start >= 2 ? null : [start, start];
+      const slice = indexes ? indexes.map(index => polyline[index]) : polyline.slice(start, end);
+      const sliceElevation = elevation && (indexes ? indexes.map(index => elevation[index]) : elevation.slice(start, end));
+      segments.push({
+        fromWaypointId: waypoints[i].id,
+        toWaypointId: waypoints[i + 1].id,
+        polyline: slice,
+        distance: polylineLength(slice),
+        elevation: sliceElevation || null
+      });
+    }
+  }
+
+  return {
+    id: uuidv4(),
+    name: parsed.name || fallbackName,
+    itineraryText: '',
+    waypoints,
+    routePolyline: segments.flatMap(segment => segment.polyline),
+    segments,
+    segmentDays: segments.map((_, i) => i + 1),
+    tripStartDate: null,
+    dayNotes: {}
+  };
+}
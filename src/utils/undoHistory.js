@@ -0,0 +1,94 @@
+/**
+ * Undo/redo history of route editor snapshots
+ * Pure functions over an immutable { past, present, future, lastRecordedAt, lastKind } object.
+ */
+
+// Maximum number of undo steps kept
+const MAX_UNDO_STEPS = 100;
+// Consecutive text edits within this window are merged into one undo step (typing a name character by character)
+const TEXT_COALESCE_MS = 1000;
+
+// Snapshot fields that are free text; edits touching only these are coalesced while typing
+const TEXT_FIELDS = ['name', 'itineraryText'];
+
+/**
+ * Create an empty history with an initial snapshot
+ * @param {Object|null} present - Current editor snapshot
+ * @returns {{past: Object[], present: Object|null, future: Object[], lastRecordedAt: number, lastKind: string|null}}
+ */
+export function createHistory(present = null) {
+  return { past: [], present, future: [], lastRecordedAt: 0, lastKind: null };
+}
+
+/**
+ * Snapshot fields that differ between two snapshots
+ * Editor state is immutable, so fields are compared by reference (cheap even for long polylines).
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {string[]}
+ */
+function changedFields(a, b) {
+  return Object.keys({ ...a, ...b }).filter(key => a[key] !== b[key]);
+}
+
+/**
+ * Record a new editor snapshot
+ * @param {ReturnType<typeof createHistory>} history
+ * @param {Object} snapshot - New editor snapshot
+ * @param {number} now - Timestamp in ms
+ * @returns {ReturnType<typeof createHistory>} Same object if the snapshot is unchanged
+ */
+export function recordSnapshot(history, snapshot, now = Date.now()) {
+  const { past, present } = history;
+  if (present === null) return { ...history, present: snapshot };
+  const changed = changedFields(present, snapshot);
+  if (changed.length === 0) return history;
+
+  const kind = changed.length === 1 && TEXT_FIELDS.includes(changed[0]) ? changed[0] : null;
+  if (kind && kind === history.lastKind && now - history.lastRecordedAt < TEXT_COALESCE_MS && past.length > 0) {
+    // Still typing in the same field: extend the current step instead of adding one
+    return { ...history, present: snapshot, future: [], lastRecordedAt: now };
+  }
+
+  return {
+    past: [...past, present].slice(-MAX_UNDO_STEPS),
+    present: snapshot,
+    future: [],
+    lastRecordedAt: now,
+    lastKind: kind
+  };
+}
+
+/**
+ * Step back one snapshot
+ * @param {ReturnType<typeof createHistory>} history
+ * @returns {ReturnType<typeof createHistory>}
+ */
+export function undo(history) {
+  if (history.past.length === 0) return history;
+  const previous = history.past[history.past.length - 1];
+  return {
+    past: history.past.slice(0, -1),
+    present: previous,
+    future: [history.present, ...history.future],
+    lastRecordedAt: 0,
+    lastKind: null
+  };
+}
+
+/**
+ * Step forward one snapshot
+ * @param {ReturnType<typeof createHistory>} history
+ * @returns {ReturnType<typeof createHistory>}
+ */
+export function redo(history) {
+  if (history.future.length === 0) return history;
+  const [next, ...rest] = history.future;
+  return {
+    past: [...history.past, history.present],
+    present: next,
+    future: rest,
+    lastRecordedAt: 0,
+    lastKind: null
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Via-points: non-stop shaping points inside a segment
+ * Stored on the segment as `viaPoints: [{lat, lng}]` in travel order and sent to ORS as intermediate
+ * coordinates. They are not waypoints: no sequence number, no effect on segment days.
+ */
+
+import { haversineDistance } from './geoUtils';
+
+/**
+ * Index of the polyline point closest to a position
+ * @param {Array<[number, number]>} polyline - [lat, lng] pairs
+ * @param {{lat: number, lng: number}} point
+ * @returns {number} -1 for an empty polyline
+ */
+function nearestPolylineIndex(polyline, point) {
+  let best = -1;
+  let bestDistance = Infinity;
+  polyline.forEach(([lat, lng], i) => {
+    const distance = haversineDistance(lat, lng, point.lat, point.lng);
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Add a via-point where it falls along the segment
+ * The new point is ordered among the existing ones by the position of the nearest point on the current polyline,
+ * so clicking anywhere on the line keeps the travel order.
+ * @param {Array<{lat: number, lng: number}>} viaPoints - Existing via-points, in order
+ * @param {{lat: number, lng: number}} point - Clicked position
+ * @param {Array<[number, number]>} polyline - Segment polyline the click was on
+ * @returns {Array<{lat: number, lng: number}>} New list
+ */
+export function insertViaPoint(viaPoints, point, polyline) {
+  const newPoint = { lat: point.lat, lng: point.lng };
+  const position = nearestPolylineIndex(polyline, newPoint);
+  const insertAt = viaPoints.findIndex(via => nearestPolylineIndex(polyline, via) > position);
+  return insertAt === -1
+    ? [...viaPoints, newPoint]
+    : [...viaPoints.slice(0, insertAt), newPoint, ...viaPoints.slice(insertAt)];
+}
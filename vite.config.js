@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // API proxy (server/node.js, `npm run proxy`) for VITE_API_BASE_URL=/api during development
+    proxy: {
+      '/api': 'http://localhost:8787',
+    },
+  },
 })